@@ -14,15 +14,42 @@
 //   --scan / --find-missing   Scan all customers and find those with missing websites
 //   --hours <number>          Hours to look back for customer changes (default: 24)
 //   --update                  Update customers found by --scan
-//   --file <path>             Process customers from CSV file
+//   --file <path>             Process customers from CSV file (code[,website] rows, or a header row)
+//   --code-column <name>      Header of the customer code column in --file (default: code)
+//   --website-column <name>   Header of the website column in --file (default: website)
 //   --codes <list>            Process specific customer codes (comma-separated)
+//   --profile <name>          Use the named profile from ea-pip.config.json (endpoint, company ID, search settings)
+//   --config <path>           Profiles config file (default: ea-pip.config.json)
+//   --confirm-profile <name>  Confirm saving with a profile that has confirmSaves (needed without a prompt)
 //   --interactive             Enable prompts even with --file
 //   --yes                     Auto-confirm all saves (non-interactive)
 //   --force                   Overwrite existing websites
-//   --output <path>           Write results/list to CSV file
-//   --update-results <path>   Write update results to CSV (with --scan --update)
+//   --output <path>           Write results (every customer: status, reason, candidates, timing) or the scan list
+//   --output-format <fmt>     Results format: csv (default), json or ndjson
+//   --update-results <path>   Write update results (with --scan --update; format per --output-format)
 //   --enable-openai           Enable OpenAI search fallback
-//   --debug                   Show SOAP request/response details
+//   --debug                   Also log SOAP request/response bodies (passwords redacted) and each domain check
+//   --quiet                   Only print per-customer progress, warnings, errors and the summary
+//   --log-format <fmt>        text (default) or json: one event per line with run ID and customer code
+//   --journal <path>          Append per-customer progress to this journal (default: journal-<time>.ndjson)
+//   --resume <journal>        Skip customers already completed in <journal> and keep appending to it
+//   --change-log <path>       Record previous/new website of every save (default: website-changes.ndjson)
+//   --no-verify               Skip homepage verification and trust each tier's own confidence
+//   --review-queue <path>     Queue low-confidence candidates for `websites review` (default: review-queue.ndjson)
+//   --no-cache                Don't read or write the search lookup cache
+//   --cache-file <path>       Search lookup cache file (default: .lookup-cache.ndjson)
+//   --cache-ttl <days>        Keep found websites cached for <days> (default: 30)
+//   --cache-negative-ttl <days>  Keep "nothing found" cached for <days> (default: 3)
+//   --max-google-queries <n>  Stop using Google CSE after <n> queries this run (also --max-google-queries-per-day)
+//   --max-openai-cost <usd>   Stop using OpenAI once this run spent <usd> (also --max-openai-cost-per-day)
+//   --google-query-price <usd>  Price per Google query for the spend summary (default: 0.005)
+//   --openai-prices <spec>    USD per 1M input/output tokens, e.g. gpt-4o-mini=0.15/0.6
+//   --usage-file <path>       Per-day spend tracking file (default: .api-usage.json)
+//   --http-timeout <ms>       Per-attempt timeout for PIP, Google CSE and OpenAI calls (default: 15000)
+//   --retries <n>             Retries on timeouts, network errors, 429 and 5xx, with backoff (default: 3)
+//
+// Shared modules (PIP client, journal, change log, homepage verifier, review queue,
+// lookup cache, spend budget, CSV, logger, profiles, HTTP retries) are loaded from the TypeScript build: run `npm run build` first.
 
 const https = require('https');
 const http = require('http');
@@ -65,7 +92,8 @@ const CONFIG = {
   companyID: process.env.EA_COMPANYID || '',
   version: '25.0',
   forceWww: true,
-  debug: false,
+  changeLog: '', // resolved from --change-log in main()
+  reviewQueue: '', // resolved from --review-queue in main()
   
   // Search API keys
   googleCseKey: process.env.GOOGLE_CSE_KEY || '',
@@ -80,9 +108,37 @@ const CONFIG = {
   // Tuning parameters
   dnsTimeout: 3000,
   httpTimeout: 5000,
+  verifyHomepage: true, // score each candidate's homepage before trusting it (--no-verify to skip)
   openaiModel: 'gpt-4o-mini' // cheaper, faster; use gpt-4o for better quality
 };
 
+// Load a module compiled from src/ into dist/
+function requireBuilt(name) {
+  const modulePath = path.join(__dirname, '..', 'dist', name);
+  try {
+    return require(modulePath);
+  } catch (e) {
+    console.error(`Cannot load ${modulePath} - run \`npm run build\` first.`);
+    throw e;
+  }
+}
+
+const journal = requireBuilt('journal');
+const pip = requireBuilt('pip-client');
+const changeLog = requireBuilt('change-log');
+const verify = requireBuilt('verify');
+const reviewQueue = requireBuilt('review-queue');
+const lookupCache = requireBuilt('lookup-cache');
+const budget = requireBuilt('budget');
+const csv = requireBuilt('csv');
+const customerInput = requireBuilt('customer-input');
+const runResults = requireBuilt('run-results');
+const { log, ...logger } = requireBuilt('logger');
+const profiles = requireBuilt('profiles');
+const httpLayer = requireBuilt('http');
+const { LookupFailedError } = requireBuilt('search-providers');
+let cache; // opened in main() unless --no-cache
+
 const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
 const question = (q) => new Promise((res) => rl.question(q, res));
 
@@ -90,158 +146,47 @@ const question = (q) => new Promise((res) => rl.question(q, res));
 // SOAP API Functions
 // ========================================
 
-async function soapRequest(method, body) {
-  const soapEnvelope = `<?xml version="1.0" encoding="utf-8"?>
-<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" 
-               xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" 
-               xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-  <soap:Body>
-    <${method} xmlns="${CONFIG.namespace}">
-      <Auth>
-        <User>${CONFIG.username}</User>
-        <Password>${CONFIG.password}</Password>
-        <CompanyID>${CONFIG.companyID}</CompanyID>
-        <Version>${CONFIG.version}</Version>
-      </Auth>
-      ${body}
-    </${method}>
-  </soap:Body>
-</soap:Envelope>`;
-
-  if (CONFIG.debug) {
-    console.log('\n--- SOAP Request ---');
-    console.log(soapEnvelope);
-    console.log('--- End SOAP Request ---\n');
-  }
-
-  return new Promise((resolve, reject) => {
-    const options = {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'text/xml; charset=utf-8',
-        'Content-Length': Buffer.byteLength(soapEnvelope),
-        'SOAPAction': `${CONFIG.namespace}/${method}`
-      }
-    };
-
-    // Use http or https based on endpoint protocol
-    const protocol = CONFIG.endpoint.startsWith('https') ? https : http;
-    const req = protocol.request(CONFIG.endpoint, options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          if (CONFIG.debug) {
-            console.log('\n--- SOAP Response ---');
-            console.log(data);
-            console.log('--- End SOAP Response ---\n');
-          }
-          resolve(data);
-        } else {
-          if (CONFIG.debug) {
-            console.error(`\n--- SOAP Error Response ---\nHTTP ${res.statusCode}:\n${data}\n--- End ---\n`);
-          }
-          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(soapEnvelope);
-    req.end();
-  });
-}
-
-function parseXmlValue(xml, tagName) {
-  const regex = new RegExp(`<${tagName}>\\s*<Value>([\\s\\S]*?)</Value>`, 'i');
-  const match = xml.match(regex);
-  return match ? match[1].trim() : '';
-}
-
-function parseXmlCode(xml, tagName) {
-  const regex = new RegExp(`<${tagName}>.*?<Code>.*?<Value>(.*?)</Value>.*?</Code>.*?</${tagName}>`, 'i');
-  const match = xml.match(regex);
-  return match ? match[1].trim() : '';
-}
-
-function parseXmlId(xml, tagName) {
-  const regex = new RegExp(`<${tagName}>.*?<ID>.*?<Value>(.*?)</Value>.*?</ID>.*?</${tagName}>`, 'i');
-  const match = xml.match(regex);
-  return match ? match[1].trim() : '';
-}
+// The SOAP envelope, XML parsing and fault handling live in src/pip-client.ts;
+// these wrappers bind it to CONFIG.
 
 async function getCustomer(customerCode) {
-  const body = `
-    <CustomerNumber>
-      <ID><Value>0</Value><Valid>false</Valid></ID>
-      <Code><Value>${customerCode}</Value><Valid>true</Valid></Code>
-    </CustomerNumber>`;
-
-  const response = await soapRequest('getCustomer', body);
-
-  return {
-    id: parseXmlId(response, 'CustomerNumber'),
-    code: parseXmlCode(response, 'CustomerNumber'),
-    name: parseXmlValue(response, 'CustomerName'),
-    city: parseXmlValue(response, 'City'),
-    state: parseXmlValue(response, 'State'),
-    phone: parseXmlValue(response, 'Phone1'),
-    currentWebsite: parseXmlValue(response, 'WebSite')
-  };
+  return pip.getCustomer(customerCode, CONFIG);
 }
 
 async function getCustomerList(hoursBack = 24) {
   // Use timestamp from specified hours ago to get recent customers
   const pastDate = new Date();
   pastDate.setHours(pastDate.getHours() - hoursBack);
-  const timestamp = pastDate.toISOString();
-  
-  const body = `<TimeStamp>${timestamp}</TimeStamp>`;
 
-  console.log(`Fetching customers updated since: ${timestamp} (${hoursBack} hours ago)`);
-  const response = await soapRequest('getCustomerList', body);
-  
-  // Parse the customer list from XML
-  // getCustomerList returns CustomerListDetail with CustomerNumber (ID/Code), CustomerName, and Active
-  const customers = [];
-  const customerMatches = response.matchAll(/<CustomerListDetail>[\s\S]*?<CustomerNumber>[\s\S]*?<ID>[\s\S]*?<Value>(.*?)<\/Value>[\s\S]*?<\/ID>[\s\S]*?<Code>[\s\S]*?<Value>(.*?)<\/Value>[\s\S]*?<\/Code>[\s\S]*?<\/CustomerNumber>[\s\S]*?<CustomerName>[\s\S]*?<Value>(.*?)<\/Value>[\s\S]*?<\/CustomerName>[\s\S]*?<Active>[\s\S]*?<Value>(.*?)<\/Value>[\s\S]*?<\/Active>[\s\S]*?<\/CustomerListDetail>/g);
-  
-  for (const match of customerMatches) {
-    const id = match[1].trim();
-    const code = match[2].trim();
-    const name = match[3].trim();
-    const active = match[4].trim();
-    
-    if (active.toLowerCase() === 'true' && code) {
-      customers.push({ id, code, name });
-    }
-  }
-  
-  console.log(`Found ${customers.length} active customers from list`);
+  log.info(`Fetching customers updated since: ${pastDate.toISOString()} (${hoursBack} hours ago)`, { event: 'scan.start', since: pastDate.toISOString() });
+  const list = await pip.getCustomerList(pastDate, CONFIG);
+  const customers = list
+    .filter(c => c.active && c.code)
+    .map(({ id, code, name }) => ({ id, code, name }));
+
+  log.info(`Found ${customers.length} active customers from list`, { event: 'scan.list', customers: customers.length });
   return customers;
 }
 
-async function saveCustomerWebsite(customerId, customerCode, websiteUrl) {
+async function saveCustomerWebsite(customerId, customerCode, websiteUrl, previousUrl) {
   const outId = (customerId && customerId.trim() !== '') ? customerId : '0';
   const outCode = (customerCode && customerCode.trim() !== '') ? customerCode : '';
-  
+
   // Ensure URL is lowercase
-  const normalizedUrl = websiteUrl.toLowerCase();
-  
-  const body = `
-    <customer>
-      <CustomerNumber>
-        <ID><Value>${outId}</Value><Valid>true</Valid></ID>
-        <Code><Value>${outCode}</Value><Valid>true</Valid></Code>
-      </CustomerNumber>
-      <WebSite>
-        <Value>${normalizedUrl}</Value>
-        <Valid>true</Valid>
-      </WebSite>
-    </customer>`;
-
-  const response = await soapRequest('saveCustomer', body);
-  return response && response.toLowerCase().includes('savecustomerresult');
+  const result = await pip.saveCustomerWebsite(outId, outCode, websiteUrl.toLowerCase(), CONFIG);
+  if (!result.success) {
+    log.error(`  ${result.messages.join('; ')}`, { event: 'save.failed', messages: result.messages });
+    return false;
+  }
+  changeLog.appendChange(CONFIG.changeLog, {
+    customerId: outId,
+    code: outCode,
+    field: 'WebSite',
+    previous: previousUrl || '',
+    next: websiteUrl.toLowerCase(),
+    source: 'update-websites'
+  });
+  return true;
 }
 
 // ========================================
@@ -345,30 +290,26 @@ async function checkWebsiteResponds(domain) {
 async function guessDomain(companyName, city) {
   if (!CONFIG.enableDomainGuessing) return null;
   
-  console.log(`[Domain Guessing] Trying patterns for: ${companyName}`);
+  log.info(`[Domain Guessing] Trying patterns for: ${companyName}`, { event: 'tier.attempt', tier: 'Domain Guessing' });
   const patterns = generateDomainPatterns(companyName, city);
   
   for (const pattern of patterns) {
-    console.log(`  Checking: ${pattern}...`);
-    
     // First check DNS (fast)
     const exists = await checkDomainExists(pattern);
     if (!exists) {
-      console.log(`    ✗ DNS failed`);
+      log.debug(`  Checking: ${pattern}... ✗ DNS failed`, { event: 'domain.check', domain: pattern, exists: false, responds: false });
       continue;
     }
     
     // Then check if website responds (slower)
     const responds = await checkWebsiteResponds(pattern);
+    log.debug(`  Checking: ${pattern}... ${responds ? '✓ Found!' : '✗ No response'}`, { event: 'domain.check', domain: pattern, exists: true, responds });
     if (responds) {
-      console.log(`    ✓ Found!`);
       return { url: pattern, confidence: 'high', source: 'domain_guess' };
-    } else {
-      console.log(`    ✗ No response`);
     }
   }
   
-  console.log(`  No valid domain found via guessing`);
+  log.info(`  No valid domain found via guessing (${patterns.length} patterns)`, { event: 'tier.miss', tier: 'Domain Guessing' });
   return null;
 }
 
@@ -381,91 +322,75 @@ async function searchGoogleCSE(query) {
     return null;
   }
   
-  console.log(`[Google CSE] Searching: "${query}"`);
+  log.info(`[Google CSE] Searching: "${query}"`, { event: 'tier.attempt', tier: 'Google CSE', query });
   
-  return new Promise((resolve) => {
-    const params = new URLSearchParams({
-      key: CONFIG.googleCseKey,
-      cx: CONFIG.googleCx,
-      q: query,
-      num: 5 // Get top 5 results for better matching
-    });
-    
-    const options = {
+  // Failures throw rather than return null so they aren't cached as "no results";
+  // timeouts and retries on 429/5xx come from the shared HTTP layer
+  let json;
+  try {
+    const res = await httpLayer.httpRequest('google', 'Google CSE query', {
       method: 'GET',
+      url: 'https://www.googleapis.com/customsearch/v1',
+      params: {
+        key: CONFIG.googleCseKey,
+        cx: CONFIG.googleCx,
+        q: query,
+        num: 5 // Get top 5 results for better matching
+      },
       headers: { 'User-Agent': 'ea-pip-updater/2.0' }
-    };
+    });
+    json = res.data;
+  } catch (e) {
+    throw new Error(`Google CSE: ${httpLayer.describeHttpError(e)}`);
+  }
+  budget.recordGoogleQuery();
+  if (!json || !json.items || json.items.length === 0) {
+    log.info(`  No results found`, { event: 'tier.miss', tier: 'Google CSE' });
+    return null;
+  }
+  
+  // Score and rank results
+  const scored = json.items.map(item => {
+    const url = item.link;
+    const title = (item.title || '').toLowerCase();
+    const snippet = (item.snippet || '').toLowerCase();
     
-    const req = https.request(
-      `https://www.googleapis.com/customsearch/v1?${params.toString()}`,
-      options,
-      (res) => {
-        let data = '';
-        res.on('data', (c) => data += c);
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(data);
-            if (!json.items || json.items.length === 0) {
-              console.log(`  No results found`);
-              return resolve(null);
-            }
-            
-            // Score and rank results
-            const scored = json.items.map(item => {
-              const url = item.link;
-              const title = (item.title || '').toLowerCase();
-              const snippet = (item.snippet || '').toLowerCase();
-              
-              let score = 0;
-              
-              // Higher score for official-looking domains
-              if (url.includes('.com')) score += 10;
-              if (title.includes('official') || title.includes('home')) score += 5;
-              if (snippet.includes('official website')) score += 5;
-              
-              // Penalize social media, directories, etc.
-              const badDomains = ['facebook.com', 'linkedin.com', 'twitter.com', 'yelp.com', 'yellowpages.com', 'bbb.org'];
-              if (badDomains.some(bad => url.includes(bad))) score -= 20;
-              
-              return { url, title, score };
-            });
-            
-            // Sort by score
-            scored.sort((a, b) => b.score - a.score);
-            
-            console.log(`  Found ${scored.length} results, top match: ${scored[0].url} (score: ${scored[0].score})`);
-            
-            if (scored[0].score < 0) {
-              console.log(`  Top result has negative score, skipping`);
-              return resolve(null);
-            }
-            
-            try {
-              const u = new URL(scored[0].url);
-              const normalized = normalizeDomain(u.hostname);
-              return resolve({
-                url: normalized,
-                confidence: scored[0].score >= 10 ? 'high' : 'medium',
-                source: 'google_cse',
-                allResults: scored.map(s => s.url)
-              });
-            } catch (e) {
-              return resolve(null);
-            }
-          } catch (e) {
-            console.log(`  Error parsing results: ${e.message}`);
-            return resolve(null);
-          }
-        });
-      }
-    );
+    let score = 0;
     
-    req.on('error', (e) => {
-      console.log(`  Error: ${e.message}`);
-      resolve(null);
-    });
-    req.end();
+    // Higher score for official-looking domains
+    if (url.includes('.com')) score += 10;
+    if (title.includes('official') || title.includes('home')) score += 5;
+    if (snippet.includes('official website')) score += 5;
+    
+    // Penalize social media, directories, etc.
+    const badDomains = ['facebook.com', 'linkedin.com', 'twitter.com', 'yelp.com', 'yellowpages.com', 'bbb.org'];
+    if (badDomains.some(bad => url.includes(bad))) score -= 20;
+    
+    return { url, title, score };
   });
+  
+  // Sort by score
+  scored.sort((a, b) => b.score - a.score);
+  
+  log.info(`  Found ${scored.length} results, top match: ${scored[0].url} (score: ${scored[0].score})`, { event: 'tier.results', tier: 'Google CSE', count: scored.length, top: scored[0].url, score: scored[0].score });
+  
+  if (scored[0].score < 0) {
+    log.info(`  Top result has negative score, skipping`, { event: 'tier.miss', tier: 'Google CSE' });
+    return null;
+  }
+  
+  try {
+    const u = new URL(scored[0].url);
+    const normalized = normalizeDomain(u.hostname);
+    return {
+      url: normalized,
+      confidence: scored[0].score >= 10 ? 'high' : 'medium',
+      source: 'google_cse',
+      allResults: scored.map(s => s.url)
+    };
+  } catch (e) {
+    return null;
+  }
 }
 
 // ========================================
@@ -477,7 +402,7 @@ async function searchWithOpenAI(companyName, city, state, phone) {
     return null;
   }
   
-  console.log(`[OpenAI] Searching for: ${companyName}`);
+  log.info(`[OpenAI] Searching for: ${companyName}`, { event: 'tier.attempt', tier: 'OpenAI', model: CONFIG.openaiModel });
   
   const prompt = `Find the official website URL for this company. Return ONLY the website URL in the format www.example.com or return NOT_FOUND if you cannot find it with high confidence.
 
@@ -487,99 +412,125 @@ Phone: ${phone || 'N/A'}
 
 Important: Return ONLY the website URL (www.example.com format) or NOT_FOUND. No explanations.`;
 
-  return new Promise((resolve) => {
-    const body = JSON.stringify({
-      model: CONFIG.openaiModel,
-      messages: [
-        { role: 'system', content: 'You are a helpful assistant that finds official company websites. Return only the URL or NOT_FOUND.' },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0,
-      max_tokens: 100
-    });
-    
-    const options = {
+  let json;
+  try {
+    const res = await httpLayer.httpRequest('openai', 'OpenAI request', {
       method: 'POST',
+      url: 'https://api.openai.com/v1/chat/completions',
+      data: {
+        model: CONFIG.openaiModel,
+        messages: [
+          { role: 'system', content: 'You are a helpful assistant that finds official company websites. Return only the URL or NOT_FOUND.' },
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0,
+        max_tokens: 100
+      },
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${CONFIG.openaiKey}`,
         'User-Agent': 'ea-pip-updater/2.0'
       }
-    };
-    
-    const req = https.request('https://api.openai.com/v1/chat/completions', options, (res) => {
-      let data = '';
-      res.on('data', (c) => data += c);
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.error) {
-            console.log(`  Error: ${json.error.message}`);
-            return resolve(null);
-          }
-          
-          const content = json.choices[0].message.content.trim();
-          console.log(`  OpenAI response: ${content}`);
-          
-          if (content === 'NOT_FOUND' || content.includes('NOT_FOUND')) {
-            return resolve(null);
-          }
-          
-          const normalized = normalizeDomain(content);
-          return resolve({
-            url: normalized,
-            confidence: 'medium',
-            source: 'openai'
-          });
-        } catch (e) {
-          console.log(`  Error parsing response: ${e.message}`);
-          return resolve(null);
-        }
-      });
     });
-    
-    req.on('error', (e) => {
-      console.log(`  Error: ${e.message}`);
-      resolve(null);
-    });
-    req.write(body);
-    req.end();
-  });
+    json = res.data;
+  } catch (e) {
+    throw new Error(`OpenAI: ${httpLayer.describeHttpError(e)}`);
+  }
+  if (json.error) throw new Error(`OpenAI: ${json.error.message}`);
+  const cost = budget.recordOpenAIUsage(CONFIG.openaiModel, json.usage);
+  log.info(`  Tokens: ${json.usage ? json.usage.total_tokens : 'n/a'} ($${cost.toFixed(4)})`, { event: 'openai.usage', tokens: json.usage && json.usage.total_tokens, cost });
+  
+  const content = String((json.choices && json.choices[0] && json.choices[0].message.content) || '').trim();
+  log.info(`  OpenAI response: ${content}`, { event: 'openai.response', content });
+  
+  if (!content || content.includes('NOT_FOUND')) {
+    return null;
+  }
+  
+  const normalized = normalizeDomain(content);
+  return {
+    url: normalized,
+    confidence: 'medium',
+    source: 'openai'
+  };
 }
 
 // ========================================
 // Unified Website Search (All Tiers)
 // ========================================
 
+// Every tier's candidate is scored against the customer record by the
+// homepage verifier (src/verify.ts). A high score ends the search; otherwise
+// the next tier is tried and the best-scoring candidate is returned.
+// Tier lookups go through the shared lookup cache (src/lookup-cache.ts) under
+// the same tier names as the TypeScript CLI. A failed lookup is logged,
+// recorded in failures and treated as no result, but not cached.
+async function lookup(tier, customer, fn, failures) {
+  const cached = cache && cache.get(tier, customer);
+  if (cached) {
+    log.info(`[${tier}] Cached: ${cached.result ? cached.result.url : 'no result'} (from ${cached.storedAt.slice(0, 10)})`, { event: 'tier.cached', tier, url: cached.result ? cached.result.url : undefined, storedAt: cached.storedAt });
+    return cached.result;
+  }
+  try {
+    const result = await fn();
+    if (cache) cache.set(tier, customer, result);
+    if (result) log.info(`[${tier}] Candidate: ${result.url} (${result.confidence})`, { event: 'candidate', tier, url: result.url, source: result.source, confidence: result.confidence });
+    return result;
+  } catch (e) {
+    log.warn(`[${tier}] Lookup failed: ${e.message}`, { event: 'tier.failed', tier, error: e.message });
+    failures.push({ tier, error: e.message });
+    return null;
+  }
+}
+
+async function verifyResult(customer, result) {
+  if (!result || !CONFIG.verifyHomepage) return result;
+  return verify.verifyCandidate(customer, result, CONFIG.httpTimeout);
+}
+
 async function findWebsite(customer) {
-  console.log(`\n[Website Search] Starting search for: ${customer.name}`);
+  log.info(`\n[Website Search] Starting search for: ${customer.name}`, { event: 'search.start', name: customer.name });
+  let best = null;
+  const failures = [];
+  const consider = (result) => {
+    if (result && (!best || (result.score || 0) > (best.score || 0))) best = result;
+    return !!result && (!CONFIG.verifyHomepage || result.confidence === 'high');
+  };
   
   // Tier 1: Domain Guessing
   if (CONFIG.enableDomainGuessing) {
-    const guessed = await guessDomain(customer.name, customer.city);
-    if (guessed) {
+    const guessed = await verifyResult(customer, await lookup('Domain Guessing', customer, () => guessDomain(customer.name, customer.city), failures));
+    if (consider(guessed)) {
       return guessed;
     }
   }
   
-  // Tier 2: Google Custom Search
-  if (CONFIG.enableGoogleSearch) {
+  // Tier 2: Google Custom Search (skipped without keys, so nothing gets cached for it)
+  if (CONFIG.enableGoogleSearch && CONFIG.googleCseKey && CONFIG.googleCx && budget.budgetAllows('google')) {
     const query = `${customer.name} ${customer.city} ${customer.state} official website`;
-    const googleResult = await searchGoogleCSE(query);
-    if (googleResult) {
+    const googleResult = await verifyResult(customer, await lookup('Google CSE', customer, () => searchGoogleCSE(query), failures));
+    if (consider(googleResult)) {
       return googleResult;
     }
   }
   
   // Tier 3: OpenAI
-  if (CONFIG.enableOpenAI) {
-    const openaiResult = await searchWithOpenAI(customer.name, customer.city, customer.state, customer.phone);
-    if (openaiResult) {
+  if (CONFIG.enableOpenAI && CONFIG.openaiKey && budget.budgetAllows('openai')) {
+    const openaiResult = await verifyResult(customer, await lookup('OpenAI', customer, () => searchWithOpenAI(customer.name, customer.city, customer.state, customer.phone), failures));
+    if (consider(openaiResult)) {
       return openaiResult;
     }
   }
   
-  console.log(`[Website Search] No results found from any source`);
+  if (best) {
+    log.info(`[Website Search] No candidate verified with high confidence; best was ${best.url} (${best.score}/100)`, { event: 'search.done', found: true, url: best.url, score: best.score });
+    return best;
+  }
+  if (failures.length) {
+    log.warn(`[Website Search] No results, but ${failures.map(f => f.tier).join(', ')} failed`, { event: 'search.done', found: false, failed: failures.map(f => f.tier) });
+    throw new LookupFailedError(failures);
+  }
+  log.info(`[Website Search] No results found from any source`, { event: 'search.done', found: false });
   return null;
 }
 
@@ -588,55 +539,71 @@ async function findWebsite(customer) {
 // ========================================
 
 async function processCustomer(customerCode, opts = {}) {
+  let customer;
+  let result = null;
+  // Every outcome carries what was known about the customer and the search for --output
+  const done = (res) => ({ name: customer && customer.name, previous: customer && customer.currentWebsite, found: result || undefined, ...res });
   try {
-    const customer = await getCustomer(customerCode);
+    customer = customerInput.applyHints(await getCustomer(customerCode), opts.hints);
 
-    console.log(`\n========================================`);
-    console.log(`Processing: ${customer.code || customerCode}`);
-    console.log(`Name: ${customer.name || '(no name)'}`);
-    console.log(`Location: ${customer.city || ''}${customer.state ? ', ' + customer.state : ''}`);
-    console.log(`Phone: ${customer.phone || ''}`);
-    console.log(`Current Website: ${customer.currentWebsite || '(empty)'}`);
-    console.log(`========================================`);
+    log.text(`\n========================================`);
+    log.info(`Processing: ${customer.code || customerCode}`, {
+      event: 'customer.start', id: customer.id, name: customer.name, city: customer.city, state: customer.state, currentWebsite: customer.currentWebsite
+    });
+    log.text(`Name: ${customer.name || '(no name)'}`);
+    log.text(`Location: ${customer.city || ''}${customer.state ? ', ' + customer.state : ''}`);
+    log.text(`Phone: ${customer.phone || ''}`);
+    log.text(`Current Website: ${customer.currentWebsite || '(empty)'}`);
+    log.text(`========================================`);
 
     // Check if website already exists
     if (customer.currentWebsite && customer.currentWebsite.trim() !== '' && !opts.force) {
       if (opts.nonInteractive) {
-        console.log(`Skipping - website already exists`);
-        return { success: true, skipped: true };
+        log.info(`Skipping - website already exists`, { event: 'skip', reason: 'has_website' });
+        return done({ success: true, skipped: true, reason: 'has_website' });
       }
       const resp = (await question(`\nWebsite exists: ${customer.currentWebsite}\nChoose: (o)verwrite, (e)nter new, (s)kip: `)).trim().toLowerCase();
       if (resp === 's') {
-        console.log(`Skipped by user`);
-        return { success: true, skipped: true };
+        log.info(`Skipped by user`, { event: 'skip', reason: 'has_website' });
+        return done({ success: true, skipped: true, reason: 'has_website' });
       }
       if (resp === 'e') {
         const manual = await question('Enter website URL (or press Enter to skip): ');
-        if (!manual || manual.trim() === '') return { success: true, skipped: true };
+        if (!manual || manual.trim() === '') return done({ success: true, skipped: true, reason: 'no_input' });
         const normalized = normalizeDomain(manual);
-        const saved = await saveCustomerWebsite(customer.id, customer.code, normalized);
-        return { success: saved, skipped: false };
+        const saved = await saveCustomerWebsite(customer.id, customer.code, normalized, customer.currentWebsite);
+        return done({ success: saved, skipped: false, reason: saved ? 'saved' : 'save_failed', url: normalized, source: 'manual' });
       }
     }
 
     let websiteUrl = opts.website;
-    let result = null;
     
     if (!websiteUrl) {
-      // Run automated search
-      result = await findWebsite(customer);
+      // Run automated search; a lookup where a tier errored is a failure to
+      // rerun with --resume, not a "not found"
+      let lookupError;
+      try {
+        result = await findWebsite(customer);
+      } catch (e) {
+        if (!(e instanceof LookupFailedError)) throw e;
+        lookupError = e.message;
+      }
       
       if (result) {
-        console.log(`\n✓ Found: ${result.url}`);
-        console.log(`  Source: ${result.source}`);
-        console.log(`  Confidence: ${result.confidence}`);
+        log.info(`\n✓ Found: ${result.url}`, {
+          event: 'search.result', url: result.url, source: result.source, confidence: result.confidence, score: result.score, candidates: result.allResults
+        });
+        log.text(`  Source: ${result.source}`);
+        log.text(`  Confidence: ${result.confidence}${result.score !== undefined ? ` (${result.score}/100)` : ''}`);
+        if (result.reasons) log.text(`  Why: ${result.reasons.join(', ')}`);
         
         if (opts.nonInteractive) {
           if (result.confidence === 'high' || opts.force) {
             websiteUrl = result.url;
           } else {
-            console.log(`Skipping - confidence too low for non-interactive mode`);
-            return { success: true, skipped: true };
+            reviewQueue.queueForReview(CONFIG.reviewQueue, customer, result);
+            log.info(`Queued for review - confidence too low for non-interactive mode`, { event: 'queued', url: result.url });
+            return done({ success: true, skipped: true, reason: 'low_confidence', url: result.url, source: result.source, queued: true });
           }
         } else {
           const choice = (await question(`\nUse this website? (y/n/e for enter manually): `)).trim().toLowerCase();
@@ -645,121 +612,184 @@ async function processCustomer(customerCode, opts = {}) {
           } else if (choice === 'e') {
             const manual = await question('Enter website URL (or press Enter to skip): ');
             if (manual && manual.trim() !== '') websiteUrl = manual;
-            else return { success: true, skipped: true };
+            else return done({ success: true, skipped: true, reason: 'declined' });
           } else {
-            console.log(`Skipped by user`);
-            return { success: true, skipped: true };
+            log.info(`Skipped by user`, { event: 'skip', reason: 'declined' });
+            return done({ success: true, skipped: true, reason: 'declined' });
           }
         }
       } else {
+        const failed = { success: false, skipped: false, reason: 'lookup_failed', error: lookupError };
         if (opts.nonInteractive) {
-          console.log(`No website found - skipping`);
-          return { success: true, skipped: true };
+          if (lookupError) return done(failed);
+          log.info(`No website found - skipping`, { event: 'skip', reason: 'not_found' });
+          return done({ success: true, skipped: true, reason: 'not_found' });
         }
-        const manual = await question('\nNo website found. Enter URL manually (or press Enter to skip): ');
-        if (!manual || manual.trim() === '') return { success: true, skipped: true };
+        const manual = await question(`\n${lookupError ? 'Lookup failed' : 'No website found'}. Enter URL manually (or press Enter to skip): `);
+        if (!manual || manual.trim() === '') return done(lookupError ? failed : { success: true, skipped: true, reason: 'no_input' });
         websiteUrl = manual;
       }
     }
 
     if (!websiteUrl || websiteUrl.trim() === '') {
-      return { success: true, skipped: true };
+      return done({ success: true, skipped: true, reason: 'no_input' });
     }
 
     const normalizedUrl = normalizeDomain(websiteUrl);
-    console.log(`\nSaving: ${normalizedUrl}`);
+    log.text(`\nSaving: ${normalizedUrl}`);
 
     if (!opts.nonInteractive && !opts.autoConfirm) {
       const confirm = (await question(`Confirm save? (y/n): `)).trim().toLowerCase();
       if (confirm !== 'y') {
-        console.log(`Cancelled by user`);
-        return { success: true, skipped: true };
+        log.info(`Cancelled by user`, { event: 'skip', reason: 'declined' });
+        return done({ success: true, skipped: true, reason: 'declined' });
       }
     }
 
-    const saved = await saveCustomerWebsite(customer.id, customer.code, normalizedUrl);
+    const saved = await saveCustomerWebsite(customer.id, customer.code, normalizedUrl, customer.currentWebsite);
+    const source = opts.website ? 'input' : (result && websiteUrl === result.url ? result.source : 'manual');
     if (saved) {
-      console.log('✓ Website updated successfully!');
-      return { success: true, skipped: false, updated: true, url: normalizedUrl };
+      log.info('✓ Website updated successfully!', { event: 'save', url: normalizedUrl, previous: customer.currentWebsite, source });
+      return done({ success: true, skipped: false, updated: true, reason: 'saved', url: normalizedUrl, source });
     } else {
-      console.log('✗ Failed to update website');
-      return { success: false, skipped: false };
+      log.error('✗ Failed to update website', { event: 'save.failed', url: normalizedUrl });
+      return done({ success: false, skipped: false, reason: 'save_failed', url: normalizedUrl, source });
     }
   } catch (error) {
-    console.error(`\n✗ Error processing customer ${customerCode}: ${error.message}`);
-    return { success: false, skipped: false, error: error.message };
+    log.error(`\n✗ Error processing customer ${customerCode}: ${error.message}`, { event: 'error', code: customerCode, error: error.message });
+    return done({ success: false, skipped: false, reason: 'error', error: error.message });
   }
 }
 
 async function processCustomerList(customerCodes, opts = {}) {
-  const results = { total: customerCodes.length, updated: 0, skipped: 0, failed: 0 };
-  const detailed = [];
-  
-  for (let i = 0; i < customerCodes.length; i++) {
+  const results = { total: customerCodes.length, updated: 0, skipped: 0, failed: 0, lookupFailed: 0, resumed: 0, queued: 0 };
+  // One row per input customer for --output (see src/run-results.ts)
+  const rows = [];
+
+  // First Ctrl-C lets the current customer finish and its journal line land;
+  // a second one exits immediately.
+  let interrupted = false;
+  const onSigint = () => {
+    if (interrupted) process.exit(130);
+    interrupted = true;
+    log.warn('\nInterrupt received - finishing current customer (Ctrl-C again to abort)...', { event: 'interrupt' });
+  };
+  process.on('SIGINT', onSigint);
+  rl.on('SIGINT', onSigint);
+
+  let i = 0;
+  for (; i < customerCodes.length && !interrupted; i++) {
     const item = customerCodes[i];
     const code = typeof item === 'string' ? item : item.code;
     const website = typeof item === 'object' ? item.website : undefined;
 
-    console.log(`\n\n========================================`);
-    console.log(`Progress: ${i+1} of ${results.total}`);
-    console.log(`========================================`);
+    if (opts.completed && opts.completed.has(code)) {
+      results.resumed++;
+      rows.push({ code, status: 'not_processed', reason: 'resumed', candidates: [] });
+      continue;
+    }
+
+    log.text(`\n\n========================================`);
+    log.text(`Progress: ${i+1} of ${results.total}`);
+    log.text(`========================================`);
 
-    const res = await processCustomer(code, { 
+    const startedAt = new Date();
+    const res = await logger.withCustomerContext(code, () => processCustomer(code, { 
       nonInteractive: opts.nonInteractive, 
       website, 
+      hints: typeof item === 'object' ? item : undefined,
       force: opts.force,
       autoConfirm: opts.autoConfirm 
-    });
+    }));
     
+    let outcome;
+    if (res.queued) results.queued++;
+    if (res.reason === 'lookup_failed') results.lookupFailed++;
     if (res.skipped) {
       results.skipped++;
+      outcome = 'skipped';
     } else if (res.success) {
       results.updated++;
-      if (res.url) {
-        detailed.push({ code, url: res.url, status: 'updated' });
-      }
+      outcome = 'updated';
     } else {
       results.failed++;
-      detailed.push({ code, error: res.error || 'unknown', status: 'failed' });
+      outcome = 'failed';
+    }
+    const row = runResult(code, res, outcome, startedAt);
+    rows.push(row);
+    log.progress(`[${i+1}/${results.total}] ${code}: ${row.status} (${row.reason})${row.newWebsite ? ` ${row.newWebsite}` : ''}`, {
+      event: 'customer.done', code, status: row.status, reason: row.reason, url: row.newWebsite, durationMs: row.durationMs
+    });
+
+    if (opts.journalPath) {
+      journal.appendJournal(opts.journalPath, { code, outcome, url: res.url, source: res.source, error: res.error });
     }
   }
 
-  console.log('\n\n========================================');
-  console.log('SUMMARY');
-  console.log('========================================');
-  console.log(`Total processed: ${results.total}`);
-  console.log(`Updated: ${results.updated}`);
-  console.log(`Skipped: ${results.skipped}`);
-  console.log(`Failed: ${results.failed}`);
-  console.log('========================================\n');
+  for (; i < customerCodes.length; i++) {
+    const item = customerCodes[i];
+    rows.push({ code: typeof item === 'string' ? item : item.code, status: 'not_processed', reason: 'interrupted', candidates: [] });
+  }
+
+  process.removeListener('SIGINT', onSigint);
+  rl.removeListener('SIGINT', onSigint);
+
+  const lines = [
+    '\n\n========================================',
+    interrupted ? 'SUMMARY (interrupted - partial results)' : 'SUMMARY',
+    '========================================',
+    `Total processed: ${results.updated + results.skipped + results.failed}`,
+    `Updated: ${results.updated}`,
+    `Skipped: ${results.skipped}`,
+    `Failed: ${results.failed}`
+  ];
+  if (results.lookupFailed) lines.push(`Lookup failed (search errors, not "not found"): ${results.lookupFailed}${opts.journalPath ? ` - rerun with --resume ${opts.journalPath}` : ''}`);
+  if (results.resumed) lines.push(`Already done (resumed): ${results.resumed}`);
+  lines.push(`Spend: ${budget.spendSummary()}`);
+  lines.push(`Spend today: ${budget.spendSummary(budget.usageToday())}`);
+  if (results.queued) lines.push(`Queued for review: ${results.queued} (review with: node dist/cli.js websites review ${CONFIG.reviewQueue})`);
+  if (opts.journalPath) lines.push(`Journal: ${opts.journalPath}`);
+  if (interrupted && opts.journalPath) lines.push(`Resume with: --resume ${opts.journalPath}`);
+  lines.push(`Run ID: ${logger.currentRunId()}`);
+  lines.push('========================================\n');
+  log.summary(lines, { event: 'run.summary', interrupted, ...results, spend: budget.usageThisRun(), journal: opts.journalPath });
   
-  return { results, detailed };
+  return { results, rows };
+}
+
+function runResult(code, res, outcome, startedAt) {
+  const found = res.found;
+  return {
+    code,
+    name: res.name,
+    status: res.queued ? 'queued' : outcome,
+    reason: res.reason,
+    previousWebsite: res.previous,
+    newWebsite: res.skipped ? undefined : res.url,
+    source: res.source || (found && found.source),
+    confidence: found && found.confidence,
+    score: found && found.score,
+    candidates: found ? [found.url, ...(found.allResults || [])] : [],
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    error: res.error
+  };
 }
 
 // ========================================
 // CSV Utilities
 // ========================================
 
-function readCsvFile(filePath) {
-  const text = fs.readFileSync(filePath, 'utf8');
-  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
-  const rows = [];
-  for (const line of lines) {
-    const parts = line.split(',').map(p => p.trim());
-    if (parts.length === 1) rows.push(parts[0]);
-    else rows.push({ code: parts[0], website: parts[1] || '' });
-  }
-  return rows;
+// Reading and quoting are shared with the TypeScript CLI (src/csv.ts, src/customer-input.ts)
+function readCsvFile(filePath, args) {
+  return customerInput.readCustomerInput(filePath, {
+    codeColumn: typeof args['code-column'] === 'string' ? args['code-column'] : undefined,
+    websiteColumn: typeof args['website-column'] === 'string' ? args['website-column'] : undefined
+  });
 }
 
-function writeResultsCsv(filePath, detailed) {
-  const lines = ['code,status,url,error'];
-  for (const item of detailed) {
-    const url = item.url || '';
-    const error = item.error || '';
-    lines.push(`${item.code},${item.status},${url},${error}`);
-  }
-  fs.writeFileSync(filePath, lines.join('\n'), 'utf8');
+function writeResults(filePath, rows, format) {
+  runResults.writeRunResults(filePath, rows, typeof format === 'string' ? format : 'csv');
 }
 
 // ========================================
@@ -767,12 +797,25 @@ function writeResultsCsv(filePath, detailed) {
 // ========================================
 
 async function main() {
-  console.log('\n========================================');
-  console.log('Enhanced Customer Website Bulk Updater');
-  console.log('========================================\n');
-
   const args = parseArgs(process.argv);
+  const runId = logger.configureLogger({
+    logFormat: typeof args['log-format'] === 'string' ? args['log-format'] : undefined,
+    quiet: !!args.quiet,
+    debug: !!args.debug
+  });
+
+  log.text('\n========================================');
+  log.text('Enhanced Customer Website Bulk Updater');
+  log.text('========================================\n');
   
+  // The selected profile sits between .env and the flags below
+  const profileOpts = {
+    profile: typeof args.profile === 'string' ? args.profile : undefined,
+    configFile: typeof args.config === 'string' ? args.config : undefined,
+    confirmProfile: typeof args['confirm-profile'] === 'string' ? args['confirm-profile'] : undefined
+  };
+  Object.assign(CONFIG, profiles.resolvePipConfig(profileOpts), profiles.resolveSearchConfig(profileOpts));
+
   // Apply CLI args to config
   if (args.username) CONFIG.username = args.username;
   if (args.password) CONFIG.password = args.password;
@@ -791,27 +834,70 @@ async function main() {
   
   if (args['force-www']) CONFIG.forceWww = true;
   if (args['no-force-www']) CONFIG.forceWww = false;
-  if (args.debug) CONFIG.debug = true;
-
-  console.log('Active search methods:');
-  console.log(`  Domain Guessing: ${CONFIG.enableDomainGuessing ? '✓' : '✗'}`);
-  console.log(`  Google CSE: ${CONFIG.enableGoogleSearch && CONFIG.googleCseKey ? '✓' : '✗'}`);
-  console.log(`  OpenAI: ${CONFIG.enableOpenAI && CONFIG.openaiKey ? '✓' : '✗'}`);
-  console.log('');
+  if (args['no-verify']) CONFIG.verifyHomepage = false;
+  const num = (flag) => args[flag] !== undefined ? parseFloat(args[flag]) : undefined;
+  httpLayer.configureHttp({ httpTimeout: num('http-timeout'), retries: num('retries') });
+  budget.configureBudget({
+    maxGoogleQueries: num('max-google-queries'),
+    maxGoogleQueriesPerDay: num('max-google-queries-per-day'),
+    maxOpenaiCost: num('max-openai-cost'),
+    maxOpenaiCostPerDay: num('max-openai-cost-per-day'),
+    googleQueryPrice: num('google-query-price'),
+    openaiPrices: typeof args['openai-prices'] === 'string' ? args['openai-prices'] : undefined,
+    usageFile: typeof args['usage-file'] === 'string' ? args['usage-file'] : undefined
+  });
+  cache = lookupCache.openLookupCache({
+    cache: !args['no-cache'],
+    cacheFile: typeof args['cache-file'] === 'string' ? args['cache-file'] : undefined,
+    cacheTtl: args['cache-ttl'] !== undefined ? parseFloat(args['cache-ttl']) : undefined,
+    cacheNegativeTtl: args['cache-negative-ttl'] !== undefined ? parseFloat(args['cache-negative-ttl']) : undefined
+  });
+  CONFIG.reviewQueue = reviewQueue.resolveReviewQueuePath(typeof args['review-queue'] === 'string' ? args['review-queue'] : undefined);
+  CONFIG.changeLog = changeLog.resolveChangeLogPath(typeof args['change-log'] === 'string' ? args['change-log'] : undefined);
+  // Fail before the run rather than when writing its results
+  if (args['output-format'] !== undefined) csv.parseExportFormat(String(args['output-format']));
+
+  const tiers = {
+    'Domain Guessing': CONFIG.enableDomainGuessing,
+    'Google CSE': !!(CONFIG.enableGoogleSearch && CONFIG.googleCseKey),
+    'OpenAI': !!(CONFIG.enableOpenAI && CONFIG.openaiKey)
+  };
+  log.info(`Run ID: ${runId}`, {
+    event: 'run.start', providers: Object.keys(tiers).filter(t => tiers[t]), verify: CONFIG.verifyHomepage, cache: cache ? cache.filePath : undefined
+  });
+  log.text('Active search methods:');
+  for (const [tier, enabled] of Object.entries(tiers)) log.text(`  ${tier}: ${enabled ? '✓' : '✗'}`);
+  log.text(`  Homepage verification: ${CONFIG.verifyHomepage ? '✓' : '✗'}`);
+  log.text(`  Lookup cache: ${cache ? cache.filePath : '✗'}`);
+  log.text('');
 
   const nonInteractive = !!(args.codes || args.yes || args['non-interactive']);
   const autoConfirm = !!args.yes;
 
+  let completed;
+  if (args.resume) {
+    const resumePath = path.resolve(process.cwd(), args.resume);
+    completed = journal.completedCodes(journal.readJournal(resumePath));
+    log.info(`Resuming from ${resumePath}: ${completed.size} customers already completed\n`, { event: 'resume', journal: resumePath, completed: completed.size });
+  }
+  const journalPath = args.journal ? path.resolve(process.cwd(), args.journal)
+    : args.resume ? path.resolve(process.cwd(), args.resume)
+    : journal.defaultJournalPath();
+
   try {
+    if (!(args.scan || args['find-missing']) || args.update) {
+      await profiles.confirmProfileSaves(profileOpts, nonInteractive ? undefined : rl);
+    }
+
     // Scan mode - Find all customers with missing websites
     if (args.scan || args['find-missing']) {
       const hoursBack = args.hours ? parseInt(args.hours) : 24;
-      console.log('Fetching customer list from PIP...\n');
+      log.info('Fetching customer list from PIP...\n', { event: 'scan.fetch' });
       const customerList = await getCustomerList(hoursBack);
-      console.log(`Found ${customerList.length} active customers from change list`);
+      log.info(`Found ${customerList.length} active customers from change list`, { event: 'scan.list', customers: customerList.length });
       
       // Now fetch full details for each customer to check website field
-      console.log('Fetching full customer details to check websites...\n');
+      log.text('Fetching full customer details to check websites...\n');
       const allCustomers = [];
       for (let i = 0; i < customerList.length; i++) {
         const item = customerList[i];
@@ -819,21 +905,21 @@ async function main() {
           const customer = await getCustomer(item.code);
           allCustomers.push(customer);
           if ((i + 1) % 10 === 0) {
-            console.log(`  Progress: ${i + 1}/${customerList.length} customers checked`);
+            log.progress(`  Progress: ${i + 1}/${customerList.length} customers checked`, { event: 'scan.progress', checked: i + 1, total: customerList.length });
           }
         } catch (error) {
-          console.error(`  Error fetching ${item.code}: ${error.message}`);
+          log.error(`  Error fetching ${item.code}: ${error.message}`, { event: 'error', code: item.code, error: error.message });
         }
       }
       
-      console.log(`\nTotal customers checked: ${allCustomers.length}`);
+      log.info(`\nTotal customers checked: ${allCustomers.length}`, { event: 'scan.checked', customers: allCustomers.length });
       
       // Filter for missing websites
       const missingWebsites = allCustomers.filter(c => !c.currentWebsite || c.currentWebsite.trim() === '');
-      console.log(`Customers with missing websites: ${missingWebsites.length}\n`);
+      log.progress(`Customers with missing websites: ${missingWebsites.length}\n`, { event: 'scan.missing', customers: missingWebsites.length });
       
       if (missingWebsites.length === 0) {
-        console.log('All customers have websites!');
+        log.progress('All customers have websites!', { event: 'scan.done' });
         rl.close();
         return;
       }
@@ -841,29 +927,31 @@ async function main() {
       // Save to CSV if requested
       if (args.output) {
         const outputPath = path.resolve(process.cwd(), args.output);
-        const lines = ['code,name,city,state'];
+        const lines = [csv.csvRow(['code', 'name', 'city', 'state'])];
         for (const c of missingWebsites) {
-          lines.push(`${c.code},${c.name},${c.city || ''},${c.state || ''}`);
+          lines.push(csv.csvRow([c.code, c.name, c.city, c.state]));
         }
-        fs.writeFileSync(outputPath, lines.join('\n'), 'utf8');
-        console.log(`Missing website list written to: ${outputPath}\n`);
+        fs.writeFileSync(outputPath, lines.join('\n') + '\n', 'utf8');
+        log.progress(`Missing website list written to: ${outputPath}\n`, { event: 'results', path: outputPath });
       }
       
       // Process them if --update flag is present
       if (args.update) {
-        console.log('Processing customers with missing websites...\n');
+        log.info('Processing customers with missing websites...\n');
         const codes = missingWebsites.map(c => c.code);
-        const { results, detailed } = await processCustomerList(codes, { 
+        const { rows } = await processCustomerList(codes, { 
           nonInteractive: !args.interactive, 
           force: !!args.force,
-          autoConfirm 
+          autoConfirm,
+          journalPath,
+          completed
         });
         
         // Write results to CSV
         if (args['update-results']) {
           const resultsPath = path.resolve(process.cwd(), args['update-results']);
-          writeResultsCsv(resultsPath, detailed);
-          console.log(`\nUpdate results written to: ${resultsPath}`);
+          writeResults(resultsPath, rows, args['output-format']);
+          log.progress(`\nUpdate results written to: ${resultsPath}`, { event: 'results', path: resultsPath });
         }
       }
       
@@ -875,20 +963,22 @@ async function main() {
     if (args.file) {
       const filePath = path.resolve(process.cwd(), args.file);
       if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
-      const rows = readCsvFile(filePath);
-      console.log(`Loaded ${rows.length} customers from ${filePath}\n`);
+      const rows = readCsvFile(filePath, args);
+      log.info(`Loaded ${rows.length} customers from ${filePath}\n`, { event: 'input', path: filePath, rows: rows.length });
       
-      const { results, detailed } = await processCustomerList(rows, { 
+      const { rows: outcomes } = await processCustomerList(rows, { 
         nonInteractive: !args.interactive, 
         force: !!args.force,
-        autoConfirm 
+        autoConfirm,
+        journalPath,
+        completed
       });
       
       // Write results to CSV
       if (args.output) {
         const outputPath = path.resolve(process.cwd(), args.output);
-        writeResultsCsv(outputPath, detailed);
-        console.log(`\nResults written to: ${outputPath}`);
+        writeResults(outputPath, outcomes, args['output-format']);
+        log.progress(`\nResults written to: ${outputPath}`, { event: 'results', path: outputPath });
       }
       
       rl.close();
@@ -898,7 +988,12 @@ async function main() {
     // Codes mode
     if (args.codes) {
       const codes = args.codes.split(',').map(s => s.trim()).filter(Boolean);
-      await processCustomerList(codes, { nonInteractive: true, force: !!args.force, autoConfirm });
+      const { rows: outcomes } = await processCustomerList(codes, { nonInteractive: true, force: !!args.force, autoConfirm, journalPath, completed });
+      if (args.output) {
+        const outputPath = path.resolve(process.cwd(), args.output);
+        writeResults(outputPath, outcomes, args['output-format']);
+        log.progress(`\nResults written to: ${outputPath}`, { event: 'results', path: outputPath });
+      }
       rl.close();
       return;
     }
@@ -920,14 +1015,14 @@ async function main() {
     } else if (mode === '2') {
       const codesInput = await question('Enter customer codes (comma-separated): ');
       const customerCodes = codesInput.split(',').map(c => c.trim()).filter(c => c);
-      await processCustomerList(customerCodes, { nonInteractive: false });
+      await processCustomerList(customerCodes, { nonInteractive: false, journalPath, completed });
     } else {
-      console.log('Invalid option.');
+      log.error('Invalid option.');
     }
 
     rl.close();
   } catch (err) {
-    console.error('\n✗ Fatal error:', err.message || err);
+    log.error(`\n✗ Fatal error: ${err.message || err}`, { event: 'fatal', error: err.message || String(err) });
     rl.close();
     process.exit(1);
   }
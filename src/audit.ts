@@ -0,0 +1,176 @@
+import * as fs from 'fs';
+import { isIP } from 'net';
+import * as path from 'path';
+import { mapPool } from './concurrency';
+import { csvRow } from './csv';
+import { BudgetOptions, configureBudget, spendSummary } from './budget';
+import { CacheOptions, openLookupCache } from './lookup-cache';
+import { configureLogger, log, LogOptions, withCustomerContext } from './logger';
+import { createVerifier } from './verify';
+import { checkHostResolves, fetchHomepage, isParkedPage, ProbeResult } from './domain-guess';
+import { Customer, getCustomer, getCustomerList } from './pip-client';
+import { configureHttp, HttpOptions } from './http';
+import { buildProviders, findWebsite, LookupFailedError, SearchConfig, SearchResult } from './search-providers';
+import { ColumnMapping, readCustomerInput } from './customer-input';
+import { PipConnectionOptions, resolvePipConfig, resolveSearchConfig } from './profiles';
+
+export type AuditStatus = 'healthy' | 'redirected' | 'dead_dns' | 'http_error' | 'parked';
+
+export interface AuditEntry {
+  code: string;
+  name: string;
+  website: string;
+  status: AuditStatus | 'error';
+  detail: string;
+  finalUrl?: string;
+  httpStatus?: number;
+  candidate?: SearchResult | null;
+}
+
+export interface AuditOptions extends PipConnectionOptions, CacheOptions, BudgetOptions, ColumnMapping, LogOptions, HttpOptions {
+  file?: string;
+  codes?: string;
+  scan?: boolean;
+  hours?: number;
+  output?: string;
+  format?: string;
+  concurrency?: number;
+  rediscover?: boolean;
+  enableOpenai?: boolean;
+}
+
+function hostOf(url: string): string {
+  try {
+    return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return url.toLowerCase().replace(/^www\./, '');
+  }
+}
+
+// Good enough for .com/.net/.org style names; a move between subdomains of
+// the same site is not treated as a move.
+function baseDomain(host: string): string {
+  return host.split('.').slice(-2).join('.');
+}
+
+export function classifyProbe(website: string, probe: ProbeResult): { status: AuditStatus; detail: string } {
+  if (probe.error) return { status: 'http_error', detail: probe.error };
+  if (!probe.status || probe.status >= 400) return { status: 'http_error', detail: `HTTP ${probe.status}` };
+  if (isParkedPage(probe.finalUrl, probe.body)) return { status: 'parked', detail: `parked page at ${hostOf(probe.finalUrl)}` };
+  const from = hostOf(website);
+  const to = hostOf(probe.finalUrl);
+  if (baseDomain(from) !== baseDomain(to)) return { status: 'redirected', detail: `moved to ${to}` };
+  return { status: 'healthy', detail: `HTTP ${probe.status}` };
+}
+
+export async function auditWebsite(website: string, config: Pick<SearchConfig, 'dnsTimeout' | 'httpTimeout'>): Promise<Omit<AuditEntry, 'code' | 'name' | 'website'>> {
+  const host = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`).hostname;
+  if (!isIP(host) && !(await checkHostResolves(host, config.dnsTimeout))) return { status: 'dead_dns', detail: 'DNS lookup failed' };
+  const probe = await fetchHomepage(website, config.httpTimeout);
+  return { ...classifyProbe(website, probe), finalUrl: probe.finalUrl, httpStatus: probe.status };
+}
+
+const AUDIT_COLUMNS = ['code', 'name', 'website', 'status', 'detail', 'finalUrl', 'httpStatus', 'candidate', 'candidateSource', 'candidateConfidence'];
+
+export function formatAudit(entries: AuditEntry[], format: string): string {
+  const flat = entries.map(e => ({
+    code: e.code, name: e.name, website: e.website, status: e.status, detail: e.detail,
+    finalUrl: e.finalUrl || '', httpStatus: e.httpStatus ?? '',
+    candidate: e.candidate?.url || '', candidateSource: e.candidate?.source || '', candidateConfidence: e.candidate?.confidence || ''
+  }));
+  if (format === 'json') return JSON.stringify(flat, null, 2) + '\n';
+  if (format === 'ndjson') return flat.map(r => JSON.stringify(r) + '\n').join('');
+  if (format !== 'csv') throw new Error(`Unknown format "${format}" (expected csv, json or ndjson)`);
+  return [csvRow(AUDIT_COLUMNS), ...flat.map(r => csvRow(AUDIT_COLUMNS.map(k => (r as any)[k])))].join('\n') + '\n';
+}
+
+async function auditCodes(opts: AuditOptions, config: ReturnType<typeof resolvePipConfig>): Promise<string[]> {
+  if (opts.file) {
+    const filePath = path.resolve(process.cwd(), opts.file);
+    if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
+    return readCustomerInput(filePath, opts).map(r => r.code);
+  }
+  if (opts.codes) return opts.codes.split(',').map(s => s.trim()).filter(Boolean);
+  if (opts.scan) {
+    const since = new Date(Date.now() - (opts.hours ?? 24) * 3600 * 1000);
+    const list = await getCustomerList(since, config);
+    return list.filter(c => c.active && c.code).map(c => c.code);
+  }
+  throw new Error('Nothing to audit: provide --file, --codes or --scan');
+}
+
+export async function runAudit(opts: AuditOptions = {}) {
+  configureLogger(opts);
+  const format = (opts.format || 'csv').toLowerCase();
+  const config = resolvePipConfig(opts);
+  const searchConfig = resolveSearchConfig(opts);
+  if (opts.enableOpenai) searchConfig.enableOpenAI = true;
+  configureHttp(opts);
+  configureBudget(opts);
+  const providers = opts.rediscover ? buildProviders(searchConfig, openLookupCache(opts)) : [];
+  const verify = createVerifier(searchConfig);
+
+  const codes = await auditCodes(opts, config);
+  log.info(`Auditing ${codes.length} customers...`, { event: 'audit.start', customers: codes.length });
+
+  let withoutWebsite = 0;
+  const entries = await mapPool(codes, opts.concurrency || 4, (code): Promise<AuditEntry | undefined> => withCustomerContext(code, async () => {
+    let customer: Customer;
+    try {
+      customer = await getCustomer(code, config);
+    } catch (err: any) {
+      return { code, name: '', website: '', status: 'error', detail: err.message };
+    }
+    if (!customer.currentWebsite.trim()) {
+      withoutWebsite++;
+      return undefined;
+    }
+
+    const entry: AuditEntry = { code: customer.code || code, name: customer.name, website: customer.currentWebsite, status: 'error', detail: '' };
+    // A malformed stored website or a failed rediscovery is reported on the customer's row
+    try {
+      Object.assign(entry, await auditWebsite(customer.currentWebsite, searchConfig));
+      log.progress(`  ${entry.code}: ${entry.status} (${entry.detail})`, { event: 'audit.entry', status: entry.status, detail: entry.detail });
+
+      if (opts.rediscover && entry.status !== 'healthy' && entry.status !== 'redirected') {
+        let candidate: SearchResult | null = null;
+        try {
+          candidate = await findWebsite(customer, providers, verify);
+        } catch (err: any) {
+          if (!(err instanceof LookupFailedError)) throw err;
+          entry.detail += `; rediscovery failed (${err.failures.map(f => f.tier).join(', ')})`;
+        }
+        // The dead site itself can come back from guessing; that is no candidate
+        entry.candidate = candidate && hostOf(candidate.url) !== hostOf(customer.currentWebsite) ? candidate : null;
+      }
+    } catch (err: any) {
+      Object.assign(entry, { status: 'error', detail: err.message, candidate: undefined });
+      log.progress(`  ${entry.code}: error (${entry.detail})`, { event: 'audit.entry', status: entry.status, detail: entry.detail });
+    }
+    return entry;
+  }));
+
+  const report = entries.filter((e): e is AuditEntry => !!e);
+  const counts: Record<string, number> = {};
+  for (const e of report) counts[e.status] = (counts[e.status] || 0) + 1;
+
+  if (opts.output) {
+    const outputPath = path.resolve(process.cwd(), opts.output);
+    fs.writeFileSync(outputPath, formatAudit(report, format), 'utf8');
+    log.progress(`\nAudit report written to: ${outputPath}`, { event: 'results', path: outputPath });
+  }
+
+  const lines = ['\n========================================', 'AUDIT SUMMARY', '========================================'];
+  for (const status of ['healthy', 'redirected', 'dead_dns', 'http_error', 'parked', 'error']) {
+    lines.push(`${status.padEnd(12)} ${counts[status] || 0}`);
+  }
+  lines.push(`${'no website'.padEnd(12)} ${withoutWebsite}`);
+  const candidates = report.filter(e => e.candidate).length;
+  if (opts.rediscover) {
+    lines.push(`New candidates found: ${candidates}`);
+    lines.push(`Spend: ${spendSummary()}`);
+  }
+  lines.push('========================================\n');
+  log.summary(lines, { event: 'audit.summary', counts, withoutWebsite, candidates: opts.rediscover ? candidates : undefined });
+  return report;
+}
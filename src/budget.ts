@@ -0,0 +1,278 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { log } from './logger';
+
+// Spend tracking for the paid search tiers. Like the rate limiters this is
+// process-wide state: googleSearch and searchWithOpenAI record what they
+// actually used, and the providers stop reporting themselves enabled once a
+// per-run or per-day budget is spent. Per-day totals are kept in a small
+// usage file so separate runs on the same day add up: every write re-reads
+// it and adds to the day's entry, and is swapped in by rename so a reader
+// never sees half a file.
+//
+// Under --concurrency several calls can be checked before any of them has
+// been recorded, so each call reserves its share of the budget first
+// (reserveBudget) and the record functions settle the reservation.
+
+export type PaidService = 'google' | 'openai';
+
+export interface TokenPrice {
+  // USD per 1M tokens
+  input: number;
+  output: number;
+}
+
+export interface BudgetOptions {
+  maxGoogleQueries?: number;
+  maxGoogleQueriesPerDay?: number;
+  maxOpenaiCost?: number;
+  maxOpenaiCostPerDay?: number;
+  googleQueryPrice?: number;
+  openaiPrices?: string;
+  usageFile?: string;
+}
+
+export interface Usage {
+  googleQueries: number;
+  openaiCalls: number;
+  openaiInputTokens: number;
+  openaiOutputTokens: number;
+  openaiCost: number;
+}
+
+// Google CSE: $5 per 1,000 queries beyond the free 100/day
+export const DEFAULT_GOOGLE_QUERY_PRICE = 0.005;
+
+export const DEFAULT_OPENAI_PRICES: Record<string, TokenPrice> = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 }
+};
+
+export const DEFAULT_USAGE_FILE = '.api-usage.json';
+
+// What a lookup is assumed to use before this run has priced one: well above
+// the prompt's size, and the max_tokens the request allows
+export const OPENAI_CALL_ESTIMATE = { inputTokens: 500, outputTokens: 100 };
+
+// How many days of per-day totals the usage file keeps
+const USAGE_HISTORY_DAYS = 31;
+
+const emptyUsage = (): Usage => ({ googleQueries: 0, openaiCalls: 0, openaiInputTokens: 0, openaiOutputTokens: 0, openaiCost: 0 });
+
+// A call that passed the budget check and hasn't been recorded yet
+export interface Reservation {
+  service: PaidService;
+  // Estimated cost in USD (OpenAI only)
+  cost: number;
+}
+
+let options: BudgetOptions = {};
+let prices: Record<string, TokenPrice> = { ...DEFAULT_OPENAI_PRICES };
+let run = emptyUsage();
+let usagePath: string | undefined;
+// The usage file's last parse, reused by the budget checks until the file changes
+let lastRead: { mtimeMs: number; size: number; days: Record<string, Usage> } | undefined;
+const reserved: Record<PaidService, { calls: number; cost: number }> = { google: { calls: 0, cost: 0 }, openai: { calls: 0, cost: 0 } };
+const exhausted = new Set<PaidService>();
+
+// Parses "gpt-4o-mini=0.15/0.6,gpt-4o=2.5/10" (USD per 1M input/output tokens)
+export function parseOpenAIPrices(spec: string): Record<string, TokenPrice> {
+  const out: Record<string, TokenPrice> = {};
+  for (const part of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = part.match(/^([\w.:-]+)=(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/);
+    if (!match) throw new Error(`Invalid OpenAI price "${part}" (expected <model>=<input USD per 1M tokens>/<output USD per 1M tokens>)`);
+    out[match[1]] = { input: Number(match[2]), output: Number(match[3]) };
+  }
+  return out;
+}
+
+export function today(now = new Date()): string {
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function readUsageFile(): Record<string, Usage> {
+  if (!usagePath || !fs.existsSync(usagePath)) return {};
+  const { mtimeMs, size } = fs.statSync(usagePath);
+  if (lastRead && lastRead.mtimeMs === mtimeMs && lastRead.size === size) return lastRead.days;
+  let days: Record<string, Usage> = {};
+  try {
+    const data = JSON.parse(fs.readFileSync(usagePath, 'utf8'));
+    if (data && typeof data === 'object') days = data;
+  } catch (e) {
+    // unreadable: start the totals again
+  }
+  lastRead = { mtimeMs, size, days };
+  return days;
+}
+
+function addToday(delta: Partial<Usage>) {
+  if (!usagePath) return;
+  // Other runs may have written since we last looked
+  const days = { ...readUsageFile() };
+  const key = today();
+  const day = { ...emptyUsage(), ...days[key] };
+  for (const [field, value] of Object.entries(delta) as Array<[keyof Usage, number]>) day[field] += value;
+  days[key] = day;
+  const kept = Object.fromEntries(Object.keys(days).sort().slice(-USAGE_HISTORY_DAYS).map(k => [k, days[k]]));
+  const tmp = `${usagePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(kept, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmp, usagePath);
+  const { mtimeMs, size } = fs.statSync(usagePath);
+  lastRead = { mtimeMs, size, days: kept };
+}
+
+export function usageToday(): Usage {
+  return { ...emptyUsage(), ...readUsageFile()[today()] };
+}
+
+function clearReservations() {
+  for (const service of Object.keys(reserved) as PaidService[]) reserved[service] = { calls: 0, cost: 0 };
+}
+
+export function usageThisRun(): Usage {
+  return { ...run };
+}
+
+export function configureBudget(opts: BudgetOptions = {}) {
+  for (const [flag, value] of Object.entries({
+    '--max-google-queries': opts.maxGoogleQueries,
+    '--max-google-queries-per-day': opts.maxGoogleQueriesPerDay,
+    '--max-openai-cost': opts.maxOpenaiCost,
+    '--max-openai-cost-per-day': opts.maxOpenaiCostPerDay,
+    '--google-query-price': opts.googleQueryPrice
+  })) {
+    if (value !== undefined && !(value >= 0)) throw new Error(`Invalid ${flag} value: ${value}`);
+  }
+  options = { ...opts };
+  prices = { ...DEFAULT_OPENAI_PRICES, ...(opts.openaiPrices ? parseOpenAIPrices(opts.openaiPrices) : {}) };
+  usagePath = path.resolve(process.cwd(), opts.usageFile || DEFAULT_USAGE_FILE);
+  lastRead = undefined;
+  run = emptyUsage();
+  clearReservations();
+  exhausted.clear();
+}
+
+export function resetBudget() {
+  options = {};
+  prices = { ...DEFAULT_OPENAI_PRICES };
+  usagePath = undefined;
+  lastRead = undefined;
+  run = emptyUsage();
+  clearReservations();
+  exhausted.clear();
+}
+
+export function openAIPrice(model: string): TokenPrice | undefined {
+  // Dated snapshots (gpt-4o-mini-2024-07-18) are priced like their base model
+  return prices[model] || prices[model.replace(/-\d{4}-\d{2}-\d{2}$/, '')];
+}
+
+function exhaust(service: PaidService, reason: string): false {
+  if (!exhausted.has(service)) {
+    exhausted.add(service);
+    log.warn(`[Budget] ${reason} - ${service === 'google' ? 'Google CSE' : 'OpenAI'} disabled for the rest of this run`, { event: 'budget.exhausted', service });
+  }
+  return false;
+}
+
+// The budget the next call would overrun, if any. For OpenAI the next call
+// is assumed to cost what calls have cost on average (see nextOpenAICost).
+// With `inFlight`, reserved calls count as spent. A budget of 0 allows nothing.
+function overrun(service: PaidService, inFlight: boolean, model?: string): string | undefined {
+  const pending = inFlight ? reserved[service] : { calls: 0, cost: 0 };
+  if (service === 'google') {
+    const { maxGoogleQueries, maxGoogleQueriesPerDay } = options;
+    if (maxGoogleQueries !== undefined && run.googleQueries + pending.calls >= maxGoogleQueries) {
+      return `Google query budget of ${maxGoogleQueries} per run used`;
+    }
+    if (maxGoogleQueriesPerDay !== undefined && usageToday().googleQueries + pending.calls >= maxGoogleQueriesPerDay) {
+      return `Google query budget of ${maxGoogleQueriesPerDay} per day used`;
+    }
+    return undefined;
+  }
+
+  const { maxOpenaiCost, maxOpenaiCostPerDay } = options;
+  const nextCall = nextOpenAICost(model);
+  if (maxOpenaiCost !== undefined && (maxOpenaiCost === 0 || run.openaiCost + pending.cost + nextCall > maxOpenaiCost)) {
+    return `OpenAI budget of $${maxOpenaiCost} per run used`;
+  }
+  if (maxOpenaiCostPerDay !== undefined && (maxOpenaiCostPerDay === 0 || usageToday().openaiCost + pending.cost + nextCall > maxOpenaiCostPerDay)) {
+    return `OpenAI budget of $${maxOpenaiCostPerDay} per day used`;
+  }
+  return undefined;
+}
+
+// The average so far, or before the first call has been priced, what
+// OPENAI_CALL_ESTIMATE would cost with the model's prices
+function nextOpenAICost(model?: string): number {
+  if (run.openaiCalls) return run.openaiCost / run.openaiCalls;
+  const price = model ? openAIPrice(model) : undefined;
+  return price ? (OPENAI_CALL_ESTIMATE.inputTokens * price.input + OPENAI_CALL_ESTIMATE.outputTokens * price.output) / 1_000_000 : 0;
+}
+
+// Whether another call to the service fits in every configured budget,
+// counting calls that are still in flight. Only spent budget disables the
+// service for the rest of the run; reserved budget may still be released.
+export function budgetAllows(service: PaidService, model?: string): boolean {
+  if (exhausted.has(service)) return false;
+  const spent = overrun(service, false, model);
+  if (spent) return exhaust(service, spent);
+  return !overrun(service, true, model);
+}
+
+// Claims the budget for one call right before it is made. Throws when
+// concurrent calls took what was left since the provider was checked.
+// `model` prices an OpenAI call.
+export function reserveBudget(service: PaidService, model?: string): Reservation {
+  if (!budgetAllows(service, model)) throw new Error(`${service === 'google' ? 'Google CSE' : 'OpenAI'} budget used by calls already in flight`);
+  const reservation: Reservation = { service, cost: service === 'openai' ? nextOpenAICost(model) : 0 };
+  reserved[service].calls++;
+  reserved[service].cost += reservation.cost;
+  return reservation;
+}
+
+// For a reserved call that failed, so nothing was spent
+export function releaseBudget(reservation?: Reservation) {
+  if (!reservation) return;
+  const pending = reserved[reservation.service];
+  pending.calls = Math.max(0, pending.calls - 1);
+  pending.cost = Math.max(0, pending.cost - reservation.cost);
+}
+
+export function recordGoogleQuery(reservation?: Reservation) {
+  releaseBudget(reservation);
+  run.googleQueries++;
+  addToday({ googleQueries: 1 });
+}
+
+// `usage` is the usage object of a chat completion response
+export function recordOpenAIUsage(model: string, usage?: { prompt_tokens?: number; completion_tokens?: number }, reservation?: Reservation): number {
+  releaseBudget(reservation);
+  const input = usage?.prompt_tokens || 0;
+  const output = usage?.completion_tokens || 0;
+  const price = openAIPrice(model);
+  if (!price && (input || output)) log.warn(`[Budget] No price configured for OpenAI model ${model}; add one with --openai-prices`, { event: 'budget.unpriced', model });
+  const cost = price ? (input * price.input + output * price.output) / 1_000_000 : 0;
+  run.openaiCalls++;
+  run.openaiInputTokens += input;
+  run.openaiOutputTokens += output;
+  run.openaiCost += cost;
+  addToday({ openaiCalls: 1, openaiInputTokens: input, openaiOutputTokens: output, openaiCost: cost });
+  return cost;
+}
+
+export function googleCost(queries: number): number {
+  return queries * (options.googleQueryPrice ?? DEFAULT_GOOGLE_QUERY_PRICE);
+}
+
+export function spendSummary(usage: Usage = run): string {
+  const google = `Google ${usage.googleQueries} queries ($${googleCost(usage.googleQueries).toFixed(2)})`;
+  const tokens = usage.openaiInputTokens + usage.openaiOutputTokens;
+  const openai = `OpenAI ${usage.openaiCalls} calls, ${tokens.toLocaleString('en-US')} tokens ($${usage.openaiCost.toFixed(4)})`;
+  const total = googleCost(usage.googleQueries) + usage.openaiCost;
+  return `${google}, ${openai} - total $${total.toFixed(2)}`;
+}
@@ -0,0 +1,86 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+export interface ChangeEntry {
+  timestamp: string;
+  customerId: string;
+  code: string;
+  field: string;
+  previous: string;
+  next: string;
+  source?: string;
+}
+
+export interface ChangeFilter {
+  codes?: string[];
+  since?: Date;
+  until?: Date;
+}
+
+export const DEFAULT_CHANGE_LOG = 'website-changes.ndjson';
+
+export function resolveChangeLogPath(filePath?: string): string {
+  return path.resolve(process.cwd(), filePath || DEFAULT_CHANGE_LOG);
+}
+
+export function appendChange(filePath: string, change: Omit<ChangeEntry, 'timestamp'>): ChangeEntry {
+  const entry: ChangeEntry = { timestamp: new Date().toISOString(), ...change };
+  fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf8');
+  return entry;
+}
+
+export function readChangeLog(filePath: string): ChangeEntry[] {
+  if (!fs.existsSync(filePath)) throw new Error(`Change log not found: ${filePath}`);
+  const entries: ChangeEntry[] = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.code === 'string' && typeof entry.timestamp === 'string') entries.push(entry);
+    } catch (e) {
+      // partial line from an interrupted write
+    }
+  }
+  return entries;
+}
+
+export function filterChanges(entries: ChangeEntry[], filter: ChangeFilter): ChangeEntry[] {
+  const codes = filter.codes?.length ? new Set(filter.codes.map(c => c.toLowerCase())) : undefined;
+  return entries.filter(e => {
+    if (codes && !codes.has(e.code.toLowerCase())) return false;
+    const at = Date.parse(e.timestamp);
+    if (filter.since && at < filter.since.getTime()) return false;
+    if (filter.until && at > filter.until.getTime()) return false;
+    return true;
+  });
+}
+
+export interface RevertPlan {
+  customerId: string;
+  code: string;
+  field: string;
+  // value to put back: what the field held before the first change in range
+  restore: string;
+  // value the last change in range left behind, expected to still be there
+  expected: string;
+  changes: number;
+}
+
+// Collapses the changes per customer and field into a single revert, oldest
+// previous value first, so undoing several saves to one customer restores
+// what it had before the range started.
+export function planRevert(entries: ChangeEntry[]): RevertPlan[] {
+  const plans = new Map<string, RevertPlan>();
+  const sorted = [...entries].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  for (const e of sorted) {
+    const key = `${e.code.toLowerCase()}\u0000${e.field}`;
+    const plan = plans.get(key);
+    if (plan) {
+      plan.expected = e.next;
+      plan.changes++;
+    } else {
+      plans.set(key, { customerId: e.customerId, code: e.code, field: e.field, restore: e.previous, expected: e.next, changes: 1 });
+    }
+  }
+  return [...plans.values()];
+}
@@ -1,66 +1,214 @@
 #!/usr/bin/env node
 import { Command } from "commander";
-import { loadEnv, showConfigMasked, setEnvKey } from "./config";
-import { fetchPyPiPackage } from "./pypi";
-import { transformPyPiToPayload, pushUpdate } from "./updater";
+import { COMMAND_KEYS, configEntries, findConfigKey, loadEnv, setEnvKey, showCommandConfig, showConfigMasked, unsetEnvKey, validateConfig } from "./config";
+import { configureHttp } from "./http";
+import { configurePackageIndex, resolveIndexOptions } from "./pypi";
+import { runSyncFlush, runSyncFrom, runSyncPackage } from "./sync";
 import { runWebsites } from "./websites";
+import { startPipMock } from "./pip-mock";
+import { runRollback } from "./rollback";
+import { runAudit } from "./audit";
+import { runReview } from "./review";
+import { runDoctor } from "./doctor";
+import { runCustomersExport, runCustomersSet } from "./customers";
+import { CUSTOMER_FIELDS } from "./customer-fields";
+import { clearLookupCache, openLookupCache, resolveCachePath } from "./lookup-cache";
+import { createReadline, question, questionHidden } from "./prompt";
 
 const pkg = { name: "ea-pip-updater", version: "0.1.0" };
 
-async function main() {
+function withPipOptions(cmd: Command): Command {
+  return cmd
+    .option("--username <user>", "API username for SOAP auth")
+    .option("--password <pass>", "API password for SOAP auth")
+    .option("--companyID <id>", "Company ID for SOAP auth")
+    .option("--endpoint <url>", "SOAP endpoint URL")
+    .option("--namespace <ns>", "SOAP namespace")
+    .option("--profile <name>", "Use the named profile from the config file")
+    .option("--config <path>", "Profiles config file (default: ea-pip.config.json)")
+    .option("--confirm-profile <name>", "Confirm saving with a profile that requires confirmation");
+}
+
+function pipOptions(opts: any) {
+  return {
+    username: opts.username,
+    password: opts.password,
+    companyID: opts.companyID,
+    endpoint: opts.endpoint,
+    namespace: opts.namespace,
+    profile: opts.profile,
+    configFile: opts.config,
+    confirmProfile: opts.confirmProfile
+  };
+}
+
+function withHttpOptions(cmd: Command): Command {
+  return cmd
+    .option("--http-timeout <ms>", "Timeout for each HTTP request attempt (default: 15000)", (v: string) => parseInt(v, 10))
+    .option("--retries <n>", "Retries for network errors, timeouts, 429 and 5xx responses (default: 3)", (v: string) => parseInt(v, 10));
+}
+
+function httpOptions(opts: any) {
+  return {
+    httpTimeout: opts.httpTimeout,
+    retries: opts.retries
+  };
+}
+
+function withCacheOptions(cmd: Command): Command {
+  return cmd
+    .option("--no-cache", "Neither read nor write the search lookup cache")
+    .option("--cache-file <path>", "Search lookup cache file (default: .lookup-cache.ndjson)")
+    .option("--cache-ttl <days>", "Keep found websites cached for <days> (default: 30)", parseFloat)
+    .option("--cache-negative-ttl <days>", "Keep \"nothing found\" cached for <days> (default: 3)", parseFloat);
+}
+
+function withBudgetOptions(cmd: Command): Command {
+  return cmd
+    .option("--max-google-queries <n>", "Stop using Google CSE after <n> queries this run", parseFloat)
+    .option("--max-google-queries-per-day <n>", "Stop using Google CSE after <n> queries today (all runs)", parseFloat)
+    .option("--max-openai-cost <usd>", "Stop using OpenAI once this run has spent <usd>", parseFloat)
+    .option("--max-openai-cost-per-day <usd>", "Stop using OpenAI once today's runs have spent <usd>", parseFloat)
+    .option("--google-query-price <usd>", "Price per Google CSE query (default: 0.005)", parseFloat)
+    .option("--openai-prices <spec>", "USD per 1M input/output tokens, e.g. gpt-4o-mini=0.15/0.6,gpt-4o=2.5/10")
+    .option("--usage-file <path>", "Where per-day spend is tracked (default: .api-usage.json)");
+}
+
+function withLogOptions(cmd: Command): Command {
+  return cmd
+    .option("--log-format <fmt>", "Log as human-readable text or one JSON event per line: text|json", "text")
+    .option("--quiet", "Only print progress, warnings, errors and the summary")
+    .option("--debug", "Also log SOAP request/response bodies (passwords redacted)");
+}
+
+function logOptions(opts: any) {
+  return {
+    logFormat: opts.logFormat,
+    quiet: opts.quiet,
+    debug: opts.debug
+  };
+}
+
+function budgetOptions(opts: any) {
+  return {
+    maxGoogleQueries: opts.maxGoogleQueries,
+    maxGoogleQueriesPerDay: opts.maxGoogleQueriesPerDay,
+    maxOpenaiCost: opts.maxOpenaiCost,
+    maxOpenaiCostPerDay: opts.maxOpenaiCostPerDay,
+    googleQueryPrice: opts.googleQueryPrice,
+    openaiPrices: opts.openaiPrices,
+    usageFile: opts.usageFile
+  };
+}
+
+function cacheOptions(opts: any) {
+  return {
+    cache: opts.cache,
+    cacheFile: opts.cacheFile,
+    cacheTtl: opts.cacheTtl,
+    cacheNegativeTtl: opts.cacheNegativeTtl
+  };
+}
+
+export function createProgram(): Command {
   const program = new Command();
-  program.name(pkg.name).version(pkg.version);
+  // Options after a subcommand belong to it: `websites rollback --codes X` must
+  // not set the parent `websites` command's --codes (inherited by every command)
+  program.name(pkg.name).version(pkg.version).enablePositionalOptions();
 
-  program
-    .command("sync <package>")
-    .description("Fetch PyPI metadata for <package> and push to external API")
+  withHttpOptions(program
+    .command("sync [package]")
+    .description("Fetch PyPI metadata for <package>, or every package in --from, and push to external API (--flush redelivers failed updates)")
+    .option("--from <file>", "Sync every package in a requirements.txt, pyproject.toml or poetry.lock")
     .option("--dry-run", "Print payload instead of sending", false)
     .option("--format <fmt>", "Output: pretty|json", "pretty")
-    .action(async (pkgName: string, opts: any) => {
+    .option("--include-raw", "Also send the complete PyPI response as raw (can be megabytes)")
+    .option("--index-url <url>", "Package index Simple API URL or local directory (default: PYPI_INDEX_URL or https://pypi.org/simple/)")
+    .option("--index-username <user>", "Package index username; the password comes from PYPI_INDEX_PASSWORD")
+    .option("--index-api <api>", "auto (JSON API, then Simple API), json or simple")
+    .option("--always", "Push even packages whose payload is unchanged since the last push")
+    .option("--diff", "Show new releases, yanked releases and metadata changes since the last push")
+    .option("--state-file <path>", "Where the last push of each package is recorded (default: .sync-state.json)")
+    .option("--flush", "Redeliver updates queued in the outbox after the package API failed")
+    .option("--outbox <path>", "Where updates that failed after retries wait for --flush (default: .sync-outbox.ndjson)"))
+    .action(async (pkgName: string | undefined, opts: any) => {
+      if ([pkgName, opts.from, opts.flush].filter(Boolean).length !== 1) {
+        console.error("Error: give one of a package name, --from <file> or --flush");
+        process.exit(1);
+      }
       const env = loadEnv();
-      console.log("Config:", showConfigMasked());
+      if (opts.format !== "json") console.log("Config:", showCommandConfig("sync"));
       try {
-        console.log(`Fetching ${pkgName} from PyPI...`);
-        const meta = await fetchPyPiPackage(pkgName);
-        const payload = transformPyPiToPayload(meta);
-        if (opts.dryRun) {
-          if (opts.format === "json") console.log(JSON.stringify(payload));
-          else console.log("Payload:", JSON.stringify(payload, null, 2));
-          return;
-        }
-        console.log("Pushing update...");
-        const res = await pushUpdate(payload, false);
-        console.log("Result:", res);
+        configureHttp(httpOptions(opts));
+        configurePackageIndex(resolveIndexOptions({ indexUrl: opts.indexUrl, indexUsername: opts.indexUsername, indexApi: opts.indexApi }, env));
+        const syncOpts = {
+          dryRun: opts.dryRun,
+          format: opts.format,
+          includeRaw: opts.includeRaw,
+          always: opts.always,
+          diff: opts.diff,
+          stateFile: opts.stateFile,
+          outbox: opts.outbox
+        };
+        const ok = opts.flush ? await runSyncFlush(syncOpts)
+          : opts.from ? await runSyncFrom({ from: opts.from, ...syncOpts })
+          : await runSyncPackage(pkgName!, syncOpts);
+        if (!ok) process.exit(1);
       } catch (err: any) {
         console.error("Error:", err?.message || err);
         process.exit(1);
       }
     });
 
-  program
+  const websites = withHttpOptions(withLogOptions(withBudgetOptions(withCacheOptions(withPipOptions(program
     .command("websites")
     .description("Run Customer Website Bulk Updater (interactive or --file CSV)")
-    .option("--file <path>", "CSV file with customer codes or code,website rows")
-    .option("--username <user>", "API username for SOAP auth")
-    .option("--password <pass>", "API password for SOAP auth")
-    .option("--companyID <id>", "Company ID for SOAP auth")
-    .option("--endpoint <url>", "SOAP endpoint URL")
-    .option("--namespace <ns>", "SOAP namespace")
+    .option("--file <path>", "CSV file with customer codes or code,website rows"))))))
+    .option("--code-column <name>", "Header of the customer code column in --file (default: code)")
+    .option("--website-column <name>", "Header of the website column in --file (default: website)")
     .option("--codes <codes>", "Comma-separated customer codes")
     .option("--force", "Force overwrite existing website values")
     .option("--yes", "Assume yes for prompts (non-interactive)")
+    .option("--enable-openai", "Enable OpenAI search fallback (tier 3)")
+    .option("--disable-google", "Skip the Google Custom Search tier")
+    .option("--disable-domain-guessing", "Skip the domain guessing tier")
+    .option("--openai-model <model>", "OpenAI model to use (e.g. gpt-4o-mini, gpt-4o)")
+    .option("--journal <path>", "Append per-customer progress to this journal file")
+    .option("--resume <journal>", "Skip customers already completed in <journal> and keep appending to it")
+    .option("--concurrency <n>", "Process up to <n> customers at once (non-interactive runs only)", (v: string) => parseInt(v, 10), 1)
+    .option("--rate-limit <spec>", "Per-service limits, e.g. pip=10/4,google=1/2,openai=2 (<requests per second>[/<max in flight>])")
+    .option("--change-log <path>", "Record previous/new website of every save here", "website-changes.ndjson")
+    .option("--no-verify", "Trust the search tiers' confidence instead of scoring each candidate's homepage")
+    .option("--review-queue <path>", "Queue candidates too uncertain to save unattended here", "review-queue.ndjson")
+    .option("--output <path>", "Write every customer's outcome, candidates and timing to <path>")
+    .option("--output-format <fmt>", "Results format: csv, json or ndjson", "csv")
     .action(async (opts: any) => {
       try {
         await runWebsites({
           file: opts.file,
-          username: opts.username,
-          password: opts.password,
-          companyID: opts.companyID,
-          endpoint: opts.endpoint,
-          namespace: opts.namespace,
+          codeColumn: opts.codeColumn,
+          websiteColumn: opts.websiteColumn,
+          ...pipOptions(opts),
+          ...cacheOptions(opts),
+          ...budgetOptions(opts),
+          ...logOptions(opts),
+          ...httpOptions(opts),
           force: opts.force,
           yes: opts.yes,
-          codes: opts.codes
+          codes: opts.codes,
+          enableOpenai: opts.enableOpenai,
+          disableGoogle: opts.disableGoogle,
+          disableDomainGuessing: opts.disableDomainGuessing,
+          openaiModel: opts.openaiModel,
+          journal: opts.journal,
+          resume: opts.resume,
+          concurrency: opts.concurrency,
+          rateLimit: opts.rateLimit,
+          changeLog: opts.changeLog,
+          verify: opts.verify,
+          reviewQueue: opts.reviewQueue,
+          output: opts.output,
+          outputFormat: opts.outputFormat
         });
       } catch (err: any) {
         console.error('Error running websites:', err.message || err);
@@ -68,8 +216,309 @@ async function main() {
       }
     });
 
-  await program.parseAsync(process.argv);
+  withPipOptions(websites
+    .command("rollback <log>")
+    .description("Restore the previous website values recorded in a change log"))
+    .option("--codes <codes>", "Only revert these comma-separated customer codes")
+    .option("--since <date>", "Only revert changes made at or after this date/time")
+    .option("--until <date>", "Only revert changes made at or before this date/time")
+    .option("--dry-run", "Show what would be reverted without saving")
+    .option("--force", "Revert even if the website was changed again since")
+    .option("--yes", "Do not ask for confirmation")
+    .option("--change-log <path>", "Where to record the reverts", "website-changes.ndjson")
+    .action(async (log: string, opts: any) => {
+      try {
+        await runRollback(log, {
+          ...pipOptions(opts),
+          codes: opts.codes,
+          since: opts.since,
+          until: opts.until,
+          dryRun: opts.dryRun,
+          force: opts.force,
+          yes: opts.yes,
+          changeLog: opts.changeLog
+        });
+      } catch (err: any) {
+        console.error('Error running rollback:', err.message || err);
+        process.exit(1);
+      }
+    });
+
+  withPipOptions(websites
+    .command("review <queue>")
+    .description("Accept, correct or reject queued low-confidence candidates, then save the approved ones"))
+    .option("--force", "Save even if the website was changed since the candidate was queued")
+    .option("--change-log <path>", "Record previous/new website of every save here", "website-changes.ndjson")
+    .action(async (queue: string, opts: any) => {
+      try {
+        await runReview(queue, { ...pipOptions(opts), force: opts.force, changeLog: opts.changeLog });
+      } catch (err: any) {
+        console.error('Error running review:', err.message || err);
+        process.exit(1);
+      }
+    });
+
+  withHttpOptions(withLogOptions(withBudgetOptions(withCacheOptions(withPipOptions(websites
+    .command("audit")
+    .description("Check stored websites: healthy, redirected, dead_dns, http_error or parked")
+    .option("--file <path>", "CSV file with customer codes to audit"))))))
+    .option("--code-column <name>", "Header of the customer code column in --file (default: code)")
+    .option("--codes <codes>", "Comma-separated customer codes")
+    .option("--scan", "Audit active customers changed in the last --hours")
+    .option("--hours <n>", "How far back --scan looks", (v: string) => parseFloat(v), 24)
+    .option("--output <path>", "Write the audit report to this file")
+    .option("--format <format>", "Report format: csv, json or ndjson", "csv")
+    .option("--concurrency <n>", "Audit up to <n> customers at once", (v: string) => parseInt(v, 10), 4)
+    .option("--rediscover", "Run discovery for dead, erroring and parked sites and report candidates")
+    .option("--enable-openai", "Let --rediscover use the OpenAI tier")
+    .action(async (opts: any) => {
+      try {
+        await runAudit({
+          ...pipOptions(opts),
+          ...cacheOptions(opts),
+          ...budgetOptions(opts),
+          ...logOptions(opts),
+          ...httpOptions(opts),
+          file: opts.file,
+          codeColumn: opts.codeColumn,
+          codes: opts.codes,
+          scan: opts.scan,
+          hours: opts.hours,
+          output: opts.output,
+          format: opts.format,
+          concurrency: opts.concurrency,
+          rediscover: opts.rediscover,
+          enableOpenai: opts.enableOpenai
+        });
+      } catch (err: any) {
+        console.error('Error running audit:', err.message || err);
+        process.exit(1);
+      }
+    });
+
+  const customers = program
+    .command("customers")
+    .description("Work with the e-automate customer base");
+
+  withPipOptions(customers
+    .command("export")
+    .description("Export every customer (code, ID, name, address, phone, website, active) from PIP"))
+    .option("--format <fmt>", "Output: csv|json|ndjson", "csv")
+    .option("--output <path>", "Write to this file instead of stdout")
+    .option("--include-inactive", "Include inactive customers")
+    .option("--concurrency <n>", "Fetch up to <n> customer records at once", (v: string) => parseInt(v, 10), 4)
+    .action(async (opts: any) => {
+      try {
+        await runCustomersExport({
+          ...pipOptions(opts),
+          format: opts.format,
+          output: opts.output,
+          includeInactive: opts.includeInactive,
+          concurrency: opts.concurrency
+        });
+      } catch (err: any) {
+        console.error('Error exporting customers:', err.message || err);
+        process.exit(1);
+      }
+    });
+
+  withPipOptions(customers
+    .command("set <csv>")
+    .description(`Update customer fields from a CSV with a code column plus field columns (${CUSTOMER_FIELDS.map(f => f.name).join(", ")})`))
+    .option("--force", "Overwrite fields that already have a value")
+    .option("--yes", "Save without asking (non-interactive)")
+    .option("--dry-run", "Show the before/after diff without saving")
+    .option("--change-log <path>", "Record previous/new value of every saved field", "customer-changes.ndjson")
+    .action(async (csv: string, opts: any) => {
+      try {
+        await runCustomersSet(csv, {
+          ...pipOptions(opts),
+          force: opts.force,
+          yes: opts.yes,
+          dryRun: opts.dryRun,
+          changeLog: opts.changeLog
+        });
+      } catch (err: any) {
+        console.error('Error setting customer fields:', err.message || err);
+        process.exit(1);
+      }
+    });
+
+  const cache = program
+    .command("cache")
+    .description("Inspect or clear the search lookup cache");
+
+  cache
+    .command("stats")
+    .description("Show cached lookups per search tier")
+    .option("--cache-file <path>", "Search lookup cache file (default: .lookup-cache.ndjson)")
+    .action((opts: any) => {
+      const lookups = openLookupCache({ cacheFile: opts.cacheFile })!;
+      const stats = Object.entries(lookups.stats());
+      console.log(`Cache: ${lookups.filePath}`);
+      if (stats.length === 0) {
+        console.log("  (empty)");
+        return;
+      }
+      for (const [provider, s] of stats) {
+        console.log(`  ${provider.padEnd(16)} found: ${s.found}  not found: ${s.notFound}  expired: ${s.expired}`);
+      }
+    });
+
+  cache
+    .command("clear")
+    .description("Remove cached lookups")
+    .option("--cache-file <path>", "Search lookup cache file (default: .lookup-cache.ndjson)")
+    .option("--provider <name>", "Only clear one tier, e.g. \"Google CSE\"")
+    .option("--expired", "Only clear expired entries")
+    .action((opts: any) => {
+      const filePath = resolveCachePath(opts.cacheFile);
+      const removed = clearLookupCache(filePath, { provider: opts.provider, expiredOnly: opts.expired });
+      console.log(`Removed ${removed} cached lookup(s) from ${filePath}`);
+    });
+
+  withPipOptions(program
+    .command("doctor")
+    .description("Check DNS, outbound HTTPS, PIP credentials, Google CSE and OpenAI; exits 1 if any check fails"))
+    .option("--customer <code>", "Customer code for the PIP getCustomer check (default: DOCTOR; a missing customer still proves auth)")
+    .option("--only <checks>", "Comma-separated checks to run: dns, https, pip, google, openai")
+    .option("--json", "Print the results as JSON")
+    .option("--timeout <ms>", "Per-check timeout", (v: string) => parseInt(v, 10), 10000)
+    .action(async (opts: any) => {
+      try {
+        const ok = await runDoctor({
+          ...pipOptions(opts),
+          customer: opts.customer,
+          only: opts.only,
+          json: opts.json,
+          timeout: opts.timeout
+        });
+        if (!ok) process.exit(1);
+      } catch (err: any) {
+        console.error("Error running doctor:", err.message || err);
+        process.exit(1);
+      }
+    });
+
+  const config = program
+    .command("config")
+    .description("Show, change and check the settings in .env");
+
+  config
+    .command("show")
+    .description("List every known setting (secrets masked) and where its value comes from")
+    .action(() => {
+      const shown = showConfigMasked();
+      for (const entry of configEntries()) {
+        console.log(`  ${entry.key.padEnd(16)} ${shown[entry.key].padEnd(48)} ${entry.source || ""}`);
+      }
+    });
+
+  config
+    .command("set <key> [value]")
+    .description("Write a setting to .env (secrets are prompted for, never taken from the command line)")
+    .action(async (key: string, value: string | undefined) => {
+      try {
+        const setting = findConfigKey(key);
+        if (setting.secret && value !== undefined) {
+          throw new Error(`${key} is a secret - run \`config set ${key}\` and enter it at the prompt so it stays out of shell history`);
+        }
+        if (value === undefined) {
+          if (setting.secret) value = await questionHidden(`${key}: `);
+          else {
+            const rl = createReadline();
+            value = await question(rl, `${key}: `);
+            rl.close();
+          }
+        }
+        if (!value.trim()) throw new Error(`No value given for ${key}`);
+        const malformed = setting.check?.(value.trim());
+        if (malformed) throw new Error(`${key}: ${malformed}`);
+        setEnvKey(key, value.trim());
+        console.log(`Saved ${key} to .env`);
+      } catch (err: any) {
+        console.error("Error:", err.message || err);
+        process.exit(1);
+      }
+    });
+
+  config
+    .command("unset <key>")
+    .description("Remove a setting from .env")
+    .action((key: string) => {
+      try {
+        findConfigKey(key);
+        console.log(unsetEnvKey(key) ? `Removed ${key} from .env` : `${key} is not set in .env`);
+      } catch (err: any) {
+        console.error("Error:", err.message || err);
+        process.exit(1);
+      }
+    });
+
+  config
+    .command("validate [command]")
+    .description(`Report missing or malformed settings per command (${Object.keys(COMMAND_KEYS).join(", ")})`)
+    .action((command: string | undefined) => {
+      const report = validateConfig();
+      if (command && !report[command]) {
+        console.error(`Unknown command "${command}" (expected one of: ${Object.keys(report).join(", ")})`);
+        process.exit(1);
+      }
+      let errors = 0;
+      for (const [name, problems] of Object.entries(report)) {
+        if (command && name !== command) continue;
+        console.log(problems.length ? `${name}:` : `${name}: ✓ ok`);
+        for (const p of problems) console.log(`  ${p.level === "error" ? "✗" : "!"} ${p.key}: ${p.message}`);
+        errors += problems.filter(p => p.level === "error").length;
+      }
+      if (errors) process.exit(1);
+    });
+
+  program
+    .command("pip-mock")
+    .description("Serve a local PIP SOAP stand-in backed by a JSON/CSV customer fixture")
+    .requiredOption("--fixture <path>", "JSON array or CSV (id,code,name,address,city,state,zip,phone,website,active) of customers")
+    .option("--port <n>", "Port to listen on", "8089")
+    .option("--host <host>", "Interface to bind", "127.0.0.1")
+    .option("--username <user>", "Require this username")
+    .option("--password <pass>", "Require this password")
+    .option("--companyID <id>", "Require this company ID")
+    .option("--fail-auth", "Reject every request with an authentication fault")
+    .option("--latency <ms>", "Delay every response by <ms>", "0")
+    .option("--fault-rate <ratio>", "Answer this fraction of requests with a SOAP fault (0-1)", "0")
+    .option("--fault-codes <codes>", "Comma-separated customer codes that always fault")
+    .option("--no-persist", "Keep saves in memory instead of writing them back to the fixture")
+    .action(async (opts: any) => {
+      try {
+        const server = await startPipMock({
+          fixture: opts.fixture,
+          port: parseInt(opts.port, 10),
+          host: opts.host,
+          username: opts.username,
+          password: opts.password,
+          companyID: opts.companyID,
+          failAuth: !!opts.failAuth,
+          latencyMs: parseInt(opts.latency, 10),
+          faultRate: parseFloat(opts.faultRate),
+          faultCodes: opts.faultCodes ? String(opts.faultCodes).split(",").map((s: string) => s.trim()).filter(Boolean) : undefined,
+          persist: opts.persist,
+          log: (line) => console.log(`[pip-mock] ${line}`)
+        });
+        console.log(`PIP mock serving ${server.customers.length} customers at ${server.url}`);
+        console.log(`Try: websites --endpoint ${server.url} --codes <code>`);
+      } catch (err: any) {
+        console.error("Error starting pip-mock:", err.message || err);
+        process.exit(1);
+      }
+    });
+
+  return program;
+}
+
+async function main() {
+  await createProgram().parseAsync(process.argv);
 }
 
-main().catch(e => { console.error(e); process.exit(1); });
+// Not when imported by the tests
+if (require.main === module) main().catch(e => { console.error(e); process.exit(1); });
 
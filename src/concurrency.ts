@@ -0,0 +1,110 @@
+export interface RateLimit {
+  requestsPerSecond?: number;
+  maxInFlight?: number;
+}
+
+export type Service = 'pip' | 'google' | 'openai';
+
+export interface RateLimiter {
+  schedule<T>(fn: () => Promise<T>): Promise<T>;
+}
+
+const sleep = (ms: number) => new Promise(res => setTimeout(res, ms));
+
+// Caps both how many calls run at once and how often a new one may start.
+// Zero or missing values mean "no limit" for that dimension.
+export function createRateLimiter(limit: RateLimit = {}): RateLimiter {
+  const maxInFlight = limit.maxInFlight && limit.maxInFlight > 0 ? limit.maxInFlight : Infinity;
+  const interval = limit.requestsPerSecond && limit.requestsPerSecond > 0 ? 1000 / limit.requestsPerSecond : 0;
+  const waiting: Array<() => void> = [];
+  let inFlight = 0;
+  let nextStart = 0;
+
+  function acquireSlot(): Promise<void> {
+    if (inFlight < maxInFlight) {
+      inFlight++;
+      return Promise.resolve();
+    }
+    return new Promise(res => waiting.push(res));
+  }
+
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) next();
+    else inFlight--;
+  }
+
+  return {
+    async schedule<T>(fn: () => Promise<T>): Promise<T> {
+      await acquireSlot();
+      try {
+        if (interval) {
+          const now = Date.now();
+          const start = Math.max(now, nextStart);
+          nextStart = start + interval;
+          if (start > now) await sleep(start - now);
+        }
+        return await fn();
+      } finally {
+        releaseSlot();
+      }
+    }
+  };
+}
+
+export const DEFAULT_RATE_LIMITS: Record<Service, RateLimit> = {
+  pip: { maxInFlight: 4 },
+  google: { requestsPerSecond: 1, maxInFlight: 2 },
+  openai: { requestsPerSecond: 2, maxInFlight: 2 }
+};
+
+const limiters: Record<Service, RateLimiter> = {
+  pip: createRateLimiter(DEFAULT_RATE_LIMITS.pip),
+  google: createRateLimiter(DEFAULT_RATE_LIMITS.google),
+  openai: createRateLimiter(DEFAULT_RATE_LIMITS.openai)
+};
+
+export function configureRateLimits(limits: Partial<Record<Service, RateLimit>>) {
+  for (const service of Object.keys(limits) as Service[]) {
+    limiters[service] = createRateLimiter({ ...DEFAULT_RATE_LIMITS[service], ...limits[service] });
+  }
+}
+
+export function withRateLimit<T>(service: Service, fn: () => Promise<T>): Promise<T> {
+  return limiters[service].schedule(fn);
+}
+
+// Parses "google=1/2" (1 request per second, 2 in flight) or "pip=10".
+export function parseRateLimitSpec(spec: string): Partial<Record<Service, RateLimit>> {
+  const out: Partial<Record<Service, RateLimit>> = {};
+  for (const part of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = part.match(/^(pip|google|openai)=(\d+(?:\.\d+)?)?(?:\/(\d+))?$/);
+    if (!match || (!match[2] && !match[3])) {
+      throw new Error(`Invalid rate limit "${part}" (expected <pip|google|openai>=<requestsPerSecond>[/<maxInFlight>])`);
+    }
+    const limit: RateLimit = {};
+    if (match[2]) limit.requestsPerSecond = Number(match[2]);
+    if (match[3]) limit.maxInFlight = Number(match[3]);
+    out[match[1] as Service] = { ...out[match[1] as Service], ...limit };
+  }
+  return out;
+}
+
+// Runs fn over items with at most `concurrency` in progress, returning results
+// in input order. Items not started because shouldStop() turned true are left
+// undefined.
+export async function mapPool<T, R>(items: T[], concurrency: number, fn: (item: T, index: number) => Promise<R>, shouldStop: () => boolean = () => false): Promise<Array<R | undefined>> {
+  const results: Array<R | undefined> = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -4,6 +4,76 @@ import dotenv from "dotenv";
 
 const ENV_PATH = path.join(process.cwd(), ".env");
 
+export interface ConfigKey {
+  key: string;
+  description: string;
+  // Masked by `config show`, prompted for (never taken from argv) by `config set`
+  secret?: boolean;
+  // Returns a problem description for a malformed value
+  check?: (value: string) => string | undefined;
+}
+
+export type ConfigSource = ".env" | "environment";
+
+export interface ConfigEntry {
+  key: string;
+  description: string;
+  secret: boolean;
+  value?: string;
+  source?: ConfigSource;
+}
+
+export interface ConfigProblem {
+  key: string;
+  level: "error" | "warning";
+  message: string;
+}
+
+const isUrl = (value: string) => {
+  try {
+    return /^https?:$/.test(new URL(value).protocol) ? undefined : "expected an http(s) URL";
+  } catch {
+    return "expected an http(s) URL";
+  }
+};
+
+export const CONFIG_KEYS: ConfigKey[] = [
+  { key: "EA_USERNAME", description: "e-automate API username" },
+  { key: "EA_PASSWORD", description: "e-automate API password", secret: true },
+  { key: "EA_COMPANYID", description: "e-automate company ID" },
+  { key: "PIP_ENDPOINT", description: "PIP SOAP endpoint URL", check: isUrl },
+  { key: "GOOGLE_CSE_KEY", description: "Google Custom Search API key (tier 2)", secret: true },
+  { key: "GOOGLE_CX", description: "Google Custom Search engine ID (tier 2)" },
+  {
+    key: "OPENAI_API_KEY", description: "OpenAI API key (tier 3)", secret: true,
+    check: v => v.startsWith("sk-") ? undefined : "expected an OpenAI key (sk-...)"
+  },
+  { key: "ENABLE_OPENAI", description: "Enable the OpenAI tier by default", check: v => /^(true|false)$/.test(v) ? undefined : "expected true or false" },
+  { key: "OPENAI_MODEL", description: "OpenAI model (default gpt-4o-mini)" },
+  { key: "API_BASE_URL", description: "Package API base URL (sync)", check: isUrl },
+  { key: "API_KEY", description: "Package API key (sync)", secret: true },
+  { key: "API_SIGNING_SECRET", description: "Signs sync requests with HMAC-SHA256 (X-Signature) when set", secret: true },
+  { key: "PYPI_INDEX_URL", description: "Package index for sync: Simple API URL or local directory (default https://pypi.org/simple/)" },
+  { key: "PYPI_INDEX_USERNAME", description: "Package index username (basic auth)" },
+  { key: "PYPI_INDEX_PASSWORD", description: "Package index password (basic auth)", secret: true },
+  { key: "PYPI_INDEX_TOKEN", description: "Package index bearer token, instead of username/password", secret: true },
+  { key: "PYPI_INDEX_API", description: "auto, json or simple (default auto)", check: v => /^(auto|json|simple)$/.test(v) ? undefined : "expected auto, json or simple" }
+];
+
+const PIP_KEYS = ["EA_USERNAME", "EA_PASSWORD", "EA_COMPANYID"];
+const SEARCH_KEYS = ["GOOGLE_CSE_KEY", "GOOGLE_CX", "OPENAI_API_KEY", "ENABLE_OPENAI", "OPENAI_MODEL"];
+
+// Keys each command reads; required ones are an error when missing. The PIP
+// credentials can still be given as flags or typed at the prompt.
+export const COMMAND_KEYS: Record<string, { required: string[]; optional: string[] }> = {
+  "websites": { required: PIP_KEYS, optional: ["PIP_ENDPOINT", ...SEARCH_KEYS] },
+  "websites audit": { required: PIP_KEYS, optional: ["PIP_ENDPOINT", ...SEARCH_KEYS] },
+  "websites review": { required: PIP_KEYS, optional: ["PIP_ENDPOINT"] },
+  "websites rollback": { required: PIP_KEYS, optional: ["PIP_ENDPOINT"] },
+  "customers": { required: PIP_KEYS, optional: ["PIP_ENDPOINT"] },
+  "sync": { required: ["API_KEY"], optional: ["API_BASE_URL", "API_SIGNING_SECRET", "PYPI_INDEX_URL", "PYPI_INDEX_USERNAME", "PYPI_INDEX_PASSWORD", "PYPI_INDEX_TOKEN", "PYPI_INDEX_API"] }
+};
+
 export function loadEnv() {
   const parsed = dotenv.config({ path: ENV_PATH });
   if (parsed.error) {
@@ -12,18 +82,106 @@ export function loadEnv() {
   return { ...process.env, ...(parsed.parsed ?? {}) } as any;
 }
 
-export function showConfigMasked() {
-  const env = loadEnv();
-  return {
-    API_KEY: env.API_KEY ? `***${String(env.API_KEY).slice(-4)}` : "(not set)",
-    API_BASE_URL: env.API_BASE_URL || "(not set)"
-  };
+function readEnvFile(envPath: string): Record<string, string> {
+  return fs.existsSync(envPath) ? dotenv.parse(fs.readFileSync(envPath)) : {};
+}
+
+export function findConfigKey(key: string): ConfigKey {
+  const known = CONFIG_KEYS.find(k => k.key === key);
+  if (known) return known;
+  const hint = CONFIG_KEYS.find(k => k.key === key.toUpperCase());
+  throw new Error(`Unknown setting ${key}${hint ? ` (did you mean ${hint.key}?)` : ""}; known settings: ${CONFIG_KEYS.map(k => k.key).join(", ")}`);
+}
+
+export function maskValue(value: string): string {
+  return value.length > 8 ? `***${value.slice(-4)}` : "***";
+}
+
+// Every known setting with its value and where it came from. Like loadEnv,
+// .env wins over the process environment.
+export function configEntries(envPath = ENV_PATH, environment: Record<string, string | undefined> = process.env): ConfigEntry[] {
+  const file = readEnvFile(envPath);
+  return CONFIG_KEYS.map(({ key, description, secret }) => {
+    const source: ConfigSource | undefined = file[key] !== undefined ? ".env" : environment[key] !== undefined ? "environment" : undefined;
+    const value = source === ".env" ? file[key] : environment[key];
+    return { key, description, secret: !!secret, value, source };
+  });
+}
+
+export function showConfigMasked(envPath = ENV_PATH, environment: Record<string, string | undefined> = process.env) {
+  const shown: Record<string, string> = {};
+  for (const entry of configEntries(envPath, environment)) {
+    shown[entry.key] = !entry.value ? "(not set)" : entry.secret ? maskValue(entry.value) : entry.value;
+  }
+  return shown;
+}
+
+// Just the settings one command uses (COMMAND_KEYS), for printing as it starts
+export function showCommandConfig(command: string, envPath = ENV_PATH, environment: Record<string, string | undefined> = process.env) {
+  const { required, optional } = COMMAND_KEYS[command];
+  const keys = [...required, ...optional];
+  return Object.fromEntries(Object.entries(showConfigMasked(envPath, environment)).filter(([key]) => keys.includes(key)));
+}
+
+export function validateConfig(env: Record<string, string | undefined> = loadEnv()): Record<string, ConfigProblem[]> {
+  const report: Record<string, ConfigProblem[]> = {};
+  for (const [command, { required, optional }] of Object.entries(COMMAND_KEYS)) {
+    const problems: ConfigProblem[] = [];
+    for (const key of [...required, ...optional]) {
+      const value = env[key]?.trim();
+      if (!value) {
+        if (required.includes(key)) problems.push({ key, level: "error", message: "not set" });
+        continue;
+      }
+      if (/^your_/.test(value)) {
+        problems.push({ key, level: "error", message: "still the placeholder from .env.example" });
+        continue;
+      }
+      const malformed = findConfigKey(key).check?.(value);
+      if (malformed) problems.push({ key, level: "error", message: malformed });
+    }
+    if (optional.includes("GOOGLE_CX") && !env.GOOGLE_CSE_KEY !== !env.GOOGLE_CX) {
+      const missing = env.GOOGLE_CSE_KEY ? "GOOGLE_CX" : "GOOGLE_CSE_KEY";
+      problems.push({ key: missing, level: "warning", message: "not set - the Google Custom Search tier needs both GOOGLE_CSE_KEY and GOOGLE_CX" });
+    }
+    if (optional.includes("OPENAI_API_KEY") && env.ENABLE_OPENAI === "true" && !env.OPENAI_API_KEY) {
+      problems.push({ key: "OPENAI_API_KEY", level: "error", message: "not set but ENABLE_OPENAI=true" });
+    }
+    report[command] = problems;
+  }
+  return report;
 }
 
-export function setEnvKey(key: string, value: string) {
-  const lines = fs.existsSync(ENV_PATH) ? fs.readFileSync(ENV_PATH, "utf8").split(/\r?\n/) : [];
+// dotenv reads unquoted values up to a # comment; quote anything it would mangle
+function formatEnvValue(value: string): string {
+  if (/[\r\n]/.test(value)) throw new Error("Values cannot span lines");
+  if (!/[\s#"'`]/.test(value)) return value;
+  return value.includes("'") ? `"${value}"` : `'${value}'`;
+}
+
+function readEnvLines(envPath: string): string[] {
+  const lines = fs.existsSync(envPath) ? fs.readFileSync(envPath, "utf8").split(/\r?\n/) : [];
+  while (lines.length && lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+function writeEnvLines(envPath: string, lines: string[]) {
+  fs.writeFileSync(envPath, lines.length ? lines.join("\n") + "\n" : "", { mode: 0o600 });
+}
+
+export function setEnvKey(key: string, value: string, envPath = ENV_PATH) {
+  const lines = readEnvLines(envPath);
   const idx = lines.findIndex(l => l.startsWith(key + "="));
-  if (idx >= 0) lines[idx] = `${key}=${value}`;
-  else lines.push(`${key}=${value}`);
-  fs.writeFileSync(ENV_PATH, lines.join("\n"), { mode: 0o600 });
+  if (idx >= 0) lines[idx] = `${key}=${formatEnvValue(value)}`;
+  else lines.push(`${key}=${formatEnvValue(value)}`);
+  writeEnvLines(envPath, lines);
+}
+
+// Returns false when .env had no such key
+export function unsetEnvKey(key: string, envPath = ENV_PATH): boolean {
+  const lines = readEnvLines(envPath);
+  const kept = lines.filter(l => !l.startsWith(key + "="));
+  if (kept.length === lines.length) return false;
+  writeEnvLines(envPath, kept);
+  return true;
 }
@@ -0,0 +1,73 @@
+export type ExportFormat = 'csv' | 'json' | 'ndjson';
+
+export function parseExportFormat(format = 'csv'): ExportFormat {
+  const fmt = format.toLowerCase();
+  if (fmt !== 'csv' && fmt !== 'json' && fmt !== 'ndjson') throw new Error(`Unknown format "${format}" (expected csv, json or ndjson)`);
+  return fmt;
+}
+
+// Quotes a cell per RFC 4180 when it contains a delimiter, quote or newline
+export function csvCell(value: unknown): string {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvRow(values: unknown[]): string {
+  return values.map(csvCell).join(',');
+}
+
+export interface CsvRecord {
+  line: number;
+  cells: string[];
+}
+
+// RFC 4180 parser: quoted cells may contain commas, doubled quotes and line
+// breaks. Each record carries the line it started on for error messages.
+export function parseCsv(text: string): CsvRecord[] {
+  const records: CsvRecord[] = [];
+  let cells: string[] = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0] !== '') records.push({ line: start, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      start = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${start}`);
+  if (cell !== '' || cells.length) endRecord();
+  return records;
+}
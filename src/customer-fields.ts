@@ -0,0 +1,67 @@
+import { normalizeDomain } from './domain-guess';
+
+// Fields `customers set` may update. `name` is the CSV column, `element` the
+// PIP element it is saved to; normalize() returns the value to save or throws
+// with a message suitable for a row-level validation error.
+export interface CustomerField {
+  name: string;
+  element: string;
+  normalize(value: string): string;
+}
+
+function phone(value: string): string {
+  const digits = value.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+  if (digits.length !== 10) throw new Error(`"${value}" is not a 10-digit phone number`);
+  return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+function email(value: string): string {
+  const v = value.trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v)) throw new Error(`"${value}" is not a valid email address`);
+  return v;
+}
+
+function website(value: string): string {
+  const v = normalizeDomain(value).toLowerCase();
+  if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(v)) throw new Error(`"${value}" is not a valid website`);
+  return v;
+}
+
+function state(value: string): string {
+  const v = value.trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(v)) throw new Error(`"${value}" is not a two-letter state code`);
+  return v;
+}
+
+function zip(value: string): string {
+  const v = value.trim();
+  if (!/^\d{5}(-\d{4})?$/.test(v)) throw new Error(`"${value}" is not a ZIP code`);
+  return v;
+}
+
+function text(max: number) {
+  return (value: string) => {
+    const v = value.trim().replace(/\s+/g, ' ');
+    if (!v) throw new Error('value is empty');
+    if (v.length > max) throw new Error(`"${v}" is longer than ${max} characters`);
+    return v;
+  };
+}
+
+export const CUSTOMER_FIELDS: CustomerField[] = [
+  { name: 'name', element: 'CustomerName', normalize: text(100) },
+  { name: 'address', element: 'Address', normalize: text(200) },
+  { name: 'city', element: 'City', normalize: text(50) },
+  { name: 'state', element: 'State', normalize: state },
+  { name: 'zip', element: 'Zip', normalize: zip },
+  { name: 'phone', element: 'Phone1', normalize: phone },
+  { name: 'phone2', element: 'Phone2', normalize: phone },
+  { name: 'fax', element: 'Fax', normalize: phone },
+  { name: 'email', element: 'EMail', normalize: email },
+  { name: 'website', element: 'WebSite', normalize: website }
+];
+
+export function findCustomerField(name: string): CustomerField | undefined {
+  const key = name.trim().toLowerCase();
+  return CUSTOMER_FIELDS.find(f => f.name === key || f.element.toLowerCase() === key);
+}
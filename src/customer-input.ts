@@ -0,0 +1,115 @@
+import * as fs from 'fs';
+import { parseCsv } from './csv';
+import { findCustomerField } from './customer-fields';
+import { Customer } from './pip-client';
+
+// Customer list files for `websites --file` and `websites audit --file`.
+// Either headerless `code` / `code,website` rows (the original format), or a
+// header row naming the columns. With a header, name/city/state columns are
+// kept as search hints for customers whose PIP record lacks them.
+
+export interface CustomerInput {
+  line: number;
+  code: string;
+  website?: string;
+  name?: string;
+  city?: string;
+  state?: string;
+}
+
+export interface ColumnMapping {
+  codeColumn?: string;
+  websiteColumn?: string;
+}
+
+const CODE_HEADERS = ['code', 'customer code', 'customercode', 'customer_code', 'customer'];
+const WEBSITE_HEADERS = ['website', 'web site', 'url', 'websiteurl', 'website_url'];
+const HINT_HEADERS: Record<'name' | 'city' | 'state', string[]> = {
+  name: ['name', 'company', 'company name', 'customer name', 'customername'],
+  city: ['city'],
+  state: ['state', 'st']
+};
+
+const headerKey = (h: string) => h.trim().toLowerCase();
+
+function findColumn(header: string[], names: string[]): number {
+  return header.findIndex(h => names.includes(headerKey(h)));
+}
+
+export function readCustomerInput(filePath: string, mapping: ColumnMapping = {}): CustomerInput[] {
+  const records = parseCsv(fs.readFileSync(filePath, 'utf8'))
+    .filter(r => !r.cells[0].trim().startsWith('#'))
+    .filter(r => r.cells.some(c => c.trim()));
+  if (!records.length) return [];
+
+  const first = records[0].cells;
+  const codeNames = mapping.codeColumn ? [headerKey(mapping.codeColumn)] : CODE_HEADERS;
+  const websiteNames = mapping.websiteColumn ? [headerKey(mapping.websiteColumn)] : WEBSITE_HEADERS;
+  const hasHeader = findColumn(first, codeNames) >= 0;
+  if (!hasHeader && (mapping.codeColumn || mapping.websiteColumn)) {
+    throw new Error(`${filePath} has no header row with a "${mapping.codeColumn || CODE_HEADERS[0]}" column`);
+  }
+
+  let columns: { code: number; website: number; name: number; city: number; state: number };
+  if (hasHeader) {
+    columns = {
+      code: findColumn(first, codeNames),
+      website: findColumn(first, websiteNames),
+      name: findColumn(first, HINT_HEADERS.name),
+      city: findColumn(first, HINT_HEADERS.city),
+      state: findColumn(first, HINT_HEADERS.state)
+    };
+    if (mapping.websiteColumn && columns.website < 0) throw new Error(`${filePath} has no "${mapping.websiteColumn}" column`);
+  } else {
+    columns = { code: 0, website: 1, name: -1, city: -1, state: -1 };
+  }
+
+  const website = findCustomerField('website')!;
+  const errors: string[] = [];
+  const rows: CustomerInput[] = [];
+  const seen = new Map<string, number>();
+
+  for (const record of hasHeader ? records.slice(1) : records) {
+    const cell = (index: number) => index >= 0 ? (record.cells[index] ?? '').trim() : '';
+    const code = cell(columns.code);
+    if (!code) {
+      errors.push(`line ${record.line}: missing customer code`);
+      continue;
+    }
+    const firstLine = seen.get(code.toLowerCase());
+    if (firstLine !== undefined) {
+      errors.push(`line ${record.line}: duplicate customer code ${code} (first on line ${firstLine})`);
+      continue;
+    }
+    seen.set(code.toLowerCase(), record.line);
+
+    const row: CustomerInput = { line: record.line, code };
+    const url = cell(columns.website);
+    if (url) {
+      try {
+        row.website = website.normalize(url);
+      } catch (err: any) {
+        errors.push(`line ${record.line}: website ${err.message}`);
+        continue;
+      }
+    }
+    for (const hint of ['name', 'city', 'state'] as const) {
+      const value = cell(columns[hint]);
+      if (value) row[hint] = value;
+    }
+    rows.push(row);
+  }
+
+  if (errors.length) throw new Error(`Invalid rows in ${filePath}:\n  ${errors.join('\n  ')}`);
+  return rows;
+}
+
+// Fills fields PIP left empty from the input file; PIP data always wins
+export function applyHints(customer: Customer, hints: Pick<CustomerInput, 'name' | 'city' | 'state'> = {}): Customer {
+  return {
+    ...customer,
+    name: customer.name.trim() || hints.name || '',
+    city: customer.city.trim() || hints.city || '',
+    state: customer.state.trim() || hints.state || ''
+  };
+}
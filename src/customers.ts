@@ -0,0 +1,255 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { appendChange } from './change-log';
+import { mapPool } from './concurrency';
+import { csvRow, ExportFormat, parseCsv, parseExportFormat } from './csv';
+import { CustomerField, findCustomerField } from './customer-fields';
+import { getCustomer, getCustomerFields, getCustomerList, saveCustomerFields } from './pip-client';
+import { createReadline, question } from './prompt';
+import { confirmProfileSaves, PipConnectionOptions, resolvePipConfig } from './profiles';
+
+export interface ExportOptions extends PipConnectionOptions {
+  format?: string;
+  output?: string;
+  includeInactive?: boolean;
+  concurrency?: number;
+}
+
+export interface ExportedCustomer {
+  code: string;
+  id: string;
+  name: string;
+  address: string;
+  city: string;
+  state: string;
+  zip: string;
+  phone: string;
+  website: string;
+  active: boolean;
+}
+
+const EXPORT_COLUMNS: Array<keyof ExportedCustomer> = ['code', 'id', 'name', 'address', 'city', 'state', 'zip', 'phone', 'website', 'active'];
+
+// getCustomerList only returns customers changed since a timestamp; asking for
+// everything changed since this date is how we enumerate the whole base.
+const BEGINNING_OF_TIME = new Date('1900-01-01T00:00:00.000Z');
+
+export function formatCustomers(rows: ExportedCustomer[], format: ExportFormat): string {
+  if (format === 'json') return JSON.stringify(rows, null, 2) + '\n';
+  if (format === 'ndjson') return rows.map(r => JSON.stringify(r) + '\n').join('');
+  const lines = [csvRow(EXPORT_COLUMNS), ...rows.map(r => csvRow(EXPORT_COLUMNS.map(k => r[k])))];
+  return lines.join('\n') + '\n';
+}
+
+export async function runCustomersExport(opts: ExportOptions = {}) {
+  const format = parseExportFormat(opts.format);
+  const config = resolvePipConfig(opts);
+  if (!config.username || !config.password || !config.companyID) {
+    throw new Error('Missing credentials/companyID for export. Provide --username --password --companyID');
+  }
+  // Keep stdout clean for the data when no output file is given
+  const log = opts.output ? console.log : console.error;
+
+  log('Fetching customer list from PIP...');
+  const list = (await getCustomerList(BEGINNING_OF_TIME, config)).filter(c => c.code && (opts.includeInactive || c.active));
+  log(`Found ${list.length} ${opts.includeInactive ? '' : 'active '}customers, fetching details...`);
+
+  let done = 0;
+  let failed = 0;
+  const rows = await mapPool(list, opts.concurrency || 4, async (item): Promise<ExportedCustomer> => {
+    const base = { code: item.code, id: item.id, name: item.name, address: '', city: '', state: '', zip: '', phone: '', website: '', active: item.active };
+    try {
+      const c = await getCustomer(item.code, config);
+      return {
+        ...base,
+        id: c.id || item.id,
+        name: c.name || item.name,
+        address: c.address || '',
+        city: c.city,
+        state: c.state,
+        zip: c.zip || '',
+        phone: c.phone,
+        website: c.currentWebsite
+      };
+    } catch (err: any) {
+      // Keep the list-level data so the export is still a complete roster
+      failed++;
+      log(`  Error fetching ${item.code}: ${err.message}`);
+      return base;
+    } finally {
+      if (++done % 100 === 0) log(`  Progress: ${done}/${list.length}`);
+    }
+  });
+
+  const output = formatCustomers(rows as ExportedCustomer[], format);
+  if (opts.output) {
+    const outputPath = path.resolve(process.cwd(), opts.output);
+    fs.writeFileSync(outputPath, output, 'utf8');
+    log(`Exported ${rows.length} customers to ${outputPath}`);
+  } else {
+    process.stdout.write(output);
+  }
+  if (failed) log(`${failed} customer(s) exported without details because getCustomer failed`);
+}
+
+export interface SetOptions extends PipConnectionOptions {
+  force?: boolean;
+  yes?: boolean;
+  dryRun?: boolean;
+  changeLog?: string;
+}
+
+export interface FieldUpdateRow {
+  line: number;
+  code: string;
+  values: Array<{ field: CustomerField; value: string }>;
+}
+
+interface FieldChange {
+  field: CustomerField;
+  before: string;
+  after: string;
+}
+
+// Reads a CSV whose header has a `code` column plus one column per field to
+// set. Empty cells leave that field alone. All rows are validated before
+// anything is saved; problems are reported together with their line numbers.
+export function readFieldUpdates(filePath: string): FieldUpdateRow[] {
+  const [header, ...records] = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  if (!header) throw new Error(`${filePath} is empty`);
+
+  const codeIndex = header.cells.findIndex(h => h.trim().toLowerCase() === 'code');
+  if (codeIndex < 0) throw new Error(`${filePath} has no "code" column`);
+
+  const columns: Array<{ index: number; field: CustomerField }> = [];
+  const unknown: string[] = [];
+  header.cells.forEach((h, index) => {
+    if (index === codeIndex || !h.trim()) return;
+    const field = findCustomerField(h);
+    if (field) columns.push({ index, field });
+    else unknown.push(h.trim());
+  });
+  if (unknown.length) throw new Error(`Unknown field column(s): ${unknown.join(', ')}`);
+  if (!columns.length) throw new Error(`${filePath} has no field columns to set`);
+
+  const errors: string[] = [];
+  const rows: FieldUpdateRow[] = [];
+  for (const record of records) {
+    const code = (record.cells[codeIndex] || '').trim();
+    if (!code) {
+      errors.push(`line ${record.line}: missing customer code`);
+      continue;
+    }
+    const values: FieldUpdateRow['values'] = [];
+    for (const { index, field } of columns) {
+      const raw = record.cells[index] ?? '';
+      if (!raw.trim()) continue;
+      try {
+        values.push({ field, value: field.normalize(raw) });
+      } catch (err: any) {
+        errors.push(`line ${record.line}: ${field.name} ${err.message}`);
+      }
+    }
+    rows.push({ line: record.line, code, values });
+  }
+  if (errors.length) throw new Error(`Invalid rows in ${filePath}:\n  ${errors.join('\n  ')}`);
+  return rows;
+}
+
+function printChanges(changes: FieldChange[]) {
+  for (const c of changes) console.log(`  ${c.field.name.padEnd(8)} ${c.before || '(empty)'} -> ${c.after}`);
+}
+
+export async function runCustomersSet(file: string, opts: SetOptions = {}) {
+  const filePath = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
+  const rows = readFieldUpdates(filePath);
+  console.log(`Loaded ${rows.length} rows from ${filePath}`);
+
+  const config = resolvePipConfig(opts);
+  if (!config.username || !config.password || !config.companyID) {
+    throw new Error('Missing credentials/companyID. Provide --username --password --companyID');
+  }
+
+  const nonInteractive = !!opts.yes;
+  const rl = nonInteractive ? undefined : createReadline();
+  const changeLog = path.resolve(process.cwd(), opts.changeLog || 'customer-changes.ndjson');
+  const results = { updated: 0, skipped: 0, failed: 0 };
+
+  try {
+    if (!opts.dryRun) await confirmProfileSaves(opts, rl);
+    for (const row of rows) {
+      console.log(`\n--- ${row.code} (line ${row.line}) ---`);
+      try {
+        const current = await getCustomerFields(row.code, row.values.map(v => v.field.element), config);
+        let changes: FieldChange[] = row.values
+          .map(({ field, value }) => ({ field, before: current.values[field.element] || '', after: value }))
+          .filter(c => c.before !== c.after);
+
+        if (!changes.length) {
+          console.log('  No changes');
+          results.skipped++;
+          continue;
+        }
+        printChanges(changes);
+
+        const overwrites = changes.filter(c => c.before.trim() !== '');
+        if (overwrites.length && !opts.force) {
+          const names = overwrites.map(c => c.field.name).join(', ');
+          let overwrite = false;
+          if (rl) overwrite = (await question(rl, `Overwrite existing ${names}? (y/n): `)).trim().toLowerCase() === 'y';
+          if (!overwrite) {
+            console.log(`  Keeping existing ${names}${rl ? '' : ' (use --force to overwrite)'}`);
+            changes = changes.filter(c => c.before.trim() === '');
+          }
+        }
+        if (!changes.length) {
+          results.skipped++;
+          continue;
+        }
+
+        if (opts.dryRun) {
+          console.log('  Dry run - not saved');
+          results.skipped++;
+          continue;
+        }
+        if (rl) {
+          const confirm = await question(rl, 'Save these changes? (y/n): ');
+          if (confirm.trim().toLowerCase() !== 'y') {
+            results.skipped++;
+            continue;
+          }
+        }
+
+        const id = current.id || '0';
+        const code = current.code || row.code;
+        const fields: Record<string, string> = {};
+        for (const c of changes) fields[c.field.element] = c.after;
+        const saved = await saveCustomerFields(id, code, fields, config);
+        if (!saved.success) {
+          console.log(`  ✗ Failed: ${saved.messages.join('; ')}`);
+          results.failed++;
+          continue;
+        }
+        for (const c of changes) {
+          appendChange(changeLog, { customerId: id, code, field: c.field.element, previous: c.before, next: c.after, source: 'customers-set' });
+        }
+        console.log('  ✓ Saved');
+        results.updated++;
+      } catch (err: any) {
+        console.error(`  ✗ Error: ${err.message}`);
+        results.failed++;
+      }
+    }
+  } finally {
+    rl?.close();
+  }
+
+  console.log('\n========================================');
+  console.log('SUMMARY');
+  console.log('========================================');
+  console.log(`Updated: ${results.updated}`);
+  console.log(`Skipped: ${results.skipped}`);
+  console.log(`Failed: ${results.failed}`);
+  console.log('========================================\n');
+}
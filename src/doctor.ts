@@ -0,0 +1,171 @@
+import axios from 'axios';
+import { promises as dns } from 'dns';
+import { googleSearch } from './google-search';
+import { configureHttp, describeHttpError } from './http';
+import { getCustomer, PipConfig, PipError, PipHttpError, PipResponseError, SoapFaultError } from './pip-client';
+import { PipConnectionOptions, resolvePipConfig, resolveSearchConfig } from './profiles';
+import { SearchConfig } from './search-providers';
+
+// Checks each integration a websites run depends on, in the order a run
+// would hit them, so a failing run can be pinned on the network, PIP
+// credentials/endpoint, or one of the search API keys.
+
+export type CheckName = 'dns' | 'https' | 'pip' | 'google' | 'openai';
+export type CheckStatus = 'pass' | 'fail' | 'skip';
+
+export interface CheckResult {
+  check: CheckName;
+  status: CheckStatus;
+  message: string;
+  durationMs: number;
+}
+
+export interface DoctorOptions extends PipConnectionOptions {
+  // Customer code for the getCustomer call; one that doesn't exist still proves auth
+  customer?: string;
+  only?: string;
+  json?: boolean;
+  timeout?: number;
+}
+
+interface CheckContext {
+  pip: PipConfig;
+  search: SearchConfig;
+  customer: string;
+  timeoutMs: number;
+}
+
+type Outcome = { status: CheckStatus; message: string };
+
+export const CHECK_NAMES: CheckName[] = ['dns', 'https', 'pip', 'google', 'openai'];
+
+const LABELS: Record<CheckName, string> = { dns: 'DNS', https: 'HTTPS', pip: 'PIP', google: 'Google CSE', openai: 'OpenAI' };
+const HTTPS_PROBE = 'https://www.googleapis.com/';
+const OPENAI_MODELS_URL = 'https://api.openai.com/v1/models';
+
+function withTimeout<T>(promise: Promise<T>, ms: number, what: string): Promise<T> {
+  let timer: NodeJS.Timeout;
+  const timeout = new Promise<never>((_, reject) => { timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const CHECKS: Record<CheckName, (ctx: CheckContext) => Promise<Outcome>> = {
+  async dns(ctx) {
+    const hosts = [new URL(ctx.pip.endpoint).hostname, 'www.googleapis.com', 'api.openai.com'];
+    const failed: string[] = [];
+    for (const host of hosts) {
+      try {
+        await withTimeout(dns.lookup(host), ctx.timeoutMs, `Resolving ${host}`);
+      } catch (err: any) {
+        failed.push(`${host} (${err.code || err.message})`);
+      }
+    }
+    if (failed.length) return { status: 'fail', message: `Cannot resolve ${failed.join(', ')} - check the network/DNS settings and PIP_ENDPOINT` };
+    return { status: 'pass', message: `Resolved ${hosts.join(', ')}` };
+  },
+
+  async https(ctx) {
+    try {
+      const res = await axios.get(HTTPS_PROBE, { timeout: ctx.timeoutMs, validateStatus: () => true, maxRedirects: 0 });
+      return { status: 'pass', message: `${HTTPS_PROBE} answered HTTP ${res.status}` };
+    } catch (err: any) {
+      return { status: 'fail', message: `No outbound HTTPS to ${HTTPS_PROBE} (${describeHttpError(err)}) - check firewall/proxy settings` };
+    }
+  },
+
+  async pip(ctx) {
+    const missing = [['EA_USERNAME', ctx.pip.username], ['EA_PASSWORD', ctx.pip.password], ['EA_COMPANYID', ctx.pip.companyID]]
+      .filter(([, value]) => !value).map(([key]) => key);
+    if (missing.length) return { status: 'fail', message: `${missing.join(', ')} not set - run \`config set <key>\` or pass --username/--password/--companyID` };
+    try {
+      const customer = await withTimeout(getCustomer(ctx.customer, ctx.pip), ctx.timeoutMs, `getCustomer at ${ctx.pip.endpoint}`);
+      return { status: 'pass', message: `Authenticated at ${ctx.pip.endpoint} (${customer.code}: ${customer.name})` };
+    } catch (err: any) {
+      // PIP only reports result errors (customer not found) once the caller is authenticated
+      if (err instanceof PipResponseError) return { status: 'pass', message: `Authenticated at ${ctx.pip.endpoint} (${err.messages.join('; ')})` };
+      if (err instanceof SoapFaultError) return { status: 'fail', message: `${err.faultString || err.faultCode} - check EA_USERNAME, EA_PASSWORD and EA_COMPANYID (config show)` };
+      if (err instanceof PipHttpError) return { status: 'fail', message: `HTTP ${err.status} from ${ctx.pip.endpoint} - check PIP_ENDPOINT` };
+      if (err instanceof PipError) return { status: 'fail', message: `${err.message} - is ${ctx.pip.endpoint} a PIP endpoint?` };
+      return { status: 'fail', message: `Cannot reach ${ctx.pip.endpoint} (${describeHttpError(err)}) - check PIP_ENDPOINT and the network` };
+    }
+  },
+
+  async google(ctx) {
+    const { googleCseKey, googleCx } = ctx.search;
+    if (!googleCseKey || !googleCx) {
+      return { status: 'skip', message: `${!googleCseKey ? 'GOOGLE_CSE_KEY' : 'GOOGLE_CX'} not set - the Google Custom Search tier is disabled` };
+    }
+    try {
+      const items = await withTimeout(googleSearch('e-automate', googleCseKey, googleCx, 1), ctx.timeoutMs, 'Google CSE query');
+      return { status: 'pass', message: `Query answered with ${items.length} result(s)` };
+    } catch (err: any) {
+      const hint = err.response?.status === 400 ? 'check GOOGLE_CX' : err.response?.status === 403 ? 'check GOOGLE_CSE_KEY and the daily quota' : 'check GOOGLE_CSE_KEY and GOOGLE_CX';
+      return { status: 'fail', message: `${describeHttpError(err)} - ${hint}` };
+    }
+  },
+
+  async openai(ctx) {
+    const { openaiKey, openaiModel } = ctx.search;
+    if (!openaiKey) return { status: 'skip', message: 'OPENAI_API_KEY not set - the OpenAI tier is disabled' };
+    try {
+      const res = await axios.get(OPENAI_MODELS_URL, { timeout: ctx.timeoutMs, headers: { Authorization: `Bearer ${openaiKey}` } });
+      const models: string[] = (res.data?.data || []).map((m: any) => m.id);
+      if (!models.includes(openaiModel)) {
+        return { status: 'fail', message: `Key works but model ${openaiModel} is not available to it - set OPENAI_MODEL or --openai-model` };
+      }
+      return { status: 'pass', message: `Key accepted, ${openaiModel} available${ctx.search.enableOpenAI ? '' : ' (tier off until --enable-openai or ENABLE_OPENAI=true)'}` };
+    } catch (err: any) {
+      const hint = err.response?.status === 401 ? 'check OPENAI_API_KEY' : 'check OPENAI_API_KEY and the network';
+      return { status: 'fail', message: `${describeHttpError(err)} - ${hint}` };
+    }
+  }
+};
+
+export function parseCheckNames(value?: string): CheckName[] {
+  if (!value) return CHECK_NAMES;
+  const names = value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.filter(n => !CHECK_NAMES.includes(n as CheckName));
+  if (unknown.length) throw new Error(`Unknown check(s): ${unknown.join(', ')} (expected ${CHECK_NAMES.join(', ')})`);
+  return names as CheckName[];
+}
+
+export async function runChecks(opts: DoctorOptions = {}): Promise<CheckResult[]> {
+  const names = parseCheckNames(opts.only);
+  const ctx: CheckContext = {
+    pip: resolvePipConfig(opts),
+    search: resolveSearchConfig(opts),
+    customer: opts.customer || 'DOCTOR',
+    timeoutMs: opts.timeout ?? 10000
+  };
+  // Report what each integration answers first time rather than retrying through it
+  configureHttp({ httpTimeout: ctx.timeoutMs, retries: 0 });
+  const results: CheckResult[] = [];
+  for (const check of names) {
+    const started = Date.now();
+    let outcome: Outcome;
+    try {
+      outcome = await CHECKS[check](ctx);
+    } catch (err: any) {
+      outcome = { status: 'fail', message: err.message || String(err) };
+    }
+    results.push({ check, ...outcome, durationMs: Date.now() - started });
+  }
+  return results;
+}
+
+export function formatCheckTable(results: CheckResult[]): string {
+  const mark: Record<CheckStatus, string> = { pass: '✓ pass', fail: '✗ fail', skip: '- skip' };
+  const lines = results.map(r => `  ${LABELS[r.check].padEnd(11)} ${mark[r.status]}  ${r.message}`);
+  const failed = results.filter(r => r.status === 'fail').length;
+  const skipped = results.filter(r => r.status === 'skip').length;
+  lines.push('', failed ? `${failed} check(s) failed` : `All checks passed${skipped ? ` (${skipped} skipped)` : ''}`);
+  return lines.join('\n');
+}
+
+// Returns false when any check failed
+export async function runDoctor(opts: DoctorOptions = {}): Promise<boolean> {
+  const results = await runChecks(opts);
+  if (opts.json) console.log(JSON.stringify(results, null, 2));
+  else console.log(formatCheckTable(results));
+  return results.every(r => r.status !== 'fail');
+}
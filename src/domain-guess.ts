@@ -0,0 +1,217 @@
+import * as https from 'https';
+import * as http from 'http';
+import { promises as dns } from 'dns';
+import { log } from './logger';
+import { Customer } from './pip-client';
+import { SearchConfig, SearchProvider, SearchResult } from './search-providers';
+
+export function normalizeDomain(url?: string, forceWww = true): string {
+  if (!url) return '';
+  url = url.trim();
+  try {
+    const u = new URL(url.startsWith('http') ? url : `https://${url}`);
+    let host = u.hostname;
+    if (forceWww && !host.startsWith('www.')) host = `www.${host}`;
+    return host;
+  } catch (e) {
+    url = url.replace(/^(https?:\/\/)?(www\.)?/i, '').split('/')[0];
+    if (forceWww && !/^www\./i.test(url)) url = `www.${url}`;
+    return url;
+  }
+}
+
+export function cleanCompanyName(name: string): string {
+  return name
+    .toLowerCase()
+    .replace(/\b(inc|llc|corp|ltd|limited|incorporated|corporation|company|co|l\.l\.c\.|l\.l\.c)\b\.?/gi, '')
+    .replace(/^the\s+/i, '')
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim();
+}
+
+export function generateDomainPatterns(companyName: string, city?: string): string[] {
+  const cleaned = cleanCompanyName(companyName);
+  const noSpaces = cleaned.replace(/\s+/g, '');
+  const hyphenated = cleaned.replace(/\s+/g, '-');
+  const noNumbers = noSpaces.replace(/\d+/g, '');
+
+  const patterns = [
+    `${noSpaces}.com`,
+    `${hyphenated}.com`,
+    `${noNumbers}.com`
+  ];
+
+  if (city) {
+    const cityClean = city.toLowerCase().replace(/[^a-z0-9]/g, '');
+    patterns.push(`${cityClean}${noSpaces}.com`);
+    patterns.push(`${noSpaces}${cityClean}.com`);
+  }
+
+  // Drop patterns that collapsed to a bare TLD (e.g. a name made only of digits)
+  return [...new Set(patterns)]
+    .filter(p => p !== '.com')
+    .map(p => p.startsWith('www.') ? p : `www.${p}`);
+}
+
+async function resolves(host: string, timeoutMs: number): Promise<boolean> {
+  let timer: NodeJS.Timeout | undefined;
+  try {
+    await Promise.race([
+      dns.resolve(host),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('DNS timeout')), timeoutMs); })
+    ]);
+    return true;
+  } catch (err) {
+    return false;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+// Whether the domain is registered: looks up the apex, www. stripped
+export async function checkDomainExists(domain: string, timeoutMs = 3000): Promise<boolean> {
+  return resolves(domain.replace(/^www\./i, ''), timeoutMs);
+}
+
+// Whether a stored site's host resolves: the host as given (www.acme.com can
+// have a record its apex lacks), then the apex
+export async function checkHostResolves(host: string, timeoutMs = 3000): Promise<boolean> {
+  if (await resolves(host, timeoutMs)) return true;
+  return /^www\./i.test(host) && checkDomainExists(host, timeoutMs);
+}
+
+export async function checkWebsiteResponds(domain: string, timeoutMs = 5000): Promise<boolean> {
+  return new Promise((resolve) => {
+    const options: https.RequestOptions = {
+      method: 'HEAD',
+      timeout: timeoutMs,
+      headers: { 'User-Agent': 'ea-pip-updater/2.0' }
+    };
+
+    const url = domain.startsWith('http') ? domain : `https://${domain}`;
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.request(url, options, (res) => {
+      res.resume();
+      resolve(!!res.statusCode && res.statusCode >= 200 && res.statusCode < 400);
+    });
+
+    req.on('error', () => resolve(false));
+    req.on('timeout', () => {
+      req.destroy();
+      resolve(false);
+    });
+    req.end();
+  });
+}
+
+export interface ProbeResult {
+  status?: number;
+  finalUrl: string;
+  redirects: string[];
+  error?: string;
+  body: string;
+}
+
+const MAX_REDIRECTS = 5;
+const MAX_BODY = 64 * 1024;
+
+// Phrases and hosts that give away a domain parking or for-sale page
+const PARKED_MARKERS = [
+  'domain is for sale', 'this domain may be for sale', 'buy this domain', 'domain parking',
+  'parked free', 'parkingcrew', 'sedoparking', 'bodis.com', 'hugedomains', 'dan.com', 'afternic', 'this domain is parked'
+];
+const PARKING_HOSTS = ['sedo.com', 'hugedomains.com', 'dan.com', 'afternic.com', 'godaddy.com', 'bodis.com', 'parkingcrew.net'];
+
+function request(url: string, timeoutMs: number): Promise<{ status: number; location?: string; body: string }> {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https') ? https : http;
+    const req = protocol.request(url, { method: 'GET', timeout: timeoutMs, headers: { 'User-Agent': 'ea-pip-updater/2.0' } }, (res) => {
+      const status = res.statusCode || 0;
+      const location = res.headers.location;
+      if (status >= 300 && status < 400) {
+        res.resume();
+        return resolve({ status, location, body: '' });
+      }
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (body.length >= MAX_BODY) res.destroy();
+      });
+      res.on('close', () => resolve({ status, body: body.slice(0, MAX_BODY) }));
+      res.on('error', () => resolve({ status, body }));
+    });
+    req.on('error', reject);
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    req.end();
+  });
+}
+
+// GETs the site, following up to MAX_REDIRECTS redirects by hand so the chain is visible
+export async function probeWebsite(website: string, timeoutMs = 5000): Promise<ProbeResult> {
+  let url = /^https?:\/\//i.test(website) ? website : `https://${website}`;
+  const redirects: string[] = [];
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    let res;
+    try {
+      res = await request(url, timeoutMs);
+    } catch (err: any) {
+      return { finalUrl: url, redirects, error: err.message, body: '' };
+    }
+    if (res.status >= 300 && res.status < 400 && res.location) {
+      redirects.push(url);
+      url = new URL(res.location, url).toString();
+      continue;
+    }
+    return { status: res.status, finalUrl: url, redirects, body: res.body };
+  }
+  return { finalUrl: url, redirects, error: `more than ${MAX_REDIRECTS} redirects`, body: '' };
+}
+
+// Stored and guessed websites rarely carry a scheme; plenty of small sites
+// still only speak http, so fall back to it when https fails outright.
+export async function fetchHomepage(website: string, timeoutMs = 5000): Promise<ProbeResult> {
+  const probe = await probeWebsite(website, timeoutMs);
+  if (!probe.error || /^https?:\/\//i.test(website)) return probe;
+  const plain = await probeWebsite(`http://${website}`, timeoutMs);
+  return plain.error ? probe : plain;
+}
+
+export function isParkedPage(finalUrl: string, body: string): boolean {
+  let host = '';
+  try { host = new URL(finalUrl).hostname.toLowerCase(); } catch (e) { /* not a URL - check the body only */ }
+  if (PARKING_HOSTS.some(p => host === p || host.endsWith(`.${p}`))) return true;
+  const text = body.toLowerCase();
+  return PARKED_MARKERS.some(m => text.includes(m));
+}
+
+export async function guessDomain(customer: Customer, config: SearchConfig): Promise<SearchResult | null> {
+  log.info(`[Domain Guessing] Trying patterns for: ${customer.name}`, { event: 'tier.attempt', tier: 'Domain Guessing' });
+  const patterns = generateDomainPatterns(customer.name, customer.city);
+
+  // Check all patterns at once, then report and pick in pattern order so the
+  // most likely domain still wins.
+  const checks = await Promise.all(patterns.map(async (pattern) => {
+    const exists = await checkDomainExists(pattern, config.dnsTimeout);
+    const responds = exists && await checkWebsiteResponds(pattern, config.httpTimeout);
+    return { pattern, exists, responds };
+  }));
+
+  for (const check of checks) {
+    const outcome = !check.exists ? 'DNS failed' : check.responds ? 'Found!' : 'No response';
+    log.debug(`  Checking: ${check.pattern}... ${check.responds ? '✓' : '✗'} ${outcome}`, { event: 'domain.check', domain: check.pattern, exists: check.exists, responds: check.responds });
+    if (check.responds) return { url: check.pattern, confidence: 'high', source: 'domain_guess' };
+  }
+
+  log.info(`  No valid domain found via guessing (${checks.length} patterns)`, { event: 'tier.miss', tier: 'Domain Guessing' });
+  return null;
+}
+
+export function createDomainGuessProvider(config: SearchConfig): SearchProvider {
+  return {
+    name: 'Domain Guessing',
+    enabled: () => config.enableDomainGuessing,
+    find: (customer) => customer.name ? guessDomain(customer, config) : Promise.resolve(null)
+  };
+}
@@ -1,4 +1,9 @@
-import axios from 'axios';
+import { budgetAllows, recordGoogleQuery, releaseBudget, reserveBudget } from './budget';
+import { normalizeDomain } from './domain-guess';
+import { describeHttpError, httpRequest } from './http';
+import { log } from './logger';
+import { Customer } from './pip-client';
+import { SearchConfig, SearchProvider, SearchResult } from './search-providers';
 
 export interface GoogleResult {
   title: string;
@@ -6,15 +11,89 @@ export interface GoogleResult {
   snippet?: string;
 }
 
-export async function googleSearch(query: string, apiKey?: string, cx?: string): Promise<GoogleResult[]> {
+export interface ScoredResult {
+  url: string;
+  title: string;
+  score: number;
+}
+
+const BAD_DOMAINS = ['facebook.com', 'linkedin.com', 'twitter.com', 'yelp.com', 'yellowpages.com', 'bbb.org'];
+
+export async function googleSearch(query: string, apiKey?: string, cx?: string, num = 5): Promise<GoogleResult[]> {
   if (!apiKey || !cx) return [];
   const url = 'https://www.googleapis.com/customsearch/v1';
+  const reservation = reserveBudget('google');
+  // Errors propagate so a failed query isn't mistaken for (and cached as) no results
+  let res;
+  try {
+    res = await httpRequest('google', 'Google CSE query', { method: 'GET', url, params: { key: apiKey, cx, q: query, num } });
+  } catch (err: any) {
+    releaseBudget(reservation);
+    throw Object.assign(new Error(`Google CSE: ${describeHttpError(err)}`), { response: err.response });
+  }
+  recordGoogleQuery(reservation);
+  if (!res.data || !res.data.items) return [];
+  return res.data.items.map((it: any) => ({ title: it.title, link: it.link, snippet: it.snippet }));
+}
+
+export function scoreGoogleResults(items: GoogleResult[]): ScoredResult[] {
+  const scored = items.map(item => {
+    const url = item.link;
+    const title = (item.title || '').toLowerCase();
+    const snippet = (item.snippet || '').toLowerCase();
+
+    let score = 0;
+    // Higher score for official-looking domains
+    if (url.includes('.com')) score += 10;
+    if (title.includes('official') || title.includes('home')) score += 5;
+    if (snippet.includes('official website')) score += 5;
+    // Penalize social media, directories, etc.
+    if (BAD_DOMAINS.some(bad => url.includes(bad))) score -= 20;
+
+    return { url, title, score };
+  });
+  return scored.sort((a, b) => b.score - a.score);
+}
+
+export function buildGoogleQuery(customer: Customer): string {
+  return [customer.name, customer.city, customer.state, 'official website'].filter(Boolean).join(' ');
+}
+
+export async function searchGoogleCSE(customer: Customer, config: SearchConfig): Promise<SearchResult | null> {
+  const query = buildGoogleQuery(customer);
+  log.info(`[Google CSE] Searching: "${query}"`, { event: 'tier.attempt', tier: 'Google CSE', query });
+
+  const items = await googleSearch(query, config.googleCseKey, config.googleCx);
+  if (items.length === 0) {
+    log.info(`  No results found`, { event: 'tier.miss', tier: 'Google CSE' });
+    return null;
+  }
+
+  const scored = scoreGoogleResults(items);
+  log.info(`  Found ${scored.length} results, top match: ${scored[0].url} (score: ${scored[0].score})`, { event: 'tier.results', tier: 'Google CSE', count: scored.length, top: scored[0].url, score: scored[0].score });
+
+  if (scored[0].score < 0) {
+    log.info(`  Top result has negative score, skipping`, { event: 'tier.miss', tier: 'Google CSE' });
+    return null;
+  }
+
   try {
-    const res = await axios.get(url, { params: { key: apiKey, cx, q: query } });
-    if (!res.data || !res.data.items) return [];
-    return res.data.items.map((it: any) => ({ title: it.title, link: it.link, snippet: it.snippet }));
+    const u = new URL(scored[0].url);
+    return {
+      url: normalizeDomain(u.hostname),
+      confidence: scored[0].score >= 10 ? 'high' : 'medium',
+      source: 'google_cse',
+      allResults: scored.map(s => s.url)
+    };
   } catch (e) {
-    // swallow and return empty for resiliency
-    return [];
+    return null;
   }
 }
+
+export function createGoogleProvider(config: SearchConfig): SearchProvider {
+  return {
+    name: 'Google CSE',
+    enabled: () => config.enableGoogleSearch && !!config.googleCseKey && !!config.googleCx && budgetAllows('google'),
+    find: (customer) => searchGoogleCSE(customer, config)
+  };
+}
@@ -0,0 +1,111 @@
+import axios, { AxiosRequestConfig, AxiosResponse } from 'axios';
+import { Service, withRateLimit } from './concurrency';
+import { log } from './logger';
+
+// Shared timeout and retry policy for outbound API calls (PIP, Google CSE,
+// OpenAI, PyPI, the package API). Like the rate limiters this is process-wide,
+// configured once per run from --http-timeout / --retries.
+//
+// Transient failures (network errors, timeouts, 429, 5xx) are retried with
+// exponential backoff and jitter, honouring Retry-After; anything else (auth,
+// validation, 4xx) fails at once so the caller can report it.
+
+export interface HttpOptions {
+  // Per-attempt timeout in ms
+  httpTimeout?: number;
+  // Retries after the first attempt
+  retries?: number;
+  retryBaseMs?: number;
+  retryMaxMs?: number;
+}
+
+export const DEFAULT_HTTP_OPTIONS: Required<HttpOptions> = { httpTimeout: 15000, retries: 3, retryBaseMs: 500, retryMaxMs: 30000 };
+
+let settings: Required<HttpOptions> = { ...DEFAULT_HTTP_OPTIONS };
+
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+const sleep = (ms: number) => new Promise(res => setTimeout(res, ms));
+
+export function configureHttp(opts: HttpOptions = {}) {
+  const next = { ...DEFAULT_HTTP_OPTIONS };
+  for (const key of Object.keys(DEFAULT_HTTP_OPTIONS) as Array<keyof HttpOptions>) {
+    const value = opts[key];
+    if (value === undefined) continue;
+    if (!Number.isFinite(value) || value < 0) throw new Error(`Invalid ${key} value: ${value}`);
+    next[key] = value;
+  }
+  settings = next;
+}
+
+export function resetHttp() {
+  settings = { ...DEFAULT_HTTP_OPTIONS };
+}
+
+export function httpTimeout(): number {
+  return settings.httpTimeout;
+}
+
+function statusOf(err: any): number | undefined {
+  return err?.response?.status ?? err?.status;
+}
+
+export function isTransient(err: any): boolean {
+  const status = statusOf(err);
+  if (status !== undefined) return status === 429 || status >= 500;
+  return TRANSIENT_CODES.includes(err?.code);
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+export function retryAfterMs(err: any, now = Date.now()): number | undefined {
+  const headers = err?.response?.headers ?? err?.headers;
+  const value = headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(String(value));
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+// Equal jitter: half the exponential delay, plus up to as much again at random
+export function backoffDelay(attempt: number, err?: unknown, opts: HttpOptions = settings, random = Math.random): number {
+  const max = opts.retryMaxMs ?? DEFAULT_HTTP_OPTIONS.retryMaxMs;
+  const retryAfter = retryAfterMs(err);
+  if (retryAfter !== undefined) return Math.min(retryAfter, max);
+  const exp = Math.min(max, (opts.retryBaseMs ?? DEFAULT_HTTP_OPTIONS.retryBaseMs) * 2 ** attempt);
+  return Math.round(exp / 2 + random() * exp / 2);
+}
+
+export function describeHttpError(err: any): string {
+  const status = statusOf(err);
+  const detail = err?.response?.data?.error?.message;
+  if (status !== undefined) return `HTTP ${status}${detail ? `: ${detail}` : ''}`;
+  return err?.code ? `${err.code}: ${err.message}` : err?.message || String(err);
+}
+
+export async function withRetry<T>(what: string, fn: () => Promise<T>, opts: HttpOptions = settings): Promise<T> {
+  const retries = opts.retries ?? DEFAULT_HTTP_OPTIONS.retries;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err: any) {
+      if (attempt >= retries || !isTransient(err)) {
+        if (attempt > 0 && err instanceof Error) err.message = `${err.message} (after ${attempt + 1} attempts)`;
+        throw err;
+      }
+      const delay = backoffDelay(attempt, err, opts);
+      log.warn(`  ${what} failed (${describeHttpError(err)}); retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`, {
+        event: 'http.retry', target: what, attempt: attempt + 1, retries, delayMs: delay, error: describeHttpError(err)
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+// An axios request with the configured timeout and retries; each attempt
+// waits its turn with the service's rate limiter. A function config is
+// called again for every attempt, for headers that must be fresh (signatures).
+export function httpRequest<T = any>(service: Service | undefined, what: string, config: AxiosRequestConfig | (() => AxiosRequestConfig)): Promise<AxiosResponse<T>> {
+  const send = () => axios.request<T>({ timeout: settings.httpTimeout, ...(typeof config === "function" ? config() : config) });
+  return withRetry(what, () => service ? withRateLimit(service, send) : send());
+}
@@ -0,0 +1,67 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+export type JournalOutcome = 'updated' | 'skipped' | 'failed';
+
+export interface JournalEntry {
+  code: string;
+  outcome: JournalOutcome;
+  url?: string;
+  source?: string;
+  error?: string;
+  timestamp: string;
+}
+
+export function defaultJournalPath(now = new Date()): string {
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  return path.resolve(process.cwd(), `journal-${stamp}.ndjson`);
+}
+
+// One JSON object per line. A crash can leave a half-written last line, so
+// lines that don't parse are ignored rather than failing the resume.
+export function readJournal(filePath: string): JournalEntry[] {
+  if (!fs.existsSync(filePath)) throw new Error(`Journal not found: ${filePath}`);
+  const entries: JournalEntry[] = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.code === 'string') entries.push(entry);
+    } catch (e) {
+      // partial line from an interrupted write
+    }
+  }
+  return entries;
+}
+
+// Failed customers are not considered complete so a resumed run retries them.
+export function completedCodes(entries: JournalEntry[]): Set<string> {
+  const done = new Set<string>();
+  for (const entry of entries) {
+    if (entry.outcome === 'failed') done.delete(entry.code);
+    else done.add(entry.code);
+  }
+  return done;
+}
+
+// Ends a crash-truncated last line before a resumed run appends to the
+// journal, so the next entry starts on a line of its own.
+export function terminateJournal(filePath: string) {
+  if (!fs.existsSync(filePath)) return;
+  const size = fs.statSync(filePath).size;
+  if (!size) return;
+  const fd = fs.openSync(filePath, 'r');
+  const last = Buffer.alloc(1);
+  try {
+    fs.readSync(fd, last, 0, 1, size - 1);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (last.toString() !== '\n') fs.appendFileSync(filePath, '\n', 'utf8');
+}
+
+export function appendJournal(filePath: string, entry: Omit<JournalEntry, 'timestamp'>): JournalEntry {
+  const full: JournalEntry = { ...entry, timestamp: new Date().toISOString() };
+  fs.appendFileSync(filePath, JSON.stringify(full) + '\n', 'utf8');
+  return full;
+}
@@ -0,0 +1,129 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+// Run logging for the websites tools. Like the rate limiters and the spend
+// budget this is process-wide state, configured once per run from
+// --log-format / --quiet / --debug.
+//
+// Text output keeps the human-readable console lines (warnings and errors on
+// stderr); `json` emits one object
+// per line with the run ID, the customer code being processed and an event
+// name (customer.start, tier.attempt, candidate, save, error, ...). The
+// customer code is picked up from withCustomerContext, so search tiers log
+// against the right customer even with --concurrency.
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+export type LogFormat = 'text' | 'json';
+
+export interface LogOptions {
+  logFormat?: string;
+  // Only progress lines, warnings, errors and the summary
+  quiet?: boolean;
+  // SOAP request/response bodies (passwords redacted) and other detail
+  debug?: boolean;
+  runId?: string;
+}
+
+// `detail` is a multi-line payload (a SOAP body, a raw API reply): printed
+// under the message as text, kept as a field in JSON
+export type LogFields = Record<string, unknown> & { event?: string; code?: string; detail?: string };
+
+const LEVELS: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+
+let format: LogFormat = 'text';
+let threshold = LEVELS.info;
+let quiet = false;
+let runId: string | undefined;
+const customerContext = new AsyncLocalStorage<{ code: string }>();
+
+export function parseLogFormat(value = 'text'): LogFormat {
+  const fmt = value.toLowerCase();
+  if (fmt !== 'text' && fmt !== 'json') throw new Error(`Unknown log format "${value}" (expected text or json)`);
+  return fmt;
+}
+
+export function newRunId(now = new Date()): string {
+  return `${now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}-${randomUUID().slice(0, 8)}`;
+}
+
+export function configureLogger(opts: LogOptions = {}): string {
+  format = parseLogFormat(opts.logFormat);
+  threshold = opts.debug ? LEVELS.debug : LEVELS.info;
+  quiet = !!opts.quiet;
+  runId = opts.runId || newRunId();
+  return runId;
+}
+
+export function resetLogger() {
+  format = 'text';
+  threshold = LEVELS.info;
+  quiet = false;
+  runId = undefined;
+}
+
+export function currentRunId(): string | undefined {
+  return runId;
+}
+
+export function isDebugEnabled(): boolean {
+  return threshold <= LEVELS.debug;
+}
+
+function enabled(level: LogLevel, always = false): boolean {
+  return LEVELS[level] >= threshold && (!quiet || always || LEVELS[level] >= LEVELS.warn);
+}
+
+export function withCustomerContext<T>(code: string, fn: () => Promise<T>): Promise<T> {
+  return customerContext.run({ code }, fn);
+}
+
+function write(level: LogLevel, message: string, fields: LogFields = {}, always = false) {
+  if (!enabled(level, always)) return;
+  if (format === 'json') {
+    const code = fields.code ?? customerContext.getStore()?.code;
+    const { event, code: _code, ...rest } = fields;
+    console.log(JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      runId,
+      event: event || level === 'error' && 'error' || 'message',
+      ...(code ? { code } : {}),
+      msg: message.trim(),
+      ...rest
+    }));
+    return;
+  }
+  const text = fields.detail ? `${message}\n${fields.detail}` : message;
+  // Warnings and errors go to stderr so they never end up in output meant for
+  // a program, such as `sync --format json`
+  if (level === 'error' || level === 'warn') console.error(text);
+  else console.log(text);
+}
+
+export const log = {
+  debug: (message: string, fields?: LogFields) => write('debug', message, fields),
+  info: (message: string, fields?: LogFields) => write('info', message, fields),
+  warn: (message: string, fields?: LogFields) => write('warn', message, fields),
+  error: (message: string, fields?: LogFields) => write('error', message, fields),
+  // Shown even with --quiet: per-customer progress and the run summary
+  progress: (message: string, fields?: LogFields) => write('info', message, { event: 'progress', ...fields }, true),
+  // Banners and layout for people at a terminal; not emitted as JSON or when quiet
+  text: (message = '') => {
+    if (format === 'text' && !quiet) console.log(message);
+  },
+  // A block of lines for people (shown even with --quiet), one event in JSON
+  summary: (lines: string[], fields: LogFields) => {
+    if (format === 'json') write('info', lines.find(l => l.trim() && !/^=+$/.test(l.trim())) || '', fields, true);
+    else for (const line of lines) console.log(line);
+  }
+};
+
+// Masks credentials in SOAP envelopes before they are logged: <Password>
+// elements (any namespace prefix) and any literal occurrence of the secrets.
+export function redactSoap(xml: string, secrets: Array<string | undefined> = []): string {
+  let out = xml.replace(/(<(?:[\w-]+:)?Password\b[^>]*>)[\s\S]*?(<\/(?:[\w-]+:)?Password>)/gi, '$1***$2');
+  for (const secret of secrets) {
+    if (secret && secret.length >= 4) out = out.split(secret).join('***');
+  }
+  return out;
+}
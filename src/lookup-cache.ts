@@ -0,0 +1,192 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { log } from './logger';
+import { Customer } from './pip-client';
+import { SearchProvider, SearchResult } from './search-providers';
+
+// On-disk cache of search tier lookups, keyed by provider (and its cache
+// variant, such as the OpenAI model) and the normalized company name, city
+// and state. "Nothing found" is cached too, with a shorter
+// TTL. Lookups that fail (network, quota) throw and are never cached.
+//
+// The file is append-only NDJSON so concurrent workers can write without
+// rewriting it; later lines win. It is compacted when loaded if most lines
+// are stale.
+
+export interface CacheEntry {
+  key: string;
+  provider: string;
+  // The provider's cacheVariant when it has one
+  variant?: string;
+  query: string;
+  result: SearchResult | null;
+  storedAt: string;
+  expiresAt: string;
+}
+
+export interface CacheTtl {
+  ttlDays: number;
+  negativeTtlDays: number;
+}
+
+// Command options shared by everything that runs the search tiers
+export interface CacheOptions {
+  // false (--no-cache) neither reads nor writes the cache
+  cache?: boolean;
+  cacheFile?: string;
+  cacheTtl?: number;
+  cacheNegativeTtl?: number;
+}
+
+export interface ProviderStats {
+  hits: number;
+  misses: number;
+  found: number;
+  notFound: number;
+  expired: number;
+}
+
+export interface LookupCache {
+  filePath: string;
+  get(provider: string, customer: Customer, variant?: string): CacheEntry | undefined;
+  set(provider: string, customer: Customer, result: SearchResult | null, variant?: string): CacheEntry;
+  entries(): CacheEntry[];
+  stats(): Record<string, ProviderStats>;
+}
+
+export const DEFAULT_CACHE_FILE = '.lookup-cache.ndjson';
+export const DEFAULT_CACHE_TTL: CacheTtl = { ttlDays: 30, negativeTtlDays: 3 };
+
+export function resolveCachePath(filePath?: string): string {
+  return path.resolve(process.cwd(), filePath || DEFAULT_CACHE_FILE);
+}
+
+export function normalizeQuery(customer: Customer): string {
+  const part = (s?: string) => (s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return [part(customer.name), part(customer.city), part(customer.state)].join('|');
+}
+
+function cacheKey(provider: string, query: string, variant?: string): string {
+  return variant ? `${provider}|${variant}|${query}` : `${provider}|${query}`;
+}
+
+function readEntries(filePath: string): { entries: Map<string, CacheEntry>; lines: number } {
+  const entries = new Map<string, CacheEntry>();
+  let lines = 0;
+  if (!fs.existsSync(filePath)) return { entries, lines };
+  for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    lines++;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.key === 'string' && typeof entry.expiresAt === 'string') entries.set(entry.key, entry);
+    } catch (e) {
+      // partial line from an interrupted write
+    }
+  }
+  return { entries, lines };
+}
+
+const isExpired = (entry: CacheEntry, now = Date.now()) => Date.parse(entry.expiresAt) <= now;
+
+export function createLookupCache(filePath: string, ttl: CacheTtl = DEFAULT_CACHE_TTL): LookupCache {
+  const { entries, lines } = readEntries(filePath);
+  const counters: Record<string, { hits: number; misses: number }> = {};
+  const count = (provider: string, field: 'hits' | 'misses') => {
+    counters[provider] = counters[provider] || { hits: 0, misses: 0 };
+    counters[provider][field]++;
+  };
+
+  const live = [...entries.values()].filter(e => !isExpired(e));
+  if (lines > 100 && live.length < lines / 2) {
+    fs.writeFileSync(filePath, live.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+    entries.clear();
+    for (const e of live) entries.set(e.key, e);
+  }
+
+  return {
+    filePath,
+    get(provider, customer, variant) {
+      const entry = entries.get(cacheKey(provider, normalizeQuery(customer), variant));
+      const hit = entry && !isExpired(entry) ? entry : undefined;
+      count(provider, hit ? 'hits' : 'misses');
+      return hit;
+    },
+    set(provider, customer, result, variant) {
+      const query = normalizeQuery(customer);
+      const days = result ? ttl.ttlDays : ttl.negativeTtlDays;
+      const now = Date.now();
+      const entry: CacheEntry = {
+        key: cacheKey(provider, query, variant),
+        provider,
+        variant,
+        query,
+        result,
+        storedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + days * 24 * 3600 * 1000).toISOString()
+      };
+      entries.set(entry.key, entry);
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf8');
+      return entry;
+    },
+    entries: () => [...entries.values()],
+    stats() {
+      const out: Record<string, ProviderStats> = {};
+      const now = Date.now();
+      for (const e of entries.values()) {
+        const s = out[e.provider] = out[e.provider] || { hits: 0, misses: 0, found: 0, notFound: 0, expired: 0 };
+        if (isExpired(e, now)) s.expired++;
+        else if (e.result) s.found++;
+        else s.notFound++;
+      }
+      for (const [provider, c] of Object.entries(counters)) {
+        out[provider] = { ...(out[provider] || { found: 0, notFound: 0, expired: 0 }), ...c };
+      }
+      return out;
+    }
+  };
+}
+
+export function openLookupCache(opts: CacheOptions = {}): LookupCache | undefined {
+  if (opts.cache === false) return undefined;
+  for (const [flag, value] of [['--cache-ttl', opts.cacheTtl], ['--cache-negative-ttl', opts.cacheNegativeTtl]] as const) {
+    if (value !== undefined && !(value >= 0)) throw new Error(`Invalid ${flag} value: ${value}`);
+  }
+  return createLookupCache(resolveCachePath(opts.cacheFile), {
+    ttlDays: opts.cacheTtl ?? DEFAULT_CACHE_TTL.ttlDays,
+    negativeTtlDays: opts.cacheNegativeTtl ?? DEFAULT_CACHE_TTL.negativeTtlDays
+  });
+}
+
+// Removes all entries, or only those of one provider / only expired ones
+export function clearLookupCache(filePath: string, filter: { provider?: string; expiredOnly?: boolean } = {}): number {
+  const { entries } = readEntries(filePath);
+  const now = Date.now();
+  const remove = (e: CacheEntry) => (!filter.provider || e.provider.toLowerCase() === filter.provider.toLowerCase()) && (!filter.expiredOnly || isExpired(e, now));
+  const kept = [...entries.values()].filter(e => !remove(e));
+  const removed = entries.size - kept.length;
+  if (kept.length === 0) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } else {
+    fs.writeFileSync(filePath, kept.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+  }
+  return removed;
+}
+
+export function withCache(provider: SearchProvider, cache: LookupCache): SearchProvider {
+  return {
+    name: provider.name,
+    cacheVariant: provider.cacheVariant,
+    enabled: () => provider.enabled(),
+    async find(customer) {
+      const cached = cache.get(provider.name, customer, provider.cacheVariant);
+      if (cached) {
+        log.info(`[${provider.name}] Cached: ${cached.result ? cached.result.url : 'no result'} (from ${cached.storedAt.slice(0, 10)})`, { event: 'tier.cached', tier: provider.name, url: cached.result?.url, storedAt: cached.storedAt });
+        return cached.result;
+      }
+      const result = await provider.find(customer);
+      cache.set(provider.name, customer, result, provider.cacheVariant);
+      return result;
+    }
+  };
+}
@@ -0,0 +1,70 @@
+import { budgetAllows, OPENAI_CALL_ESTIMATE, recordOpenAIUsage, releaseBudget, reserveBudget } from './budget';
+import { normalizeDomain } from './domain-guess';
+import { describeHttpError, httpRequest } from './http';
+import { log } from './logger';
+import { Customer } from './pip-client';
+import { SearchConfig, SearchProvider, SearchResult } from './search-providers';
+
+const OPENAI_URL = 'https://api.openai.com/v1/chat/completions';
+
+export function buildOpenAIPrompt(customer: Customer): string {
+  return `Find the official website URL for this company. Return ONLY the website URL in the format www.example.com or return NOT_FOUND if you cannot find it with high confidence.
+
+Company Name: ${customer.name}
+Location: ${customer.city}, ${customer.state}
+Phone: ${customer.phone || 'N/A'}
+
+Important: Return ONLY the website URL (www.example.com format) or NOT_FOUND. No explanations.`;
+}
+
+export async function searchWithOpenAI(customer: Customer, config: SearchConfig): Promise<SearchResult | null> {
+  log.info(`[OpenAI] Searching for: ${customer.name}`, { event: 'tier.attempt', tier: 'OpenAI', model: config.openaiModel });
+
+  const reservation = reserveBudget('openai', config.openaiModel);
+  // API errors propagate so they aren't mistaken for (and cached as) NOT_FOUND
+  let res;
+  try {
+    res = await httpRequest('openai', 'OpenAI request', {
+      method: 'POST',
+      url: OPENAI_URL,
+      data: {
+        model: config.openaiModel,
+        messages: [
+          { role: 'system', content: 'You are a helpful assistant that finds official company websites. Return only the URL or NOT_FOUND.' },
+          { role: 'user', content: buildOpenAIPrompt(customer) }
+        ],
+        temperature: 0,
+        max_tokens: OPENAI_CALL_ESTIMATE.outputTokens
+      },
+      headers: {
+        Authorization: `Bearer ${config.openaiKey}`,
+        'Content-Type': 'application/json',
+        'User-Agent': 'ea-pip-updater/2.0'
+      }
+    });
+  } catch (err: any) {
+    releaseBudget(reservation);
+    throw Object.assign(new Error(`OpenAI: ${describeHttpError(err)}`), { response: err.response });
+  }
+  if (res.data?.error) {
+    releaseBudget(reservation);
+    throw new Error(`OpenAI: ${res.data.error.message}`);
+  }
+  const cost = recordOpenAIUsage(config.openaiModel, res.data?.usage, reservation);
+  log.info(`  Tokens: ${res.data?.usage?.total_tokens ?? 'n/a'} ($${cost.toFixed(4)})`, { event: 'openai.usage', tokens: res.data?.usage?.total_tokens, cost });
+
+  const content = String(res.data?.choices?.[0]?.message?.content || '').trim();
+  log.info(`  OpenAI response: ${content}`, { event: 'openai.response', content });
+  if (!content || content.includes('NOT_FOUND')) return null;
+
+  return { url: normalizeDomain(content), confidence: 'medium', source: 'openai' };
+}
+
+export function createOpenAIProvider(config: SearchConfig): SearchProvider {
+  return {
+    name: 'OpenAI',
+    cacheVariant: config.openaiModel,
+    enabled: () => config.enableOpenAI && !!config.openaiKey && budgetAllows('openai', config.openaiModel),
+    find: (customer) => searchWithOpenAI(customer, config)
+  };
+}
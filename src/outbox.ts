@@ -0,0 +1,118 @@
+import fs from "fs";
+import path from "path";
+import { normalizePackageName } from "./simple-index";
+import { PackagePayload, payloadHash } from "./updater";
+
+// Updates the package API still refused with a transient error (network,
+// 429, 5xx) after pushUpdate's retries, kept for `sync --flush`. Like the
+// review queue it is append-only NDJSON: `queued` lines carry the payload,
+// later lines record what happened to it. Only the newest update per package
+// is pending; an older one would overwrite it on delivery.
+
+export const DEFAULT_OUTBOX = ".sync-outbox.ndjson";
+
+interface OutboxBase {
+  timestamp: string;
+  // The push's Idempotency-Key, reused when it is redelivered
+  key: string;
+  package: string;
+}
+
+export interface OutboxQueued extends OutboxBase {
+  kind: "queued";
+  payload: PackagePayload;
+  error: string;
+  attempts: number;
+}
+
+export interface OutboxEvent extends OutboxBase {
+  // attempt: redelivery failed again; rejected: the API answered 4xx, so it won't be retried;
+  // superseded: a newer update of the package was delivered
+  kind: "attempt" | "delivered" | "rejected" | "superseded";
+  error?: string;
+}
+
+export type OutboxLine = OutboxQueued | OutboxEvent;
+
+export interface PendingUpdate {
+  key: string;
+  package: string;
+  payload: PackagePayload;
+  queuedAt: string;
+  attempts: number;
+  lastError: string;
+}
+
+export function resolveOutboxPath(filePath?: string): string {
+  return path.resolve(process.cwd(), filePath || DEFAULT_OUTBOX);
+}
+
+function append(filePath: string, line: OutboxLine) {
+  fs.appendFileSync(filePath, JSON.stringify(line) + "\n", "utf8");
+}
+
+export function readOutbox(filePath: string): OutboxLine[] {
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, "utf8").split("\n").filter(l => l.trim()).map((l, i) => {
+    try {
+      return JSON.parse(l);
+    } catch {
+      throw new Error(`${filePath} line ${i + 1} is not valid JSON`);
+    }
+  });
+}
+
+export function pendingUpdates(filePath: string): PendingUpdate[] {
+  const pending = new Map<string, PendingUpdate>();
+  for (const line of readOutbox(filePath)) {
+    const name = normalizePackageName(line.package);
+    const current = pending.get(name);
+    if (line.kind === "queued") {
+      pending.set(name, { key: line.key, package: line.package, payload: line.payload, queuedAt: line.timestamp, attempts: line.attempts, lastError: line.error });
+    } else if (current?.key === line.key) {
+      if (line.kind === "attempt") {
+        current!.attempts++;
+        current!.lastError = line.error || current!.lastError;
+      } else {
+        pending.delete(name);
+      }
+    }
+  }
+  return [...pending.values()];
+}
+
+// Replacing a package's pending update carries its attempt count forward
+export function queueUpdate(filePath: string, payload: PackagePayload, key: string, error: string): OutboxQueued {
+  const previous = pendingUpdates(filePath).find(p => normalizePackageName(p.package) === normalizePackageName(payload.name));
+  const entry: OutboxQueued = {
+    kind: "queued", timestamp: new Date().toISOString(), key, package: payload.name, payload, error, attempts: (previous?.attempts ?? 0) + 1
+  };
+  append(filePath, entry);
+  return entry;
+}
+
+export function recordOutboxEvent(filePath: string, update: Pick<PendingUpdate, "key" | "package">, kind: OutboxEvent["kind"], error?: string) {
+  append(filePath, { kind, timestamp: new Date().toISOString(), key: update.key, package: update.package, error });
+}
+
+// After a direct push, drops an older pending update of the same package
+export function settlePackage(filePath: string, payload: PackagePayload) {
+  if (!fs.existsSync(filePath)) return;
+  const stale = pendingUpdates(filePath).find(p => normalizePackageName(p.package) === normalizePackageName(payload.name));
+  if (stale) recordOutboxEvent(filePath, stale, payloadHash(stale.payload) === payloadHash(payload) ? "delivered" : "superseded");
+}
+
+// Rewrites the outbox as just its pending updates; removes it once empty
+export function compactOutbox(filePath: string) {
+  const pending = pendingUpdates(filePath);
+  if (!pending.length) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    return;
+  }
+  const lines = pending.map<OutboxQueued>(p => ({
+    kind: "queued", timestamp: p.queuedAt, key: p.key, package: p.package, payload: p.payload, error: p.lastError, attempts: p.attempts
+  }));
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, lines.map(l => JSON.stringify(l)).join("\n") + "\n", "utf8");
+  fs.renameSync(tmp, filePath);
+}
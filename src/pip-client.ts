@@ -0,0 +1,321 @@
+import * as https from 'https';
+import * as http from 'http';
+import { XMLParser } from 'fast-xml-parser';
+import { withRateLimit } from './concurrency';
+import { httpTimeout, withRetry } from './http';
+import { isDebugEnabled, log, redactSoap } from './logger';
+
+export interface PipConfig {
+  endpoint: string;
+  namespace: string;
+  username: string;
+  password: string;
+  companyID: string;
+  version: string;
+}
+
+export interface Customer {
+  id: string;
+  code: string;
+  name: string;
+  city: string;
+  state: string;
+  phone: string;
+  currentWebsite: string;
+  address?: string;
+  zip?: string;
+  active?: boolean;
+}
+
+export interface CustomerListItem {
+  id: string;
+  code: string;
+  name: string;
+  active: boolean;
+}
+
+export interface SaveResult {
+  success: boolean;
+  messages: string[];
+}
+
+export class PipError extends Error {
+  constructor(message: string, readonly method: string) {
+    super(message);
+    this.name = 'PipError';
+  }
+}
+
+// HTTP-level failure that did not carry a SOAP fault
+export class PipHttpError extends PipError {
+  constructor(method: string, readonly status: number, readonly body: string, readonly headers: http.IncomingHttpHeaders = {}) {
+    super(`HTTP ${status} from ${method}`, method);
+    this.name = 'PipHttpError';
+  }
+}
+
+export class SoapFaultError extends PipError {
+  constructor(method: string, readonly faultCode: string, readonly faultString: string) {
+    super(`SOAP fault from ${method}: ${faultString || faultCode || 'unknown fault'}`, method);
+    this.name = 'SoapFaultError';
+  }
+}
+
+// The call went through but PIP reported errors in its result
+export class PipResponseError extends PipError {
+  constructor(method: string, readonly messages: string[]) {
+    super(`${method} failed: ${messages.join('; ')}`, method);
+    this.name = 'PipResponseError';
+  }
+}
+
+const parser = new XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: true,
+  parseTagValue: false,
+  trimValues: true
+});
+
+export function escapeXml(value: unknown): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// <Name><Value>..</Value><Valid>true</Valid></Name>, the shape PIP uses for every field
+export function pipField(name: string, value: unknown, valid = true): string {
+  return `<${name}><Value>${escapeXml(value)}</Value><Valid>${valid}</Valid></${name}>`;
+}
+
+export function customerNumberXml(id: string, code: string, idValid = true): string {
+  return `<CustomerNumber>${pipField('ID', id || '0', idValid)}${pipField('Code', code)}</CustomerNumber>`;
+}
+
+export function buildEnvelope(method: string, body: string, config: PipConfig): string {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"
+               xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+               xmlns:xsd="http://www.w3.org/2001/XMLSchema">
+  <soap:Body>
+    <${method} xmlns="${escapeXml(config.namespace)}">
+      <Auth>
+        <User>${escapeXml(config.username)}</User>
+        <Password>${escapeXml(config.password)}</Password>
+        <CompanyID>${escapeXml(config.companyID)}</CompanyID>
+        <Version>${escapeXml(config.version)}</Version>
+      </Auth>
+      ${body}
+    </${method}>
+  </soap:Body>
+</soap:Envelope>`;
+}
+
+export function parseXml(xml: string): any {
+  return parser.parse(xml);
+}
+
+function textOf(node: any): string {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'string' || typeof node === 'number' || typeof node === 'boolean') return String(node).trim();
+  if (Array.isArray(node)) return textOf(node[0]);
+  if (typeof node === 'object' && '#text' in node) return textOf(node['#text']);
+  return '';
+}
+
+function childNamed(node: any, name: string): any {
+  if (!node || typeof node !== 'object') return undefined;
+  const key = Object.keys(node).find(k => k.toLowerCase() === name.toLowerCase());
+  if (key === undefined) return undefined;
+  const child = node[key];
+  return Array.isArray(child) ? child[0] : child;
+}
+
+export function findAll(node: any, name: string, out: any[] = []): any[] {
+  if (Array.isArray(node)) {
+    for (const item of node) findAll(item, name, out);
+  } else if (node && typeof node === 'object') {
+    for (const [key, child] of Object.entries(node)) {
+      if (key.toLowerCase() === name.toLowerCase()) {
+        if (Array.isArray(child)) out.push(...child);
+        else out.push(child);
+      } else {
+        findAll(child, name, out);
+      }
+    }
+  }
+  return out;
+}
+
+export function findFirst(node: any, name: string): any {
+  return findAll(node, name)[0];
+}
+
+// Value of a PIP field: the direct <Value> child of the first <name> element,
+// so a nested element that happens to contain its own <Value> can't be picked up.
+export function fieldValue(node: any, name: string): string {
+  const field = findFirst(node, name);
+  if (field === undefined) return '';
+  if (typeof field !== 'object') return textOf(field);
+  return textOf(childNamed(field, 'Value'));
+}
+
+function customerNumber(node: any): { id: string; code: string } {
+  const number = findFirst(node, 'CustomerNumber');
+  return {
+    id: textOf(childNamed(childNamed(number, 'ID'), 'Value')),
+    code: textOf(childNamed(childNamed(number, 'Code'), 'Value'))
+  };
+}
+
+// PIP reports business-rule failures inside the result rather than as a
+// fault: any <ErrorMessage> text or leaves of an <Errors> block count.
+export function pipErrorMessages(node: any): string[] {
+  const messages: string[] = [];
+  const collect = (n: any) => {
+    if (n === undefined || n === null) return;
+    if (typeof n !== 'object') {
+      const text = textOf(n);
+      if (text) messages.push(text);
+      return;
+    }
+    for (const child of Array.isArray(n) ? n : Object.values(n)) collect(child);
+  };
+  for (const errors of findAll(node, 'Errors')) collect(errors);
+  for (const message of findAll(node, 'ErrorMessage')) collect(message);
+  return [...new Set(messages)];
+}
+
+function soapFault(doc: any): { code: string; message: string } | null {
+  const fault = findFirst(doc, 'Fault');
+  if (fault === undefined) return null;
+  // SOAP 1.1 uses faultcode/faultstring, SOAP 1.2 Code/Reason
+  const code = textOf(childNamed(fault, 'faultcode')) || textOf(childNamed(childNamed(fault, 'Code'), 'Value'));
+  const message = textOf(childNamed(fault, 'faultstring')) || textOf(childNamed(childNamed(fault, 'Reason'), 'Text'));
+  return { code, message };
+}
+
+function postXml(endpoint: string, headers: http.OutgoingHttpHeaders, body: string, timeoutMs: number): Promise<{ status: number; data: string; headers: http.IncomingHttpHeaders }> {
+  return new Promise((resolve, reject) => {
+    const protocol = endpoint.startsWith('https') ? https : http;
+    const req = protocol.request(endpoint, { method: 'POST', headers }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode || 0, data, headers: res.headers }));
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(Object.assign(new Error(`No response within ${timeoutMs} ms`), { code: 'ETIMEDOUT' })));
+    req.on('error', reject);
+    req.write(body);
+    req.end();
+  });
+}
+
+// Sends a SOAP call and returns the parsed document. Faults become
+// SoapFaultError (whatever the HTTP status), other non-2xx PipHttpError.
+// Network errors, timeouts, 429 and non-fault 5xx are retried per src/http.ts.
+export async function soapRequest(method: string, body: string, config: PipConfig): Promise<any> {
+  const envelope = buildEnvelope(method, body, config);
+  const debug = isDebugEnabled();
+  if (debug) log.debug(`SOAP request ${method}`, { event: 'soap.request', method, detail: redactSoap(envelope, [config.password]) });
+
+  return withRetry(`PIP ${method}`, async () => {
+    const res = await withRateLimit('pip', () => postXml(config.endpoint, {
+      'Content-Type': 'text/xml; charset=utf-8',
+      'Content-Length': Buffer.byteLength(envelope),
+      'SOAPAction': `${config.namespace}/${method}`
+    }, envelope, httpTimeout()));
+    if (debug) log.debug(`SOAP response ${method} (HTTP ${res.status})`, { event: 'soap.response', method, status: res.status, detail: redactSoap(res.data, [config.password]) });
+
+    let doc: any;
+    try {
+      doc = parseXml(res.data);
+    } catch (e) {
+      doc = undefined;
+    }
+
+    const fault = doc && soapFault(doc);
+    if (fault) throw new SoapFaultError(method, fault.code, fault.message);
+    if (res.status < 200 || res.status >= 300) throw new PipHttpError(method, res.status, res.data, res.headers);
+    if (!doc || findFirst(doc, 'Body') === undefined) throw new PipError(`Malformed SOAP response from ${method}`, method);
+    return findFirst(doc, 'Body');
+  });
+}
+
+async function fetchCustomer(customerCode: string, config: PipConfig): Promise<any> {
+  const body = await soapRequest('getCustomer', customerNumberXml('0', customerCode, false), config);
+  const result = findFirst(body, 'getCustomerResponse') ?? body;
+
+  const errors = pipErrorMessages(result);
+  if (errors.length) throw new PipResponseError('getCustomer', errors);
+  return result;
+}
+
+export async function getCustomer(customerCode: string, config: PipConfig): Promise<Customer> {
+  const result = await fetchCustomer(customerCode, config);
+  const number = customerNumber(result);
+  return {
+    id: number.id,
+    code: number.code,
+    name: fieldValue(result, 'CustomerName'),
+    city: fieldValue(result, 'City'),
+    state: fieldValue(result, 'State'),
+    phone: fieldValue(result, 'Phone1'),
+    currentWebsite: fieldValue(result, 'WebSite'),
+    address: fieldValue(result, 'Address'),
+    zip: fieldValue(result, 'Zip'),
+    active: fieldValue(result, 'Active').toLowerCase() !== 'false'
+  };
+}
+
+// Reads arbitrary PIP fields by element name, for callers that work beyond
+// the fixed Customer shape.
+export async function getCustomerFields(customerCode: string, elements: string[], config: PipConfig): Promise<{ id: string; code: string; values: Record<string, string> }> {
+  const result = await fetchCustomer(customerCode, config);
+  const values: Record<string, string> = {};
+  for (const element of elements) values[element] = fieldValue(result, element);
+  return { ...customerNumber(result), values };
+}
+
+export async function getCustomerList(since: Date, config: PipConfig): Promise<CustomerListItem[]> {
+  const body = await soapRequest('getCustomerList', `<TimeStamp>${escapeXml(since.toISOString())}</TimeStamp>`, config);
+
+  const errors = pipErrorMessages(body);
+  if (errors.length) throw new PipResponseError('getCustomerList', errors);
+
+  return findAll(body, 'CustomerListDetail').map(detail => {
+    const number = customerNumber(detail);
+    return {
+      id: number.id,
+      code: number.code,
+      name: fieldValue(detail, 'CustomerName'),
+      active: fieldValue(detail, 'Active').toLowerCase() === 'true'
+    };
+  });
+}
+
+// Saves the given PIP elements; fields not listed are left untouched.
+export async function saveCustomerFields(customerId: string, customerCode: string, fields: Record<string, string>, config: PipConfig): Promise<SaveResult> {
+  const fieldXml = Object.entries(fields).map(([element, value]) => pipField(element, value)).join('');
+  const body = `<customer>${customerNumberXml(customerId, customerCode)}${fieldXml}</customer>`;
+  const response = await soapRequest('saveCustomer', body, config);
+
+  const result = findFirst(response, 'saveCustomerResponse');
+  if (result === undefined) return { success: false, messages: ['saveCustomer returned no result'] };
+
+  const errors = pipErrorMessages(result);
+  if (errors.length) throw new PipResponseError('saveCustomer', errors);
+
+  // An explicit success flag in the result, when present, has the final say
+  const flag = findFirst(result, 'Success') ?? findFirst(result, 'IsSuccessful');
+  if (flag !== undefined && textOf(flag).toLowerCase() === 'false') {
+    return { success: false, messages: ['saveCustomer reported Success=false'] };
+  }
+  return { success: true, messages: [] };
+}
+
+export function saveCustomerWebsite(customerId: string, customerCode: string, websiteUrl: string, config: PipConfig): Promise<SaveResult> {
+  return saveCustomerFields(customerId, customerCode, { WebSite: websiteUrl }, config);
+}
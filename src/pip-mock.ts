@@ -0,0 +1,242 @@
+import * as fs from 'fs';
+import * as http from 'http';
+import * as path from 'path';
+import { AddressInfo } from 'net';
+import { csvRow, parseCsv } from './csv';
+import { escapeXml, findFirst, parseXml, pipField } from './pip-client';
+
+// Stand-in for the e-automate PIP SOAP endpoint, backed by a local fixture
+// of customers. Good enough to run the CLI end-to-end and to test against;
+// it only implements the calls this tool makes.
+
+export interface MockCustomer {
+  id: string;
+  code: string;
+  name: string;
+  address?: string;
+  city?: string;
+  state?: string;
+  zip?: string;
+  phone?: string;
+  website?: string;
+  active?: boolean;
+  updatedAt?: string;
+  [field: string]: unknown;
+}
+
+export interface PipMockOptions {
+  fixture: string;
+  port?: number;
+  host?: string;
+  // When set, requests must carry these credentials or get an auth fault
+  username?: string;
+  password?: string;
+  companyID?: string;
+  failAuth?: boolean;
+  latencyMs?: number;
+  faultRate?: number;
+  faultCodes?: string[];
+  persist?: boolean;
+  log?: (line: string) => void;
+}
+
+export interface PipMockServer {
+  url: string;
+  customers: MockCustomer[];
+  close(): Promise<void>;
+}
+
+// PIP element name -> fixture key for the fields the mock knows by name;
+// anything else sent to saveCustomer is stored under its element name.
+const FIELD_ELEMENTS: Record<string, string> = {
+  CustomerName: 'name',
+  Address: 'address',
+  City: 'city',
+  State: 'state',
+  Zip: 'zip',
+  Phone1: 'phone',
+  Phone2: 'phone2',
+  Fax: 'fax',
+  EMail: 'email',
+  WebSite: 'website'
+};
+
+const KNOWN_KEYS = new Set(['id', 'code', 'active', 'updatedAt', ...Object.values(FIELD_ELEMENTS)]);
+
+const CSV_COLUMNS = ['id', 'code', 'name', 'address', 'city', 'state', 'zip', 'phone', 'website', 'active', 'updatedAt'];
+
+export function loadFixture(filePath: string): MockCustomer[] {
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error(`Fixture ${filePath} must contain a JSON array of customers`);
+    return data.map(normalizeCustomer);
+  }
+
+  const [header, ...records] = csvRecords(text);
+  if (!header) return [];
+  return records.map(({ cells }) => {
+    const row: Record<string, unknown> = {};
+    header.cells.forEach((h, i) => { row[h.trim()] = (cells[i] ?? '').trim(); });
+    return normalizeCustomer(row);
+  });
+}
+
+function csvRecords(text: string) {
+  return parseCsv(text).filter(r => r.cells.some(c => c.trim()) && !r.cells[0].startsWith('#'));
+}
+
+function normalizeCustomer(row: any): MockCustomer {
+  if (!row || !row.code) throw new Error(`Fixture customer without a code: ${JSON.stringify(row)}`);
+  return {
+    ...row,
+    id: String(row.id ?? ''),
+    code: String(row.code),
+    name: String(row.name ?? ''),
+    active: row.active === undefined || row.active === '' ? true : String(row.active).toLowerCase() === 'true'
+  };
+}
+
+export function saveFixture(filePath: string, customers: MockCustomer[]) {
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    fs.writeFileSync(filePath, JSON.stringify(customers, null, 2) + '\n', 'utf8');
+    return;
+  }
+  // The fixture's own columns in its order, then any the saves added
+  const [header] = fs.existsSync(filePath) ? csvRecords(fs.readFileSync(filePath, 'utf8')) : [];
+  const columns = header ? header.cells.map(h => h.trim()) : [...CSV_COLUMNS];
+  for (const key of [...CSV_COLUMNS, ...customers.flatMap(c => Object.keys(c))]) {
+    if (!columns.includes(key) && customers.some(c => c[key] !== undefined)) columns.push(key);
+  }
+  const lines = [csvRow(columns)];
+  for (const c of customers) lines.push(csvRow(columns.map(k => c[k])));
+  fs.writeFileSync(filePath, lines.join('\n') + '\n', 'utf8');
+}
+
+function envelope(body: string): string {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body>${body}</soap:Body>
+</soap:Envelope>`;
+}
+
+function faultXml(code: string, message: string): string {
+  return envelope(`<soap:Fault><faultcode>${escapeXml(code)}</faultcode><faultstring>${escapeXml(message)}</faultstring></soap:Fault>`);
+}
+
+function errorsXml(method: string, message: string): string {
+  return envelope(`<${method}Response><${method}Result><Errors><Error><Message>${escapeXml(message)}</Message></Error></Errors></${method}Result></${method}Response>`);
+}
+
+function customerNumber(c: MockCustomer): string {
+  return `<CustomerNumber>${pipField('ID', c.id)}${pipField('Code', c.code)}</CustomerNumber>`;
+}
+
+function customerXml(c: MockCustomer): string {
+  const fields = Object.entries(FIELD_ELEMENTS).map(([element, key]) => pipField(element, c[key] ?? ''));
+  // Fields saved under their own element name come back the same way
+  for (const [key, value] of Object.entries(c)) {
+    if (!KNOWN_KEYS.has(key) && /^[A-Z]\w*$/.test(key)) fields.push(pipField(key, value));
+  }
+  return `<Customer>${customerNumber(c)}${fields.join('')}${pipField('Active', c.active !== false)}</Customer>`;
+}
+
+function text(node: any): string {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return text(node.Value ?? node['#text']);
+  return String(node).trim();
+}
+
+export async function startPipMock(options: PipMockOptions): Promise<PipMockServer> {
+  const customers = loadFixture(options.fixture);
+  const log = options.log || (() => undefined);
+
+  function findCustomer(number: any): MockCustomer | undefined {
+    const code = text(number?.Code);
+    const id = text(number?.ID);
+    return customers.find(c => (code && c.code.toLowerCase() === code.toLowerCase()) || (!code && id && id !== '0' && c.id === id));
+  }
+
+  function authorized(auth: any): boolean {
+    if (options.failAuth) return false;
+    if (options.username !== undefined && text(auth?.User) !== options.username) return false;
+    if (options.password !== undefined && text(auth?.Password) !== options.password) return false;
+    if (options.companyID !== undefined && text(auth?.CompanyID) !== options.companyID) return false;
+    return true;
+  }
+
+  function handle(method: string, call: any): { status: number; body: string } {
+    if (!authorized(call?.Auth)) return { status: 500, body: faultXml('soap:Client', 'Invalid user name, password or company ID') };
+
+    const number = call?.CustomerNumber ?? call?.customer?.CustomerNumber;
+    const code = text(number?.Code);
+    if (code && options.faultCodes?.includes(code)) return { status: 500, body: faultXml('soap:Server', `Simulated fault for ${code}`) };
+    if (options.faultRate && Math.random() < options.faultRate) return { status: 500, body: faultXml('soap:Server', 'Simulated random fault') };
+
+    switch (method) {
+      case 'getCustomer': {
+        const customer = findCustomer(number);
+        if (!customer) return { status: 200, body: errorsXml(method, `Customer ${code} not found`) };
+        return { status: 200, body: envelope(`<getCustomerResponse><getCustomerResult>${customerXml(customer)}</getCustomerResult></getCustomerResponse>`) };
+      }
+      case 'getCustomerList': {
+        const since = Date.parse(text(call?.TimeStamp));
+        const changed = customers.filter(c => !c.updatedAt || isNaN(since) || Date.parse(c.updatedAt) >= since);
+        const details = changed.map(c => `<CustomerListDetail>${customerNumber(c)}${pipField('CustomerName', c.name)}${pipField('Active', c.active !== false)}</CustomerListDetail>`);
+        return { status: 200, body: envelope(`<getCustomerListResponse><getCustomerListResult>${details.join('')}</getCustomerListResult></getCustomerListResponse>`) };
+      }
+      case 'saveCustomer': {
+        const customer = findCustomer(number);
+        if (!customer) return { status: 200, body: errorsXml(method, `Customer ${code} not found`) };
+        for (const [element, value] of Object.entries(call.customer || {})) {
+          if (element === 'CustomerNumber' || !value || typeof value !== 'object') continue;
+          customer[FIELD_ELEMENTS[element] || element] = text(value);
+        }
+        customer.updatedAt = new Date().toISOString();
+        if (options.persist !== false) saveFixture(options.fixture, customers);
+        return { status: 200, body: envelope(`<saveCustomerResponse><saveCustomerResult><Success>true</Success></saveCustomerResult></saveCustomerResponse>`) };
+      }
+      default:
+        return { status: 500, body: faultXml('soap:Client', `Method ${method} is not supported by the mock`) };
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(`PIP mock serving ${customers.length} customers from ${options.fixture}\n`);
+      return;
+    }
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => data += chunk);
+    req.on('end', () => {
+      let reply: { status: number; body: string };
+      let method = '(unparsed)';
+      try {
+        const soapBody = findFirst(parseXml(data), 'Body') || {};
+        method = Object.keys(soapBody)[0] || '(empty)';
+        reply = handle(method, soapBody[method]);
+      } catch (e: any) {
+        reply = { status: 500, body: faultXml('soap:Client', `Malformed request: ${e.message}`) };
+      }
+      log(`${method} -> ${reply.status}`);
+      setTimeout(() => {
+        res.writeHead(reply.status, { 'Content-Type': 'text/xml; charset=utf-8' });
+        res.end(reply.body);
+      }, options.latencyMs || 0);
+    });
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 0, options.host ?? '127.0.0.1', () => resolve());
+  });
+  const address = server.address() as AddressInfo;
+
+  return {
+    url: `http://${options.host ?? '127.0.0.1'}:${address.port}/pip/PublicAPIService.asmx`,
+    customers,
+    close: () => new Promise((resolve, reject) => server.close(err => err ? reject(err) : resolve()))
+  };
+}
@@ -0,0 +1,228 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as readline from 'readline';
+import { loadEnv } from './config';
+import { PipConfig } from './pip-client';
+import { question } from './prompt';
+import { defaultSearchConfig, SearchConfig } from './search-providers';
+
+// Named profiles for the e-automate instances we work against, kept in
+// ea-pip.config.json:
+//
+//   {
+//     "defaultProfile": "test",
+//     "profiles": {
+//       "test": { "endpoint": "https://as06.../PublicAPIService.asmx", "companyID": "TEST" },
+//       "prod": { "endpoint": "https://sfs.rpg.com/pip/PublicAPIService.asmx", "companyID": "RPG",
+//                 "passwordEnv": "EA_PROD_PASSWORD", "confirmSaves": true }
+//     }
+//   }
+//
+// Precedence, highest first: command-line flags, the selected profile, the
+// environment (.env), built-in defaults. Secrets are never stored in the file;
+// a profile names the environment variables that hold them.
+
+export const DEFAULT_CONFIG_FILE = 'ea-pip.config.json';
+
+export const PIP_DEFAULTS = {
+  endpoint: 'https://sfs.rpg.com/pip/PublicAPIService.asmx',
+  namespace: 'http://digitalgateway.com/WebServices/PublicAPIService',
+  version: '25.0'
+};
+
+export interface PipConnectionOptions {
+  username?: string;
+  password?: string;
+  companyID?: string;
+  endpoint?: string;
+  namespace?: string;
+  profile?: string;
+  configFile?: string;
+  // Satisfies a profile's confirmSaves without a prompt (unattended runs)
+  confirmProfile?: string;
+}
+
+export interface SearchSettings {
+  enableDomainGuessing?: boolean;
+  enableGoogleSearch?: boolean;
+  enableOpenAI?: boolean;
+  openaiModel?: string;
+  dnsTimeout?: number;
+  httpTimeout?: number;
+  verifyHomepage?: boolean;
+  googleCx?: string;
+  googleCseKeyEnv?: string;
+  openaiKeyEnv?: string;
+}
+
+export interface Profile {
+  endpoint?: string;
+  namespace?: string;
+  version?: string;
+  companyID?: string;
+  username?: string;
+  usernameEnv?: string;
+  passwordEnv?: string;
+  // Ask for the profile name to be typed (or --confirm-profile) before saving
+  confirmSaves?: boolean;
+  search?: SearchSettings;
+}
+
+export interface ConfigFile {
+  defaultProfile?: string;
+  profiles: Record<string, Profile>;
+}
+
+export interface SelectedProfile {
+  name?: string;
+  file?: string;
+  profile: Profile;
+}
+
+type FieldType = 'string' | 'boolean' | 'number';
+
+const SEARCH_FIELDS: Record<keyof SearchSettings, FieldType> = {
+  enableDomainGuessing: 'boolean',
+  enableGoogleSearch: 'boolean',
+  enableOpenAI: 'boolean',
+  openaiModel: 'string',
+  dnsTimeout: 'number',
+  httpTimeout: 'number',
+  verifyHomepage: 'boolean',
+  googleCx: 'string',
+  googleCseKeyEnv: 'string',
+  openaiKeyEnv: 'string'
+};
+
+const PROFILE_FIELDS: Record<Exclude<keyof Profile, 'search'>, FieldType> = {
+  endpoint: 'string',
+  namespace: 'string',
+  version: 'string',
+  companyID: 'string',
+  username: 'string',
+  usernameEnv: 'string',
+  passwordEnv: 'string',
+  confirmSaves: 'boolean'
+};
+
+const SECRET_KEYS = ['password', 'googleCseKey', 'openaiKey'];
+
+const isObject = (v: unknown): v is Record<string, unknown> => !!v && typeof v === 'object' && !Array.isArray(v);
+
+function checkFields(where: string, value: Record<string, unknown>, fields: Record<string, FieldType>, errors: string[]) {
+  for (const [key, v] of Object.entries(value)) {
+    if (SECRET_KEYS.includes(key)) {
+      errors.push(`${where}.${key}: secrets do not belong in the config file; name the environment variable with ${key === 'password' ? 'passwordEnv' : `${key}Env`}`);
+    } else if (!(key in fields)) {
+      const hint = Object.keys(fields).find(f => f.toLowerCase() === key.toLowerCase());
+      errors.push(`${where}.${key}: unknown key${hint ? ` (did you mean ${hint}?)` : ''}`);
+    } else if (typeof v !== fields[key]) {
+      errors.push(`${where}.${key}: expected a ${fields[key]}`);
+    }
+  }
+}
+
+export function validateConfigFile(data: unknown): ConfigFile {
+  const errors: string[] = [];
+  if (!isObject(data)) throw new Error('expected a JSON object with a "profiles" object');
+  const { profiles, ...top } = data;
+  checkFields('', top, { defaultProfile: 'string' }, errors);
+  if (!isObject(profiles)) errors.push('profiles: expected an object of named profiles');
+  else {
+    for (const [name, profile] of Object.entries(profiles)) {
+      const where = `profiles.${name}`;
+      if (!isObject(profile)) {
+        errors.push(`${where}: expected an object`);
+        continue;
+      }
+      const { search, ...rest } = profile;
+      checkFields(where, rest, PROFILE_FIELDS, errors);
+      if (search !== undefined) {
+        if (isObject(search)) checkFields(`${where}.search`, search, SEARCH_FIELDS, errors);
+        else errors.push(`${where}.search: expected an object`);
+      }
+    }
+    if (typeof data.defaultProfile === 'string' && !(data.defaultProfile in profiles)) {
+      errors.push(`defaultProfile: no profile named "${data.defaultProfile}"`);
+    }
+  }
+  // All problems are reported at once so the file can be fixed in one pass
+  if (errors.length) throw new Error(errors.map(e => e.replace(/^\./, '')).join('\n  '));
+  return data as unknown as ConfigFile;
+}
+
+export function resolveConfigFilePath(filePath?: string): string {
+  return path.resolve(process.cwd(), filePath || DEFAULT_CONFIG_FILE);
+}
+
+// undefined when the default file does not exist; an explicit --config must
+// point at a real file
+export function loadConfigFile(filePath?: string): { file: string; config: ConfigFile } | undefined {
+  const file = resolveConfigFilePath(filePath);
+  if (!fs.existsSync(file)) {
+    if (filePath) throw new Error(`Config file not found: ${file}`);
+    return undefined;
+  }
+  let data: unknown;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err: any) {
+    throw new Error(`Invalid config file ${file}: ${err.message}`);
+  }
+  try {
+    return { file, config: validateConfigFile(data) };
+  } catch (err: any) {
+    throw new Error(`Invalid config file ${file}:\n  ${err.message}`);
+  }
+}
+
+export function selectProfile(opts: Pick<PipConnectionOptions, 'profile' | 'configFile'> = {}): SelectedProfile {
+  const loaded = loadConfigFile(opts.configFile);
+  const name = opts.profile || loaded?.config.defaultProfile;
+  if (!name) return { file: loaded?.file, profile: {} };
+  if (!loaded) throw new Error(`--profile ${name} given but there is no ${DEFAULT_CONFIG_FILE} (or pass --config <path>)`);
+  const profile = loaded.config.profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown profile "${name}" in ${loaded.file} (available: ${Object.keys(loaded.config.profiles).join(', ') || 'none'})`);
+  }
+  return { name, file: loaded.file, profile };
+}
+
+export function resolvePipConfig(opts: PipConnectionOptions = {}, env = loadEnv()): PipConfig {
+  const { profile } = selectProfile(opts);
+  return {
+    endpoint: opts.endpoint || profile.endpoint || env.PIP_ENDPOINT || PIP_DEFAULTS.endpoint,
+    namespace: opts.namespace || profile.namespace || PIP_DEFAULTS.namespace,
+    version: profile.version || PIP_DEFAULTS.version,
+    username: opts.username || profile.username || env[profile.usernameEnv || 'EA_USERNAME'] || '',
+    password: opts.password || env[profile.passwordEnv || 'EA_PASSWORD'] || '',
+    companyID: opts.companyID || profile.companyID || env.EA_COMPANYID || ''
+  };
+}
+
+// Search settings from the environment and the profile; commands apply their
+// own flags (--enable-openai, --disable-google, ...) on top.
+export function resolveSearchConfig(opts: Pick<PipConnectionOptions, 'profile' | 'configFile'> = {}, env = loadEnv()): SearchConfig {
+  const { googleCseKeyEnv, openaiKeyEnv, ...search } = selectProfile(opts).profile.search || {};
+  return {
+    ...defaultSearchConfig({
+      ...env,
+      GOOGLE_CSE_KEY: env[googleCseKeyEnv || 'GOOGLE_CSE_KEY'],
+      OPENAI_API_KEY: env[openaiKeyEnv || 'OPENAI_API_KEY']
+    }),
+    ...search
+  };
+}
+
+// Guards every command that saves to PIP. Profiles with confirmSaves need the
+// profile name typed at the prompt, or --confirm-profile <name> when there is
+// no one to ask.
+export async function confirmProfileSaves(opts: PipConnectionOptions, rl?: readline.Interface): Promise<void> {
+  const { name, profile } = selectProfile(opts);
+  if (!name || !profile.confirmSaves || opts.confirmProfile === name) return;
+  if (opts.confirmProfile) throw new Error(`--confirm-profile ${opts.confirmProfile} does not match the selected profile "${name}"`);
+  if (!rl) throw new Error(`Profile "${name}" requires confirmation before saving: pass --confirm-profile ${name}`);
+  const endpoint = resolvePipConfig(opts).endpoint;
+  const answer = await question(rl, `\nProfile "${name}" saves to ${endpoint}. Type the profile name to continue: `);
+  if (answer.trim() !== name) throw new Error(`Profile "${name}" not confirmed - nothing was saved`);
+}
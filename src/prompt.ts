@@ -0,0 +1,24 @@
+import * as readline from 'readline';
+
+export function createReadline() {
+  return readline.createInterface({ input: process.stdin, output: process.stdout });
+}
+
+export function question(rl: readline.Interface, q: string): Promise<string> {
+  return new Promise((res) => rl.question(q, answer => res(answer)));
+}
+
+// Reads a line without echoing it, for passwords and API keys
+export function questionHidden(q: string): Promise<string> {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: !!process.stdin.isTTY });
+  let muted = false;
+  (rl as any)._writeToOutput = (s: string) => { if (!muted) process.stdout.write(s); };
+  return new Promise((res) => {
+    rl.question(q, answer => {
+      rl.close();
+      if (muted) process.stdout.write('\n');
+      res(answer);
+    });
+    muted = true;
+  });
+}
@@ -0,0 +1,303 @@
+import fs from "fs";
+import path from "path";
+import { normalizePackageName } from "./simple-index";
+
+// Reads the packages a Python project depends on from requirements.txt,
+// pyproject.toml (PEP 621, PEP 735 groups and Poetry tables) or poetry.lock,
+// for `sync --from`.
+
+export interface Requirement {
+  name: string;
+  extras: string[];
+  // As written, e.g. ">=2.0,<3" or "^1.4"; empty when unconstrained
+  specifier: string;
+  // Set when the requirement pins one exact version
+  version?: string;
+}
+
+export interface ParsedRequirements {
+  requirements: Requirement[];
+  // Entries that are not named PyPI packages (paths, VCS URLs), described for the summary
+  skipped: string[];
+}
+
+const NAME = /^([A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?)\s*(?:\[([^\]]*)\])?\s*(.*)$/;
+
+function pinnedVersion(specifier: string): string | undefined {
+  const m = /^===?\s*([^\s,*]+)$/.exec(specifier.trim());
+  return m ? m[1] : undefined;
+}
+
+// A PEP 508 requirement string; undefined when it doesn't name a package on
+// the index, including direct references ("name @ https://..."), which come
+// from somewhere else - like Poetry's path/git/url sources
+export function parseRequirement(text: string): Requirement | undefined {
+  const m = NAME.exec(text.split(";")[0].trim());
+  if (!m) return undefined;
+  const rest = m[3].trim();
+  if (rest && !/^[<>=!~(]/.test(rest)) return undefined;
+  const specifier = rest.replace(/^\((.*)\)$/, "$1").replace(/\s+/g, "");
+  return { name: m[1], extras: splitExtras(m[2]), specifier, version: pinnedVersion(specifier) };
+}
+
+function splitExtras(extras?: string): string[] {
+  return (extras || "").split(",").map(e => e.trim()).filter(Boolean);
+}
+
+// Joins backslash continuations and drops comments (# at line start or after whitespace)
+function logicalLines(text: string): Array<{ line: string; number: number }> {
+  const out: Array<{ line: string; number: number }> = [];
+  let pending = "";
+  let start = 0;
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (!pending) start = i + 1;
+    const line = raw.replace(/(^|\s)#.*$/, "");
+    if (/\\\s*$/.test(line)) {
+      pending += line.replace(/\\\s*$/, " ");
+      return;
+    }
+    out.push({ line: (pending + line).trim(), number: start });
+    pending = "";
+  });
+  if (pending.trim()) out.push({ line: pending.trim(), number: start });
+  return out.filter(l => l.line);
+}
+
+// `include` resolves -r/--requirement lines; without it they are skipped
+export function parseRequirementsTxt(text: string, include?: (file: string) => ParsedRequirements): ParsedRequirements {
+  const parsed: ParsedRequirements = { requirements: [], skipped: [] };
+  for (const { line, number } of logicalLines(text)) {
+    const nested = /^(?:-r|--requirement)(?:\s+|=)(\S+)$/.exec(line);
+    if (nested) {
+      if (!include) continue;
+      const inner = include(nested[1]);
+      parsed.requirements.push(...inner.requirements);
+      parsed.skipped.push(...inner.skipped);
+      continue;
+    }
+    // Other options (--index-url, -c, ...) don't name packages
+    if (line.startsWith("-") && !/^(-e|--editable)\s/.test(line)) continue;
+    // Per-requirement options such as --hash follow the requirement itself
+    const requirement = line.startsWith("-") ? undefined : parseRequirement(line.split(/\s+--?[a-z]/)[0]);
+    if (requirement) parsed.requirements.push(requirement);
+    else parsed.skipped.push(`line ${number}: ${line}`);
+  }
+  return parsed;
+}
+
+// Poetry: "^1.2", "~1.2", ">=1,<2", "*", or a bare version meaning exactly that version
+function fromPoetry(name: string, spec: any): Requirement | string {
+  const table = Array.isArray(spec) ? spec.find(s => s && typeof s === "object" && s.version) || spec[0] : spec;
+  if (table && typeof table === "object") {
+    const source = ["path", "git", "url", "file"].find(k => table[k]);
+    if (source) return `${name} (${source} = ${table[source]})`;
+  }
+  const version = String((typeof table === "object" ? table?.version : table) ?? "*").trim();
+  const extras: string[] = typeof table === "object" && Array.isArray(table.extras) ? table.extras : [];
+  const specifier = version === "*" ? "" : version;
+  const pinned = /^\d[\w.+!-]*$/.test(specifier) ? specifier : pinnedVersion(specifier);
+  return { name, extras, specifier, version: pinned };
+}
+
+export function parsePyproject(text: string): ParsedRequirements {
+  const doc = parseToml(text);
+  const parsed: ParsedRequirements = { requirements: [], skipped: [] };
+  const addPep508 = (entries: unknown, where: string) => {
+    if (!Array.isArray(entries)) return;
+    for (const entry of entries) {
+      if (typeof entry !== "string") continue;
+      const requirement = parseRequirement(entry);
+      if (requirement) parsed.requirements.push(requirement);
+      else parsed.skipped.push(`${where}: ${entry}`);
+    }
+  };
+  const addPoetry = (table: unknown) => {
+    if (!table || typeof table !== "object") return;
+    for (const [name, spec] of Object.entries(table)) {
+      if (name.toLowerCase() === "python") continue;
+      const requirement = fromPoetry(name, spec);
+      if (typeof requirement === "string") parsed.skipped.push(requirement);
+      else parsed.requirements.push(requirement);
+    }
+  };
+
+  addPep508(doc.project?.dependencies, "project.dependencies");
+  for (const [group, entries] of Object.entries(doc.project?.["optional-dependencies"] || {})) addPep508(entries, `project.optional-dependencies.${group}`);
+  for (const [group, entries] of Object.entries(doc["dependency-groups"] || {})) addPep508(entries, `dependency-groups.${group}`);
+  const poetry = doc.tool?.poetry;
+  addPoetry(poetry?.dependencies);
+  addPoetry(poetry?.["dev-dependencies"]);
+  for (const group of Object.values<any>(poetry?.group || {})) addPoetry(group?.dependencies);
+  return parsed;
+}
+
+export function parsePoetryLock(text: string): ParsedRequirements {
+  const packages: any[] = parseToml(text).package || [];
+  return {
+    requirements: packages.filter(p => p.name && p.version).map(p => ({ name: p.name, extras: [], specifier: `==${p.version}`, version: p.version })),
+    skipped: packages.filter(p => !p.name || !p.version).map(p => `package ${p.name || "(unnamed)"} has no version`)
+  };
+}
+
+// One entry per package (PEP 503 name), extras merged, first constraint kept
+function dedupe(parsed: ParsedRequirements): ParsedRequirements {
+  const byName = new Map<string, Requirement>();
+  for (const requirement of parsed.requirements) {
+    const key = normalizePackageName(requirement.name);
+    const seen = byName.get(key);
+    if (!seen) byName.set(key, { ...requirement, extras: [...requirement.extras] });
+    else for (const extra of requirement.extras) if (!seen.extras.includes(extra)) seen.extras.push(extra);
+  }
+  return { requirements: [...byName.values()], skipped: parsed.skipped };
+}
+
+// Picks the format from the file name: poetry.lock, *.toml, anything else is requirements.txt
+export function readRequirements(file: string, seen = new Set<string>()): ParsedRequirements {
+  const resolved = path.resolve(file);
+  if (seen.has(resolved)) throw new Error(`${file} includes itself`);
+  const text = fs.readFileSync(resolved, "utf8");
+  const base = path.basename(resolved).toLowerCase();
+  try {
+    if (base === "poetry.lock") return parsePoetryLock(text);
+    if (base.endsWith(".toml")) return dedupe(parsePyproject(text));
+    const include = (nested: string) => readRequirements(path.resolve(path.dirname(resolved), nested), new Set([...seen, resolved]));
+    return dedupe(parseRequirementsTxt(text, include));
+  } catch (err: any) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+}
+
+// Enough TOML for pyproject.toml and poetry.lock: tables, arrays of tables,
+// dotted and quoted keys, strings, arrays and inline tables. Dates and
+// numbers are kept as their source text.
+export function parseToml(text: string): Record<string, any> {
+  const root: Record<string, any> = {};
+  let table = root;
+  let pos = 0;
+  let line = 1;
+
+  const fail = (message: string): never => { throw new Error(`line ${line}: ${message}`); };
+  const skip = (newlines: boolean) => {
+    while (pos < text.length) {
+      const c = text[pos];
+      if (c === "#") while (pos < text.length && text[pos] !== "\n") pos++;
+      else if (c === " " || c === "\t" || c === "\r") pos++;
+      else if (c === "\n" && newlines) { pos++; line++; }
+      else break;
+    }
+  };
+  const expect = (c: string) => { if (text[pos] !== c) fail(`expected ${c}`); pos++; };
+  const into = (parent: Record<string, any>, key: string) => {
+    const next = parent[key] ??= {};
+    if (Array.isArray(next)) return next[next.length - 1];
+    if (typeof next !== "object") fail(`${key} is not a table`);
+    return next;
+  };
+
+  const string = (): string => {
+    const quote = text[pos];
+    const multi = text.startsWith(quote.repeat(3), pos);
+    const end = multi ? quote.repeat(3) : quote;
+    pos += end.length;
+    if (multi && text[pos] === "\n") { pos++; line++; }
+    let out = "";
+    while (!text.startsWith(end, pos)) {
+      if (pos >= text.length || (!multi && text[pos] === "\n")) fail("unterminated string");
+      const c = text[pos++];
+      if (c === "\n") line++;
+      if (c !== "\\" || quote === "'") { out += c; continue; }
+      const e = text[pos++];
+      if (e === "u" || e === "U") {
+        const len = e === "u" ? 4 : 8;
+        out += String.fromCodePoint(parseInt(text.slice(pos, pos + len), 16));
+        pos += len;
+      } else if (e === "\n" || e === "\r") {
+        while (/\s/.test(text[pos])) { if (text[pos] === "\n") line++; pos++; }
+      } else {
+        out += ({ n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" } as Record<string, string>)[e] ?? e;
+      }
+    }
+    pos += end.length;
+    return out;
+  };
+
+  const keyPath = (): string[] => {
+    const keys: string[] = [];
+    for (;;) {
+      skip(false);
+      if (text[pos] === '"' || text[pos] === "'") keys.push(string());
+      else {
+        const m = /^[A-Za-z0-9_-]+/.exec(text.slice(pos));
+        if (!m) fail("expected a key");
+        keys.push(m![0]);
+        pos += m![0].length;
+      }
+      skip(false);
+      if (text[pos] !== ".") return keys;
+      pos++;
+    }
+  };
+
+  const value = (): any => {
+    const c = text[pos];
+    if (c === '"' || c === "'") return string();
+    if (c === "[") {
+      pos++;
+      const items: any[] = [];
+      for (;;) {
+        skip(true);
+        if (text[pos] === "]") { pos++; return items; }
+        items.push(value());
+        skip(true);
+        if (text[pos] === ",") pos++;
+        else if (text[pos] !== "]") fail("expected , or ] in array");
+      }
+    }
+    if (c === "{") {
+      pos++;
+      const inline: Record<string, any> = {};
+      skip(false);
+      if (text[pos] === "}") { pos++; return inline; }
+      for (;;) {
+        const keys = keyPath();
+        expect("=");
+        skip(false);
+        keys.slice(0, -1).reduce(into, inline)[keys[keys.length - 1]] = value();
+        skip(false);
+        if (text[pos] === "}") { pos++; return inline; }
+        expect(",");
+      }
+    }
+    const m = /^[^\s,\]}#]+/.exec(text.slice(pos));
+    if (!m) fail("expected a value");
+    pos += m![0].length;
+    return m![0] === "true" ? true : m![0] === "false" ? false : m![0];
+  };
+
+  for (;;) {
+    skip(true);
+    if (pos >= text.length) return root;
+    if (text.startsWith("[[", pos)) {
+      pos += 2;
+      const keys = keyPath();
+      expect("]");
+      expect("]");
+      const parent = keys.slice(0, -1).reduce(into, root);
+      const list = parent[keys[keys.length - 1]] ??= [];
+      if (!Array.isArray(list)) fail(`${keys.join(".")} is not an array of tables`);
+      list.push(table = {});
+    } else if (text[pos] === "[") {
+      pos++;
+      const keys = keyPath();
+      expect("]");
+      table = keys.reduce(into, root);
+    } else {
+      const keys = keyPath();
+      expect("=");
+      skip(false);
+      keys.slice(0, -1).reduce(into, table)[keys[keys.length - 1]] = value();
+    }
+    skip(false);
+    if (pos < text.length && text[pos] !== "\n") fail("expected a new line");
+  }
+}
@@ -0,0 +1,103 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { Customer } from './pip-client';
+import { Confidence, SearchResult } from './search-providers';
+
+// Candidates a non-interactive run would not save on its own. The queue is
+// append-only NDJSON: candidate lines are written by the batch, decision
+// lines by `websites review`, so an interrupted review picks up where it
+// stopped and a later batch can re-queue a customer.
+
+export interface ReviewCandidate {
+  kind: 'candidate';
+  timestamp: string;
+  customerId: string;
+  code: string;
+  name: string;
+  city: string;
+  state: string;
+  phone: string;
+  currentWebsite: string;
+  url: string;
+  source: string;
+  confidence: Confidence;
+  score?: number;
+  reasons?: string[];
+  alternates: string[];
+}
+
+export type ReviewOutcome = 'applied' | 'rejected';
+
+export interface ReviewDecision {
+  kind: 'decision';
+  timestamp: string;
+  code: string;
+  decision: ReviewOutcome;
+  url?: string;
+}
+
+export type ReviewLine = ReviewCandidate | ReviewDecision;
+
+export const DEFAULT_REVIEW_QUEUE = 'review-queue.ndjson';
+
+export function resolveReviewQueuePath(filePath?: string): string {
+  return path.resolve(process.cwd(), filePath || DEFAULT_REVIEW_QUEUE);
+}
+
+function append(filePath: string, line: ReviewLine) {
+  fs.appendFileSync(filePath, JSON.stringify(line) + '\n', 'utf8');
+}
+
+export function queueForReview(filePath: string, customer: Customer, result: SearchResult): ReviewCandidate {
+  const alternates = [...new Set(result.allResults || [])].filter(u => u !== result.url);
+  const entry: ReviewCandidate = {
+    kind: 'candidate',
+    timestamp: new Date().toISOString(),
+    customerId: customer.id,
+    code: customer.code,
+    name: customer.name,
+    city: customer.city,
+    state: customer.state,
+    phone: customer.phone,
+    currentWebsite: customer.currentWebsite,
+    url: result.url,
+    source: result.source,
+    confidence: result.confidence,
+    score: result.score,
+    reasons: result.reasons,
+    alternates
+  };
+  append(filePath, entry);
+  return entry;
+}
+
+export function recordDecision(filePath: string, code: string, decision: ReviewOutcome, url?: string): ReviewDecision {
+  const entry: ReviewDecision = { kind: 'decision', timestamp: new Date().toISOString(), code, decision, url };
+  append(filePath, entry);
+  return entry;
+}
+
+export function readReviewQueue(filePath: string): ReviewLine[] {
+  if (!fs.existsSync(filePath)) throw new Error(`Review queue not found: ${filePath}`);
+  const lines: ReviewLine[] = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.code === 'string' && (entry.kind === 'candidate' || entry.kind === 'decision')) lines.push(entry);
+    } catch (e) {
+      // partial line from an interrupted write
+    }
+  }
+  return lines;
+}
+
+// Latest candidate per customer that no decision has been recorded for since
+export function pendingReviews(lines: ReviewLine[]): ReviewCandidate[] {
+  const pending = new Map<string, ReviewCandidate>();
+  for (const line of lines) {
+    if (line.kind === 'candidate') pending.set(line.code, line);
+    else pending.delete(line.code);
+  }
+  return [...pending.values()];
+}
@@ -0,0 +1,125 @@
+import * as path from 'path';
+import { appendChange, resolveChangeLogPath } from './change-log';
+import { normalizeDomain } from './domain-guess';
+import { getCustomer, saveCustomerWebsite } from './pip-client';
+import { createReadline, question } from './prompt';
+import { pendingReviews, readReviewQueue, recordDecision, ReviewCandidate } from './review-queue';
+import { confirmProfileSaves, PipConnectionOptions, resolvePipConfig } from './profiles';
+
+export interface ReviewOptions extends PipConnectionOptions {
+  force?: boolean;
+  changeLog?: string;
+}
+
+interface Approval {
+  entry: ReviewCandidate;
+  url: string;
+}
+
+const sameWebsite = (a: string, b: string) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+function show(entry: ReviewCandidate, index: number, total: number) {
+  console.log(`\n--- ${index + 1} of ${total}: ${entry.code} ---`);
+  console.log(`Name: ${entry.name}`);
+  console.log(`Location: ${entry.city}, ${entry.state}`);
+  console.log(`Phone: ${entry.phone}`);
+  console.log(`Current Website: ${entry.currentWebsite || '(empty)'}`);
+  console.log(`Candidate: ${entry.url}`);
+  console.log(`  Source: ${entry.source}`);
+  console.log(`  Confidence: ${entry.confidence}${entry.score !== undefined ? ` (${entry.score}/100)` : ''}`);
+  if (entry.reasons?.length) console.log(`  Why: ${entry.reasons.join(', ')}`);
+  entry.alternates.forEach((url, i) => console.log(`  [${i + 1}] ${url}`));
+}
+
+// Walks the pending candidates, then applies the approved ones. Rejections
+// are recorded as they are made; approvals only once they are saved, so a
+// review abandoned before the apply step can simply be run again.
+export async function runReview(queueFile: string, opts: ReviewOptions = {}) {
+  const queuePath = path.resolve(process.cwd(), queueFile);
+  const pending = pendingReviews(readReviewQueue(queuePath));
+  if (pending.length === 0) {
+    console.log(`Nothing to review in ${queuePath}.`);
+    return;
+  }
+
+  const config = resolvePipConfig(opts);
+  if (!config.username || !config.password || !config.companyID) {
+    throw new Error('Missing credentials/companyID for review. Provide --username --password --companyID');
+  }
+
+  const rl = createReadline();
+  const approved: Approval[] = [];
+  let rejected = 0;
+
+  try {
+    console.log(`${pending.length} candidate(s) to review from ${queuePath}`);
+    for (const [i, entry] of pending.entries()) {
+      show(entry, i, pending.length);
+      const alternates = entry.alternates.length ? `, 1-${entry.alternates.length} pick alternate` : '';
+      const choice = (await question(rl, `(a)ccept${alternates}, (e)nter URL, (r)eject, (s)kip, (q)uit: `)).trim().toLowerCase();
+
+      if (choice === 'q') break;
+      if (choice === 'a') {
+        approved.push({ entry, url: entry.url });
+      } else if (/^\d+$/.test(choice) && entry.alternates[Number(choice) - 1]) {
+        approved.push({ entry, url: entry.alternates[Number(choice) - 1] });
+      } else if (choice === 'e') {
+        const url = (await question(rl, 'Enter website URL (or press Enter to skip): ')).trim();
+        if (url) approved.push({ entry, url });
+      } else if (choice === 'r') {
+        recordDecision(queuePath, entry.code, 'rejected');
+        rejected++;
+      }
+      // anything else leaves the candidate in the queue for next time
+    }
+
+    if (approved.length === 0) {
+      console.log(`\nNo websites approved (${rejected} rejected).`);
+      return;
+    }
+
+    console.log(`\n${approved.length} website(s) approved:`);
+    for (const a of approved) console.log(`  ${a.entry.code}: ${a.entry.currentWebsite || '(empty)'} -> ${normalizeDomain(a.url)}`);
+    const confirm = await question(rl, `Save ${approved.length} website(s)? (y/n): `);
+    if (confirm.trim().toLowerCase() !== 'y') {
+      console.log('Not saved - approved entries stay in the queue.');
+      return;
+    }
+    await confirmProfileSaves(opts, rl);
+  } finally {
+    rl.close();
+  }
+
+  const changeLog = resolveChangeLogPath(opts.changeLog);
+  const results = { saved: 0, skipped: 0, failed: 0 };
+
+  for (const { entry, url } of approved) {
+    try {
+      // The queue can be a day old; don't clobber a website set since
+      const customer = await getCustomer(entry.code, config);
+      if (!sameWebsite(customer.currentWebsite, entry.currentWebsite) && !opts.force) {
+        console.log(`  Skipping ${entry.code} - website changed since it was queued (now ${customer.currentWebsite || '(empty)'}); use --force to save anyway`);
+        results.skipped++;
+        continue;
+      }
+
+      const normalizedUrl = normalizeDomain(url);
+      const id = customer.id || entry.customerId || '0';
+      const saved = await saveCustomerWebsite(id, customer.code || entry.code, normalizedUrl, config);
+      if (!saved.success) {
+        console.log(`  ✗ ${entry.code}: ${saved.messages.join('; ')}`);
+        results.failed++;
+        continue;
+      }
+      appendChange(changeLog, { customerId: id, code: entry.code, field: 'WebSite', previous: customer.currentWebsite, next: normalizedUrl, source: `review:${entry.source}` });
+      recordDecision(queuePath, entry.code, 'applied', normalizedUrl);
+      console.log(`  ✓ ${entry.code} set to ${normalizedUrl}`);
+      results.saved++;
+    } catch (err: any) {
+      console.log(`  ✗ ${entry.code}: ${err.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log(`\nSaved: ${results.saved}, Rejected: ${rejected}, Skipped: ${results.skipped}, Failed: ${results.failed}`);
+}
@@ -0,0 +1,107 @@
+import * as path from 'path';
+import { appendChange, filterChanges, planRevert, readChangeLog, resolveChangeLogPath, RevertPlan } from './change-log';
+import { getCustomer, saveCustomerWebsite } from './pip-client';
+import { createReadline, question } from './prompt';
+import { confirmProfileSaves, PipConnectionOptions, resolvePipConfig } from './profiles';
+
+export interface RollbackOptions extends PipConnectionOptions {
+  codes?: string;
+  since?: string;
+  until?: string;
+  dryRun?: boolean;
+  force?: boolean;
+  yes?: boolean;
+  changeLog?: string;
+}
+
+function parseDate(value: string | undefined, flag: string): Date | undefined {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`Invalid ${flag} date: ${value}`);
+  return date;
+}
+
+const sameWebsite = (a: string, b: string) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+function describe(plan: RevertPlan): string {
+  const changes = plan.changes > 1 ? ` (${plan.changes} changes)` : '';
+  return `${plan.code}: ${plan.expected || '(empty)'} -> ${plan.restore || '(empty)'}${changes}`;
+}
+
+export async function runRollback(logFile: string, opts: RollbackOptions = {}) {
+  const logPath = path.resolve(process.cwd(), logFile);
+  const entries = filterChanges(readChangeLog(logPath), {
+    codes: opts.codes ? opts.codes.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+    since: parseDate(opts.since, '--since'),
+    until: parseDate(opts.until, '--until')
+  }).filter(e => e.field === 'WebSite');
+
+  const plans = planRevert(entries);
+  if (plans.length === 0) {
+    console.log('No matching changes to roll back.');
+    return;
+  }
+
+  console.log(`${plans.length} customer(s) to revert from ${logPath}:`);
+  for (const plan of plans) console.log(`  ${describe(plan)}`);
+
+  if (opts.dryRun) {
+    console.log('\nDry run - nothing was changed.');
+    return;
+  }
+
+  const config = resolvePipConfig(opts);
+  if (!config.username || !config.password || !config.companyID) {
+    throw new Error('Missing credentials/companyID for rollback. Provide --username --password --companyID');
+  }
+
+  const rl = opts.yes ? undefined : createReadline();
+  try {
+    if (rl) {
+      const confirm = await question(rl, `\nRevert ${plans.length} customer(s)? (y/n): `);
+      if (confirm.trim().toLowerCase() !== 'y') {
+        console.log('Cancelled.');
+        return;
+      }
+    }
+    await confirmProfileSaves(opts, rl);
+  } finally {
+    rl?.close();
+  }
+
+  // Reverts are logged like any other save so a rollback can itself be undone
+  const changeLog = resolveChangeLogPath(opts.changeLog);
+  const results = { reverted: 0, skipped: 0, failed: 0 };
+
+  for (const plan of plans) {
+    try {
+      const customer = await getCustomer(plan.code, config);
+      if (!sameWebsite(customer.currentWebsite, plan.expected) && !opts.force) {
+        console.log(`  Skipping ${plan.code} - website changed since (now ${customer.currentWebsite || '(empty)'}); use --force to revert anyway`);
+        results.skipped++;
+        continue;
+      }
+      if (sameWebsite(customer.currentWebsite, plan.restore)) {
+        console.log(`  Skipping ${plan.code} - already ${plan.restore || '(empty)'}`);
+        results.skipped++;
+        continue;
+      }
+
+      const id = customer.id || plan.customerId || '0';
+      const saved = await saveCustomerWebsite(id, customer.code || plan.code, plan.restore, config);
+      if (!saved.success) {
+        console.log(`  ✗ ${plan.code}: ${saved.messages.join('; ')}`);
+        results.failed++;
+        continue;
+      }
+      appendChange(changeLog, { customerId: id, code: plan.code, field: 'WebSite', previous: customer.currentWebsite, next: plan.restore, source: 'rollback' });
+      console.log(`  ✓ ${plan.code} restored to ${plan.restore || '(empty)'}`);
+      results.reverted++;
+    } catch (err: any) {
+      console.log(`  ✗ ${plan.code}: ${err.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log(`\nReverted: ${results.reverted}, Skipped: ${results.skipped}, Failed: ${results.failed}`);
+}
@@ -0,0 +1,54 @@
+import * as fs from 'fs';
+import { csvRow, ExportFormat, parseExportFormat } from './csv';
+
+// Per-customer results of a websites run (--output). Every input customer gets
+// a row, including those skipped, resumed or never reached, so runs can be
+// diffed and follow-up batches built from the file.
+
+export type RunStatus = 'updated' | 'skipped' | 'queued' | 'failed' | 'not_processed';
+
+export type RunReason =
+  | 'saved'
+  | 'has_website'
+  | 'not_found'
+  // A search tier errored and nothing was found; rerun with --resume
+  | 'lookup_failed'
+  | 'low_confidence'
+  | 'declined'
+  | 'no_input'
+  | 'save_failed'
+  | 'error'
+  | 'resumed'
+  | 'interrupted';
+
+export interface RunResult {
+  code: string;
+  name?: string;
+  status: RunStatus;
+  reason: RunReason;
+  previousWebsite?: string;
+  newWebsite?: string;
+  source?: string;
+  confidence?: string;
+  score?: number;
+  // The chosen or best candidate first, then the alternatives
+  candidates: string[];
+  startedAt?: string;
+  durationMs?: number;
+  error?: string;
+}
+
+const RESULT_COLUMNS: Array<keyof RunResult> = [
+  'code', 'name', 'status', 'reason', 'previousWebsite', 'newWebsite', 'source', 'confidence', 'score', 'candidates', 'startedAt', 'durationMs', 'error'
+];
+
+export function formatRunResults(rows: RunResult[], format: ExportFormat): string {
+  if (format === 'json') return JSON.stringify(rows, null, 2) + '\n';
+  if (format === 'ndjson') return rows.map(r => JSON.stringify(r) + '\n').join('');
+  const cells = (r: RunResult) => RESULT_COLUMNS.map(k => k === 'candidates' ? r.candidates.join(' ') : r[k]);
+  return [csvRow(RESULT_COLUMNS), ...rows.map(r => csvRow(cells(r)))].join('\n') + '\n';
+}
+
+export function writeRunResults(filePath: string, rows: RunResult[], format = 'csv') {
+  fs.writeFileSync(filePath, formatRunResults(rows, parseExportFormat(format)), 'utf8');
+}
@@ -0,0 +1,127 @@
+import { createDomainGuessProvider } from './domain-guess';
+import { createGoogleProvider } from './google-search';
+import { createOpenAIProvider } from './openai-search';
+import { LookupCache, withCache } from './lookup-cache';
+import { log } from './logger';
+import { Customer } from './pip-client';
+
+export type Confidence = 'high' | 'medium' | 'low';
+
+export interface SearchResult {
+  url: string;
+  confidence: Confidence;
+  source: string;
+  allResults?: string[];
+  // Set once the candidate's homepage has been verified (see verify.ts)
+  score?: number;
+  reasons?: string[];
+}
+
+// Each discovery tier (domain guessing, Google CSE, OpenAI) implements this so
+// findWebsite can run them in order without knowing how they search.
+export interface SearchProvider {
+  name: string;
+  // Settings its answers depend on, e.g. the OpenAI model; the lookup cache
+  // keeps answers apart per value
+  cacheVariant?: string;
+  enabled(): boolean;
+  find(customer: Customer): Promise<SearchResult | null>;
+}
+
+// Nothing was found but at least one tier errored (after retries), so the
+// customer may well have a website: report it as a failed lookup to rerun,
+// not as "not found".
+export class LookupFailedError extends Error {
+  constructor(readonly failures: Array<{ tier: string; error: string }>) {
+    super(`Lookup failed: ${failures.map(f => `${f.tier}: ${f.error}`).join('; ')}`);
+    this.name = 'LookupFailedError';
+  }
+}
+
+// Re-scores a provider's candidate against the customer record
+export type Verifier = (customer: Customer, result: SearchResult) => Promise<SearchResult>;
+
+export interface SearchConfig {
+  enableDomainGuessing: boolean;
+  enableGoogleSearch: boolean;
+  enableOpenAI: boolean;
+  googleCseKey: string;
+  googleCx: string;
+  openaiKey: string;
+  openaiModel: string;
+  dnsTimeout: number;
+  httpTimeout: number;
+  verifyHomepage: boolean;
+}
+
+export function defaultSearchConfig(env: Record<string, string | undefined>): SearchConfig {
+  return {
+    enableDomainGuessing: true,
+    enableGoogleSearch: true,
+    enableOpenAI: env.ENABLE_OPENAI === 'true',
+    googleCseKey: env.GOOGLE_CSE_KEY || '',
+    googleCx: env.GOOGLE_CX || '',
+    openaiKey: env.OPENAI_API_KEY || '',
+    openaiModel: env.OPENAI_MODEL || 'gpt-4o-mini',
+    dnsTimeout: 3000,
+    httpTimeout: 5000,
+    verifyHomepage: true
+  };
+}
+
+export function buildProviders(config: SearchConfig, cache?: LookupCache): SearchProvider[] {
+  const providers = [
+    createDomainGuessProvider(config),
+    createGoogleProvider(config),
+    createOpenAIProvider(config)
+  ];
+  return cache ? providers.map(p => withCache(p, cache)) : providers;
+}
+
+export function describeProviders(providers: SearchProvider[]): string[] {
+  return providers.map(p => `  ${p.name}: ${p.enabled() ? '✓' : '✗'}`);
+}
+
+// With a verifier, a candidate only ends the search once it verifies with
+// high confidence; otherwise later tiers get a chance and the best-scoring
+// candidate seen is returned.
+export async function findWebsite(customer: Customer, providers: SearchProvider[], verify?: Verifier): Promise<SearchResult | null> {
+  log.info(`\n[Website Search] Starting search for: ${customer.name}`, { event: 'search.start', name: customer.name });
+
+  let best: SearchResult | null = null;
+  const seen: string[] = [];
+  const failures: Array<{ tier: string; error: string }> = [];
+  for (const provider of providers) {
+    if (!provider.enabled()) continue;
+    let result: SearchResult | null;
+    try {
+      result = await provider.find(customer);
+    } catch (err: any) {
+      // A failed lookup is not a "not found": log it and let the next tier try
+      log.warn(`[${provider.name}] Lookup failed: ${err.message}`, { event: 'tier.failed', tier: provider.name, error: err.message });
+      failures.push({ tier: provider.name, error: err.message });
+      continue;
+    }
+    if (!result) continue;
+    log.info(`[${provider.name}] Candidate: ${result.url} (${result.confidence})`, { event: 'candidate', tier: provider.name, url: result.url, source: result.source, confidence: result.confidence });
+    if (!verify) return result;
+
+    const verified = await verify(customer, result);
+    if (verified.confidence === 'high') return verified;
+    seen.push(verified.url, ...(verified.allResults || []));
+    if (!best || (verified.score ?? 0) > (best.score ?? 0)) best = verified;
+  }
+
+  if (!best) {
+    if (failures.length) {
+      log.warn(`[Website Search] No results, but ${failures.map(f => f.tier).join(', ')} failed`, { event: 'search.done', found: false, failed: failures.map(f => f.tier) });
+      throw new LookupFailedError(failures);
+    }
+    log.info(`[Website Search] No results found from any source`, { event: 'search.done', found: false });
+    return null;
+  }
+  const { url, score } = best;
+  log.info(`[Website Search] No candidate verified with high confidence; best was ${url} (${score}/100)`, { event: 'search.done', found: true, url, score });
+  // Keep the other tiers' candidates around as alternates for a human to pick from
+  return { ...best, allResults: [...new Set(seen)].filter(u => u !== url) };
+}
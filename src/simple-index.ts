@@ -0,0 +1,250 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { PyPiFile, PyPiPackage } from "./pypi";
+
+// Simple repository API (PEP 503 HTML, PEP 691 JSON) and local directory
+// indexes, turned into the JSON API's shape so the payload code doesn't care
+// which kind of index a package came from. These only list files, so the
+// package metadata (summary, license, ...) stays empty.
+
+export interface SimpleFile {
+  filename: string;
+  url: string;
+  sha256?: string;
+  requiresPython?: string;
+  // PEP 592: true, or the reason given
+  yanked?: boolean | string;
+  size?: number;
+  uploadTime?: string;
+}
+
+export interface Distribution {
+  name: string;
+  version: string;
+  packagetype: string;
+  python_version: string;
+}
+
+// PEP 503: names compare case-insensitively with runs of -_. folded together
+export function normalizePackageName(name: string): string {
+  return name.toLowerCase().replace(/[-_.]+/g, "-");
+}
+
+const SDIST = /\.(tar\.gz|tgz|tar\.bz2|tar\.xz|tar|zip)$/i;
+
+export function parseDistributionFilename(filename: string): Distribution | undefined {
+  if (/\.(whl|egg)$/i.test(filename)) {
+    const wheel = /\.whl$/i.test(filename);
+    const parts = filename.replace(/\.(whl|egg)$/i, "").split("-");
+    if (parts.length < 2) return undefined;
+    return {
+      name: parts[0],
+      version: parts[1],
+      packagetype: wheel ? "bdist_wheel" : "bdist_egg",
+      python_version: (wheel ? parts[parts.length - 3] : parts[2]) || ""
+    };
+  }
+  if (!SDIST.test(filename)) return undefined;
+  const m = /^(.+?)-(\d[^-]*)$/.exec(filename.replace(SDIST, ""));
+  return m ? { name: m[1], version: m[2], packagetype: "sdist", python_version: "source" } : undefined;
+}
+
+// PEP 440 ordering: epoch, release, then dev < pre < final < post
+function versionKey(version: string): number[] | undefined {
+  const m = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\d*))?(?:[-_.]?(?:post|rev|r)[-_.]?(\d*)|-(\d+))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+.*)?$/i
+    .exec(version.trim());
+  if (!m) return undefined;
+  const release = m[2].split(".").map(Number);
+  while (release.length < 6) release.push(0);
+  const preRank = m[3] ? ({ a: 0, alpha: 0, b: 1, beta: 1 } as Record<string, number>)[m[3].toLowerCase()] ?? 2 : undefined;
+  const post = m[5] ?? m[6];
+  const dev = m[7];
+  // A bare dev release (1.0.dev1) sorts before 1.0a1
+  const pre = preRank !== undefined ? [preRank, Number(m[4] || 0)] : dev !== undefined && post === undefined ? [-1, 0] : [3, 0];
+  return [Number(m[1] || 0), ...release.slice(0, 6), ...pre, post !== undefined ? Number(post || 0) : -1, dev !== undefined ? Number(dev || 0) : Infinity];
+}
+
+export function compareVersions(a: string, b: string): number {
+  const ka = versionKey(a);
+  const kb = versionKey(b);
+  if (!ka || !kb) return ka ? 1 : kb ? -1 : a.localeCompare(b);
+  for (let i = 0; i < ka.length; i++) if (ka[i] !== kb[i]) return ka[i] < kb[i] ? -1 : 1;
+  return 0;
+}
+
+export function isPrerelease(version: string): boolean {
+  const key = versionKey(version);
+  return !!key && (key[7] !== 3 || key[10] !== Infinity);
+}
+
+function releaseParts(version: string): number[] {
+  const m = /^v?(?:\d+!)?(\d+(?:\.\d+)*)/i.exec(version.trim());
+  return m ? m[1].split(".").map(Number) : [];
+}
+
+// The version after `parts` with the component at `index` incremented, e.g. 1.4.2 at 1 -> 1.5
+function bump(parts: number[], index: number): string {
+  return [...parts.slice(0, index), parts[index] + 1].join(".");
+}
+
+function satisfiesClause(version: string, clause: string): boolean {
+  const m = /^(===|~=|==|!=|<=|>=|<|>|\^|~)?\s*(\S+)$/.exec(clause);
+  if (!m) return false;
+  const [, op = "==", target] = m;
+  if (op === "===") return version === target;
+  if (target.endsWith(".*")) {
+    const parts = releaseParts(version);
+    const prefix = releaseParts(target.slice(0, -2)).every((p, i) => (parts[i] ?? 0) === p);
+    return op === "==" ? prefix : op === "!=" && !prefix;
+  }
+  const cmp = compareVersions(version, target);
+  const parts = releaseParts(target);
+  switch (op) {
+    case "==": return cmp === 0;
+    case "!=": return cmp !== 0;
+    case "<": return cmp < 0;
+    case "<=": return cmp <= 0;
+    case ">": return cmp > 0;
+    case ">=": return cmp >= 0;
+    // ~=2.2.1 means >=2.2.1, ==2.2.*
+    case "~=": return parts.length > 1 && cmp >= 0 && satisfiesClause(version, `==${parts.slice(0, -1).join(".")}.*`);
+    // Poetry: ^1.4 is >=1.4,<2 and ^0.3 is >=0.3,<0.4; ~1.4 is >=1.4,<1.5
+    case "^": {
+      const first = parts.findIndex(p => p !== 0);
+      return cmp >= 0 && compareVersions(version, bump(parts, first < 0 ? parts.length - 1 : first)) < 0;
+    }
+    case "~": return cmp >= 0 && compareVersions(version, bump(parts, parts.length > 1 ? 1 : 0)) < 0;
+    default: return false;
+  }
+}
+
+// PEP 440 specifiers (">=2.0,<3", "~=4.2", "==1.4.*") and Poetry's ("^1.4",
+// "~1.4", a bare version, "*", alternatives joined by ||)
+export function satisfiesSpecifier(version: string, specifier: string): boolean {
+  const spec = specifier.trim();
+  if (!spec || spec === "*") return true;
+  if (spec.includes("||")) return spec.split("||").some(s => satisfiesSpecifier(version, s));
+  return spec.split(",").map(c => c.trim()).filter(Boolean).every(c => satisfiesClause(version, c));
+}
+
+const decodeHtml = (s: string) => s
+  .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#0*39;/g, "'").replace(/&amp;/g, "&");
+
+// PEP 503: one anchor per file, sha256 in the URL fragment
+export function parseSimpleHtml(html: string, pageUrl: string): SimpleFile[] {
+  const files: SimpleFile[] = [];
+  for (const m of html.matchAll(/<a\s([^>]*)>([^<]*)<\/a>/gi)) {
+    const attrs: Record<string, string> = {};
+    for (const a of m[1].matchAll(/([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+      attrs[a[1].toLowerCase()] = decodeHtml(a[2] ?? a[3] ?? a[4] ?? "");
+    }
+    if (!attrs.href) continue;
+    const url = new URL(attrs.href, pageUrl);
+    const hash = /^#sha256=([0-9a-f]+)/i.exec(url.hash);
+    url.hash = "";
+    files.push({
+      filename: decodeHtml(m[2].trim()) || path.basename(url.pathname),
+      url: url.toString(),
+      sha256: hash?.[1],
+      requiresPython: attrs["data-requires-python"] || undefined,
+      yanked: "data-yanked" in attrs ? attrs["data-yanked"] || true : undefined
+    });
+  }
+  return files;
+}
+
+// PEP 691 (with the PEP 700 size and upload-time fields when present)
+export function parseSimpleJson(doc: any, pageUrl: string): SimpleFile[] {
+  return (doc?.files || []).map((f: any) => ({
+    filename: f.filename,
+    url: new URL(f.url, pageUrl).toString(),
+    sha256: f.hashes?.sha256,
+    requiresPython: f["requires-python"] || undefined,
+    yanked: f.yanked || undefined,
+    size: f.size,
+    uploadTime: f["upload-time"]
+  }));
+}
+
+function toPyPiFile(file: SimpleFile, dist: Distribution): PyPiFile {
+  return {
+    filename: file.filename,
+    packagetype: dist.packagetype,
+    python_version: dist.python_version,
+    size: file.size ?? 0,
+    digests: file.sha256 ? { sha256: file.sha256 } : {},
+    upload_time_iso_8601: file.uploadTime || "",
+    yanked: !!file.yanked,
+    yanked_reason: typeof file.yanked === "string" ? file.yanked : null,
+    requires_python: file.requiresPython ?? null,
+    url: file.url
+  };
+}
+
+// Groups a project's files by version; the package's version is `version`
+// when given, else the newest release that isn't yanked or a pre-release.
+// Returns undefined when the project (or that version) has no files.
+export function filesToPackage(project: string, files: SimpleFile[], version?: string): PyPiPackage | undefined {
+  const releases: Record<string, PyPiFile[]> = {};
+  for (const file of files) {
+    const dist = parseDistributionFilename(file.filename);
+    if (!dist || normalizePackageName(dist.name) !== normalizePackageName(project)) continue;
+    (releases[dist.version] ??= []).push(toPyPiFile(file, dist));
+  }
+  const versions = Object.keys(releases).sort(compareVersions);
+  const live = versions.filter(v => releases[v].some(f => !f.yanked));
+  const newest = (list: string[]) => list[list.length - 1];
+  const chosen = version !== undefined
+    ? versions.find(v => compareVersions(v, version) === 0)
+    : newest(live.filter(v => !isPrerelease(v))) ?? newest(live) ?? newest(versions);
+  if (!chosen) return undefined;
+  const urls = releases[chosen];
+  return {
+    info: {
+      name: project,
+      version: chosen,
+      summary: null,
+      home_page: null,
+      license: null,
+      author: null,
+      author_email: null,
+      project_urls: null,
+      requires_python: urls.find(f => f.requires_python)?.requires_python ?? null,
+      requires_dist: null,
+      classifiers: []
+    },
+    releases: Object.fromEntries(versions.map(v => [v, releases[v]])),
+    urls
+  };
+}
+
+// A directory standing in for an index: either PEP 503 pages
+// (<dir>/<project>/index.html) or distribution files, flat or in
+// <dir>/<project>/. Hashes, sizes and upload times come from the files.
+export function readLocalIndex(dir: string, project: string): SimpleFile[] {
+  const projectDir = path.join(dir, normalizePackageName(project));
+  const page = path.join(projectDir, "index.html");
+  if (fs.existsSync(page)) return parseSimpleHtml(fs.readFileSync(page, "utf8"), pathToFileURL(page).toString());
+
+  const files: SimpleFile[] = [];
+  for (const folder of [dir, projectDir]) {
+    if (!fs.existsSync(folder)) continue;
+    for (const filename of fs.readdirSync(folder)) {
+      const full = path.join(folder, filename);
+      const dist = parseDistributionFilename(filename);
+      if (!dist || normalizePackageName(dist.name) !== normalizePackageName(project)) continue;
+      const stat = fs.statSync(full);
+      if (!stat.isFile()) continue;
+      files.push({
+        filename,
+        url: pathToFileURL(full).toString(),
+        sha256: crypto.createHash("sha256").update(fs.readFileSync(full)).digest("hex"),
+        size: stat.size,
+        uploadTime: stat.mtime.toISOString()
+      });
+    }
+  }
+  return files;
+}
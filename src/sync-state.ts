@@ -0,0 +1,152 @@
+import fs from "fs";
+import path from "path";
+import { normalizePackageName } from "./simple-index";
+import { PackagePayload, payloadHash, stableJson } from "./updater";
+
+// What `sync` last pushed for each package: the version, a hash of the
+// payload (so an unchanged package is not pushed again) and a small snapshot
+// of its metadata and releases for `sync --diff`. Written after every
+// successful push so an interrupted batch keeps what it already pushed.
+
+export const DEFAULT_STATE_FILE = ".sync-state.json";
+
+export interface PackageSnapshot {
+  summary: string;
+  home_page: string;
+  license: string;
+  author: string;
+  author_email: string;
+  project_urls: Record<string, string>;
+  requires_python: string;
+  requires_dist: string[];
+  classifiers: string[];
+  // Release version -> yanked
+  releases: Record<string, boolean>;
+}
+
+export interface PackageState {
+  name: string;
+  version: string;
+  hash: string;
+  schemaVersion: number;
+  pushedAt: string;
+  snapshot: PackageSnapshot;
+}
+
+export interface SyncState {
+  path: string;
+  packages: Record<string, PackageState>;
+}
+
+export interface FieldChange {
+  field: keyof PackageSnapshot;
+  from: unknown;
+  to: unknown;
+}
+
+export interface PackageDiff {
+  // Nothing was pushed for this package before
+  first: boolean;
+  // The payload differs from the last push, in the fields below or elsewhere (release files)
+  changed: boolean;
+  version?: { from: string; to: string };
+  newReleases: string[];
+  yanked: string[];
+  unyanked: string[];
+  metadata: FieldChange[];
+}
+
+const METADATA_FIELDS: Array<Exclude<keyof PackageSnapshot, "releases">> = [
+  "summary", "home_page", "license", "author", "author_email", "project_urls", "requires_python", "requires_dist", "classifiers"
+];
+
+export function resolveStatePath(file?: string): string {
+  return path.resolve(process.cwd(), file || DEFAULT_STATE_FILE);
+}
+
+export function loadSyncState(file?: string): SyncState {
+  const statePath = resolveStatePath(file);
+  if (!fs.existsSync(statePath)) return { path: statePath, packages: {} };
+  try {
+    return { path: statePath, packages: JSON.parse(fs.readFileSync(statePath, "utf8")).packages || {} };
+  } catch (err: any) {
+    throw new Error(`Cannot read sync state ${statePath}: ${err.message} (fix or delete it, or pass --always)`);
+  }
+}
+
+export function saveSyncState(state: SyncState) {
+  const tmp = `${state.path}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ packages: state.packages }, null, 2) + "\n", "utf8");
+  fs.renameSync(tmp, state.path);
+}
+
+export function previousPush(state: SyncState, name: string): PackageState | undefined {
+  return state.packages[normalizePackageName(name)];
+}
+
+export function recordPush(state: SyncState, payload: PackagePayload, now = new Date()) {
+  state.packages[normalizePackageName(payload.name)] = {
+    name: payload.name,
+    version: payload.version,
+    hash: payloadHash(payload),
+    schemaVersion: payload.schema_version,
+    pushedAt: now.toISOString(),
+    snapshot: snapshotOf(payload)
+  };
+  saveSyncState(state);
+}
+
+export function isUnchanged(previous: PackageState | undefined, payload: PackagePayload): boolean {
+  return !!previous && previous.hash === payloadHash(payload);
+}
+
+export function snapshotOf(payload: PackagePayload): PackageSnapshot {
+  const snapshot = Object.fromEntries(METADATA_FIELDS.map(f => [f, payload[f]])) as Omit<PackageSnapshot, "releases">;
+  return { ...snapshot, releases: Object.fromEntries(payload.releases.map(r => [r.version, r.yanked])) };
+}
+
+export function diffPayload(previous: PackageState | undefined, payload: PackagePayload): PackageDiff {
+  const next = snapshotOf(payload);
+  if (!previous) return { first: true, changed: true, newReleases: [], yanked: [], unyanked: [], metadata: [] };
+  const before = previous.snapshot;
+  const versions = Object.keys(next.releases);
+  return {
+    first: false,
+    changed: previous.hash !== payloadHash(payload),
+    version: previous.version !== payload.version ? { from: previous.version, to: payload.version } : undefined,
+    newReleases: versions.filter(v => !(v in before.releases)),
+    yanked: versions.filter(v => next.releases[v] && before.releases[v] === false),
+    unyanked: versions.filter(v => !next.releases[v] && before.releases[v] === true),
+    metadata: METADATA_FIELDS
+      .filter(f => stableJson(before[f] ?? "") !== stableJson(next[f] ?? ""))
+      .map(f => ({ field: f, from: before[f], to: next[f] }))
+  };
+}
+
+function describeChange({ field, from, to }: FieldChange): string {
+  if (Array.isArray(from) || Array.isArray(to)) {
+    const a: unknown[] = Array.isArray(from) ? from : [];
+    const b: unknown[] = Array.isArray(to) ? to : [];
+    return `${field}: ${[...b.filter(x => !a.includes(x)).map(x => `+${x}`), ...a.filter(x => !b.includes(x)).map(x => `-${x}`)].join(", ")}`;
+  }
+  if (from && to && typeof from === "object" && typeof to === "object") {
+    const a = from as Record<string, string>;
+    const b = to as Record<string, string>;
+    const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(k => a[k] !== b[k]);
+    return `${field}: ${keys.map(k => !(k in a) ? `+${k}` : !(k in b) ? `-${k}` : `~${k}`).join(", ")}`;
+  }
+  return `${field}: ${JSON.stringify(from ?? "")} -> ${JSON.stringify(to ?? "")}`;
+}
+
+// Indented lines for the pretty output; empty when nothing changed
+export function formatDiff(diff: PackageDiff): string[] {
+  if (diff.first) return ["    first push (no previous state)"];
+  const lines: string[] = [];
+  if (diff.version) lines.push(`version: ${diff.version.from} -> ${diff.version.to}`);
+  if (diff.newReleases.length) lines.push(`new releases: ${diff.newReleases.join(", ")}`);
+  if (diff.yanked.length) lines.push(`yanked: ${diff.yanked.join(", ")}`);
+  if (diff.unyanked.length) lines.push(`no longer yanked: ${diff.unyanked.join(", ")}`);
+  lines.push(...diff.metadata.map(describeChange));
+  if (!lines.length && diff.changed) lines.push("release files changed");
+  return lines.map(l => `    ${l}`);
+}
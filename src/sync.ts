@@ -0,0 +1,214 @@
+import { describeHttpError, isTransient } from "./http";
+import { compactOutbox, pendingUpdates, queueUpdate, recordOutboxEvent, resolveOutboxPath, settlePackage } from "./outbox";
+import { describePackageIndex, fetchPyPiPackage, latestMatching, PackageNotFoundError, PyPiPackage } from "./pypi";
+import { readRequirements, Requirement } from "./requirements";
+import { diffPayload, formatDiff, isUnchanged, loadSyncState, PackageDiff, previousPush, recordPush, SyncState } from "./sync-state";
+import { newIdempotencyKey, PackagePayload, pushUpdate, transformPyPiToPayload } from "./updater";
+
+export interface SyncOptions {
+  dryRun?: boolean;
+  format?: string;
+  includeRaw?: boolean;
+  // Push even when the payload matches the last push
+  always?: boolean;
+  // Show what changed since the last push
+  diff?: boolean;
+  stateFile?: string;
+  // Where updates that still fail after retries wait for `sync --flush`
+  outbox?: string;
+}
+
+export interface SyncFromOptions extends SyncOptions {
+  from: string;
+}
+
+export interface SyncResult {
+  package: string;
+  // What the file asked for, e.g. ">=2.0"
+  requested: string;
+  // The release that was fetched and pushed
+  version?: string;
+  // unchanged: same payload as the last push, so not pushed again
+  status: "synced" | "unchanged" | "failed";
+  error?: string;
+  // With --diff
+  changes?: PackageDiff;
+  // Failed transiently and waits in the outbox
+  queued?: boolean;
+  durationMs: number;
+}
+
+function label(requirement: Requirement): string {
+  const extras = requirement.extras.length ? `[${requirement.extras.join(",")}]` : "";
+  return `${requirement.name}${extras}${requirement.specifier}`;
+}
+
+function describeError(err: any): string {
+  if (err instanceof PackageNotFoundError) return err.message;
+  // The package API's own 4xx answers come back as results, so these are the index's
+  const status = err?.response?.status;
+  const hint = status === 401 || status === 403 ? " from the package index - check PYPI_INDEX_USERNAME/PYPI_INDEX_PASSWORD or PYPI_INDEX_TOKEN" : "";
+  return describeHttpError(err) + hint;
+}
+
+// Pushes for real, recording a delivered update in the state and outbox, or
+// queueing it in the outbox when it still fails transiently after retries
+async function deliver(payload: PackagePayload, state: SyncState, opts: SyncOptions): Promise<Pick<SyncResult, "status" | "error" | "queued">> {
+  const outboxPath = resolveOutboxPath(opts.outbox);
+  const key = newIdempotencyKey(payload);
+  let res;
+  try {
+    res = await pushUpdate(payload, false, key);
+  } catch (err: any) {
+    if (!isTransient(err)) throw err;
+    queueUpdate(outboxPath, payload, key, describeHttpError(err));
+    return { status: "failed", error: `Package API: ${describeHttpError(err)} - queued for sync --flush`, queued: true };
+  }
+  if (!res.ok) return { status: "failed", error: `Package API answered HTTP ${res.status}` };
+  settlePackage(outboxPath, payload);
+  recordPush(state, payload);
+  return { status: "synced" };
+}
+
+// Pushes the payload unless it matches the last push
+async function pushIfChanged(payload: PackagePayload, state: SyncState, opts: SyncOptions): Promise<Pick<SyncResult, "status" | "error" | "changes" | "queued">> {
+  const previous = previousPush(state, payload.name);
+  const changes = opts.diff ? diffPayload(previous, payload) : undefined;
+  if (!opts.always && isUnchanged(previous, payload)) return { status: "unchanged", changes };
+  if (opts.dryRun) return { status: "synced", changes };
+  return { ...await deliver(payload, state, opts), changes };
+}
+
+// A pin is fetched as it is; a range resolves to the newest release it allows
+async function fetchRequirement(requirement: Requirement): Promise<PyPiPackage> {
+  if (requirement.version || !requirement.specifier) return fetchPyPiPackage(requirement.name, requirement.version);
+  const latest = await fetchPyPiPackage(requirement.name);
+  const version = latestMatching(latest, requirement.specifier);
+  if (!version) throw new Error(`No release of ${requirement.name} matches ${requirement.specifier}`);
+  return version === latest.info.version ? latest : fetchPyPiPackage(requirement.name, version);
+}
+
+async function syncOne(requirement: Requirement, state: SyncState, opts: SyncOptions): Promise<SyncResult> {
+  const started = Date.now();
+  const result = (rest: Partial<SyncResult>): SyncResult => ({
+    package: requirement.name, requested: requirement.specifier, status: "synced", ...rest, durationMs: Date.now() - started
+  });
+  try {
+    const payload = transformPyPiToPayload(await fetchRequirement(requirement), { includeRaw: opts.includeRaw });
+    return result({ version: payload.version, ...await pushIfChanged(payload, state, opts) });
+  } catch (err: any) {
+    return result({ status: "failed", error: describeError(err) });
+  }
+}
+
+// `sync <package>`: prints the payload on a dry run, else pushes it.
+// Returns false when the package could not be synced.
+export async function runSyncPackage(pkgName: string, opts: SyncOptions = {}): Promise<boolean> {
+  const state = loadSyncState(opts.stateFile);
+  console.log(`Fetching ${pkgName} from ${describePackageIndex()}...`);
+  const payload = transformPyPiToPayload(await fetchPyPiPackage(pkgName), { includeRaw: opts.includeRaw });
+  const previous = previousPush(state, payload.name);
+  if (opts.diff) {
+    const lines = formatDiff(diffPayload(previous, payload));
+    console.log([`Changes since last push of ${payload.name}:`, ...(lines.length ? lines : ["    none"])].join("\n"));
+  }
+  if (opts.dryRun) {
+    if (opts.format === "json") console.log(JSON.stringify(payload));
+    else console.log("Payload:", JSON.stringify(payload, null, 2));
+    return true;
+  }
+  if (!opts.always && isUnchanged(previous, payload)) {
+    console.log(`${payload.name} ${payload.version} is unchanged since the last push (${previous!.pushedAt}); nothing pushed (--always to push anyway)`);
+    return true;
+  }
+  console.log("Pushing update...");
+  const res = await deliver(payload, state, opts);
+  console.log("Result:", res.status === "synced" ? "delivered" : res.error);
+  return res.status === "synced";
+}
+
+// `sync --flush`: redelivers the outbox. Updates the API rejects (4xx) are
+// dropped and reported; ones that fail again stay for the next flush.
+// Returns false unless every update was delivered.
+export async function runSyncFlush(opts: SyncOptions = {}): Promise<boolean> {
+  const outboxPath = resolveOutboxPath(opts.outbox);
+  const pending = pendingUpdates(outboxPath);
+  if (!pending.length) {
+    console.log(`Nothing to redeliver in ${outboxPath}`);
+    return true;
+  }
+  console.log(`${opts.dryRun ? "Would redeliver" : "Redelivering"} ${pending.length} update(s) from ${outboxPath}`);
+  const state = loadSyncState(opts.stateFile);
+  const counts = { delivered: 0, rejected: 0, pending: 0 };
+  for (const [i, update] of pending.entries()) {
+    const label = `[${i + 1}/${pending.length}] ${update.package} ${update.payload.version}`;
+    if (opts.dryRun) {
+      console.log(`${label}: queued ${update.queuedAt}, ${update.attempts} attempt(s), last error: ${update.lastError}`);
+      continue;
+    }
+    try {
+      const res = await pushUpdate(update.payload, false, update.key);
+      if (!res.ok) {
+        recordOutboxEvent(outboxPath, update, "rejected", `HTTP ${res.status}`);
+        counts.rejected++;
+        console.log(`${label}: ✗ rejected with HTTP ${res.status}, removed from the outbox`);
+        continue;
+      }
+      recordOutboxEvent(outboxPath, update, "delivered");
+      recordPush(state, update.payload);
+      counts.delivered++;
+      console.log(`${label}: ✓ delivered`);
+    } catch (err: any) {
+      recordOutboxEvent(outboxPath, update, "attempt", describeHttpError(err));
+      counts.pending++;
+      console.log(`${label}: ✗ ${describeHttpError(err)} (kept for the next flush)`);
+    }
+  }
+  if (opts.dryRun) return true;
+  compactOutbox(outboxPath);
+  console.log("");
+  console.log(`Delivered: ${counts.delivered}`);
+  if (counts.rejected) console.log(`Rejected: ${counts.rejected}`);
+  if (counts.pending) console.log(`Still pending: ${counts.pending} (in ${outboxPath})`);
+  return counts.delivered === pending.length;
+}
+
+// Syncs every package listed in a requirements.txt, pyproject.toml or
+// poetry.lock, one at a time. Returns false when any package failed.
+export async function runSyncFrom(opts: SyncFromOptions): Promise<boolean> {
+  const dryRun = !!opts.dryRun;
+  const json = opts.format === "json";
+  const { requirements, skipped } = readRequirements(opts.from);
+  const state = loadSyncState(opts.stateFile);
+  if (!json) {
+    console.log(`${dryRun ? "Checking" : "Syncing"} ${requirements.length} package(s) from ${opts.from}${dryRun ? " (dry run, nothing pushed)" : ""}`);
+    console.log(`Index: ${describePackageIndex()}`);
+    for (const entry of skipped) console.log(`  Skipped (not a PyPI package): ${entry}`);
+  }
+
+  const results: SyncResult[] = [];
+  for (const [i, requirement] of requirements.entries()) {
+    const res = await syncOne(requirement, state, opts);
+    results.push(res);
+    if (!json) {
+      const outcome = res.status === "synced" ? `✓ ${res.version}` : res.status === "unchanged" ? `= ${res.version} unchanged` : `✗ ${res.error}`;
+      console.log(`[${i + 1}/${requirements.length}] ${label(requirement)}: ${outcome}`);
+      if (res.changes) for (const line of formatDiff(res.changes)) console.log(line);
+    }
+  }
+
+  const failed = results.filter(r => r.status === "failed");
+  const unchanged = results.filter(r => r.status === "unchanged");
+  const queued = results.filter(r => r.queued);
+  if (json) {
+    console.log(JSON.stringify({ from: opts.from, dryRun, results, skipped }, null, 2));
+  } else {
+    console.log("");
+    console.log(`${dryRun ? "Would sync" : "Synced"}: ${results.length - failed.length - unchanged.length}`);
+    if (unchanged.length) console.log(`Unchanged (not pushed): ${unchanged.length}`);
+    console.log(`Failed: ${failed.length}${failed.length ? ` (${failed.map(r => r.package).join(", ")})` : ""}`);
+    if (skipped.length) console.log(`Skipped: ${skipped.length}`);
+    if (queued.length) console.log(`Queued for redelivery: ${queued.length} - run sync --flush once the package API is back`);
+  }
+  return failed.length === 0;
+}
@@ -1,18 +1,131 @@
-import axios from "axios";
+import crypto from "crypto";
 import { loadEnv } from "./config";
+import { httpRequest } from "./http";
+import { PyPiFile, PyPiPackage } from "./pypi";
 
-export function transformPyPiToPayload(meta: any) {
+// Bumped whenever PackagePayload changes shape, so the package API can tell
+// which version of the schema it is receiving.
+export const PAYLOAD_SCHEMA_VERSION = 2;
+
+export interface ReleaseFile {
+  filename: string;
+  packagetype: string;
+  python_version: string;
+  size: number;
+  sha256: string;
+  upload_time: string;
+}
+
+export interface PackageRelease {
+  version: string;
+  // Earliest file upload; empty for a release without files
+  upload_time: string;
+  // A release counts as yanked once all its files are
+  yanked: boolean;
+  yanked_reason: string;
+  // Distinct packagetypes, e.g. ["bdist_wheel", "sdist"]
+  file_types: string[];
+  files: ReleaseFile[];
+}
+
+export interface PackagePayload {
+  schema_version: typeof PAYLOAD_SCHEMA_VERSION;
+  name: string;
+  version: string;
+  summary: string;
+  home_page: string;
+  license: string;
+  author: string;
+  author_email: string;
+  project_urls: Record<string, string>;
+  requires_python: string;
+  requires_dist: string[];
+  classifiers: string[];
+  releases: PackageRelease[];
+  // The untouched PyPI response, only with includeRaw (it can run to megabytes)
+  raw?: PyPiPackage;
+}
+
+export interface PayloadOptions {
+  includeRaw?: boolean;
+}
+
+function toRelease(version: string, files: PyPiFile[]): PackageRelease {
+  const uploads = files.map(f => f.upload_time_iso_8601).filter(Boolean).sort();
+  const yanked = files.length > 0 && files.every(f => f.yanked);
   return {
-    name: meta.info.name,
-    version: meta.info.version,
-    summary: meta.info.summary || "",
-    home_page: meta.info.home_page || "",
-    releases: Object.keys(meta.releases || {}),
-    raw: meta
+    version,
+    upload_time: uploads[0] || "",
+    yanked,
+    yanked_reason: yanked ? files.find(f => f.yanked_reason)?.yanked_reason || "" : "",
+    file_types: [...new Set(files.map(f => f.packagetype))].sort(),
+    files: files.map(f => ({
+      filename: f.filename,
+      packagetype: f.packagetype,
+      python_version: f.python_version,
+      size: f.size,
+      sha256: f.digests?.sha256 || "",
+      upload_time: f.upload_time_iso_8601
+    }))
+  };
+}
+
+export function transformPyPiToPayload(meta: PyPiPackage, opts: PayloadOptions = {}): PackagePayload {
+  const { info } = meta;
+  // Version-specific responses carry only that version's files, in urls
+  const releases = meta.releases ?? { [info.version]: meta.urls || [] };
+  const payload: PackagePayload = {
+    schema_version: PAYLOAD_SCHEMA_VERSION,
+    name: info.name,
+    version: info.version,
+    summary: info.summary || "",
+    home_page: info.home_page || "",
+    license: info.license_expression || info.license || "",
+    author: info.author || "",
+    author_email: info.author_email || "",
+    project_urls: info.project_urls || {},
+    requires_python: info.requires_python || "",
+    requires_dist: info.requires_dist || [],
+    classifiers: info.classifiers || [],
+    releases: Object.entries(releases).map(([version, files]) => toRelease(version, files))
   };
+  if (opts.includeRaw) payload.raw = meta;
+  return payload;
+}
+
+// Key order doesn't change the hash; nor does raw, which is only a copy of
+// what the other fields were built from
+export function stableJson(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableJson((value as any)[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function payloadHash(payload: PackagePayload): string {
+  const { raw, ...rest } = payload;
+  return crypto.createHash("sha256").update(stableJson(rest)).digest("hex");
 }
 
-export async function pushUpdate(payload: any, dryRun = true) {
+// HMAC-SHA256 over "<timestamp>.<body>", so the package API can check the
+// request came from us and is recent
+export function signBody(body: string, secret: string, timestamp: number): string {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Unique to one push: the payload hash plus a random nonce, so the API can
+// drop a retried or redelivered copy without also dropping a deliberate
+// re-push of the same payload (sync --always)
+export function newIdempotencyKey(payload: PackagePayload): string {
+  return `${payloadHash(payload)}.${crypto.randomBytes(8).toString("hex")}`;
+}
+
+// One POST, retried on network errors, 429 and 5xx (which throw once the
+// retries run out). Every retry sends the same Idempotency-Key; pass the key
+// stored with an outbox entry to redeliver it as the same push. The
+// signature is made afresh for each attempt so its timestamp stays current.
+export async function pushUpdate(payload: PackagePayload, dryRun = true, idempotencyKey = newIdempotencyKey(payload)) {
   const env = loadEnv();
   const base = env.API_BASE_URL || "https://example.api";
   const key = env.API_KEY;
@@ -20,13 +133,26 @@ export async function pushUpdate(payload: any, dryRun = true) {
     return { ok: true, payload };
   }
   if (!key) throw new Error("API_KEY not set in environment");
-  const res = await axios.post(`${base}/packages/update`, payload, {
-    headers: {
+  const body = JSON.stringify(payload);
+  const headers = (): Record<string, string> => {
+    const common: Record<string, string> = {
       Authorization: `Bearer ${key}`,
       "Content-Type": "application/json",
-      Accept: "application/json"
-    },
-    validateStatus: () => true
-  });
+      Accept: "application/json",
+      "Idempotency-Key": idempotencyKey
+    };
+    if (!env.API_SIGNING_SECRET) return common;
+    const timestamp = Math.floor(Date.now() / 1000);
+    return { ...common, "X-Signature-Timestamp": String(timestamp), "X-Signature": signBody(body, env.API_SIGNING_SECRET, timestamp) };
+  };
+  const res = await httpRequest(undefined, "Package API update", () => ({
+    method: "POST",
+    url: `${base}/packages/update`,
+    // Sent as the exact string that was signed
+    data: body,
+    headers: headers(),
+    // 429 and 5xx throw so they are retried; other statuses are reported as-is
+    validateStatus: (status: number) => status < 500 && status !== 429
+  }));
   return { ok: res.status >= 200 && res.status < 300, status: res.status, data: res.data };
 }
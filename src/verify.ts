@@ -0,0 +1,158 @@
+import { cleanCompanyName, fetchHomepage, isParkedPage } from './domain-guess';
+import { log } from './logger';
+import { Customer } from './pip-client';
+import { Confidence, SearchConfig, SearchResult, Verifier } from './search-providers';
+
+// Homepage verification: every candidate from every tier is fetched and
+// scored 0-100 against the PIP customer record before it can be saved.
+// A responding domain only proves someone owns it, not that it is this
+// customer, so the tiers' own confidence is replaced by the score.
+
+export interface Verification {
+  score: number;
+  confidence: Confidence;
+  reasons: string[];
+}
+
+export interface SchemaOrganization {
+  name?: string;
+  telephone?: string;
+  locality?: string;
+  region?: string;
+}
+
+const HIGH_SCORE = 60;
+const MEDIUM_SCORE = 30;
+
+const STOP_WORDS = new Set(['and', 'the', 'of', 'for']);
+const ORGANIZATION_TYPE = /Organization|Business|Corporation|Store|Service/i;
+
+export function scoreConfidence(score: number): Confidence {
+  if (score >= HIGH_SCORE) return 'high';
+  if (score >= MEDIUM_SCORE) return 'medium';
+  return 'low';
+}
+
+function decodeEntities(text: string): string {
+  return text
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#0*39;|&apos;/gi, "'")
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>');
+}
+
+export function nameTokens(name: string): string[] {
+  const tokens = cleanCompanyName(name).split(/[\s-]+/).filter(t => !STOP_WORDS.has(t));
+  const long = tokens.filter(t => t.length >= 3);
+  return long.length ? long : tokens.filter(Boolean);
+}
+
+// Share of the customer's name tokens that appear as whole words in text
+function tokenCoverage(tokens: string[], text: string): number {
+  if (!tokens.length) return 0;
+  const words = new Set(text.toLowerCase().split(/[^a-z0-9]+/));
+  return tokens.filter(t => words.has(t)).length / tokens.length;
+}
+
+function phoneDigits(value: string): string {
+  const digits = value.replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : '';
+}
+
+function pagePhones(text: string): Set<string> {
+  const matches = text.match(/(?:\+?1[\s.-]*)?\(?\d{3}\)?[\s.-]*\d{3}[\s.-]*\d{4}/g) || [];
+  return new Set(matches.map(phoneDigits).filter(Boolean));
+}
+
+export function schemaOrganizations(html: string): SchemaOrganization[] {
+  const found: SchemaOrganization[] = [];
+  const visit = (node: any) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (node['@graph']) visit(node['@graph']);
+    const types = [].concat(node['@type'] || []).join(' ');
+    if (ORGANIZATION_TYPE.test(types)) {
+      const address = [].concat(node.address || [])[0] as any;
+      found.push({
+        name: typeof node.name === 'string' ? node.name : undefined,
+        telephone: typeof node.telephone === 'string' ? node.telephone : undefined,
+        locality: typeof address?.addressLocality === 'string' ? address.addressLocality : undefined,
+        region: typeof address?.addressRegion === 'string' ? address.addressRegion : undefined
+      });
+    }
+  };
+  const scripts = html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
+  for (const [, json] of scripts) {
+    try {
+      visit(JSON.parse(json));
+    } catch (e) {
+      // Broken JSON-LD is common; it just doesn't count
+    }
+  }
+  return found;
+}
+
+export function scoreHomepage(customer: Customer, html: string, finalUrl = ''): Verification {
+  if (isParkedPage(finalUrl, html)) return { score: 0, confidence: 'low', reasons: ['parked or for-sale domain'] };
+
+  const title = decodeEntities((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').trim());
+  const text = decodeEntities(html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ');
+  const orgs = schemaOrganizations(html);
+
+  let score = 0;
+  const reasons: string[] = [];
+  const add = (points: number, reason: string) => {
+    score += points;
+    reasons.push(`${reason} (+${points})`);
+  };
+
+  const tokens = nameTokens(customer.name);
+  const inTitle = tokenCoverage(tokens, title);
+  const inBody = tokenCoverage(tokens, text);
+  if (inTitle === 1) add(30, 'name in title');
+  else if (inBody === 1) add(20, 'name on page');
+  else if (Math.max(inTitle, inBody) >= 0.5) add(10, 'part of name on page');
+
+  const phone = phoneDigits(customer.phone || '');
+  const phones = pagePhones(text);
+  for (const org of orgs) if (org.telephone && phoneDigits(org.telephone)) phones.add(phoneDigits(org.telephone));
+  if (phone && phones.has(phone)) add(35, 'phone number matches');
+
+  const city = (customer.city || '').trim();
+  if (city && new RegExp(`\\b${city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(text)) add(10, `mentions ${city}`);
+  const state = (customer.state || '').trim().toUpperCase();
+  if (/^[A-Z]{2}$/.test(state) && new RegExp(`\\b${state}\\b`).test(text)) add(5, `mentions ${state}`);
+
+  const org = orgs.find(o => o.name && tokenCoverage(tokens, o.name) >= 0.5);
+  if (org) {
+    add(20, 'schema.org organization name matches');
+    if (city && org.locality?.trim().toLowerCase() === city.toLowerCase()) add(10, 'schema.org address matches city');
+  }
+
+  if (!reasons.length) reasons.push('nothing on the homepage matches the customer');
+  score = Math.min(score, 100);
+  return { score, confidence: scoreConfidence(score), reasons };
+}
+
+export async function verifyCandidate(customer: Customer, result: SearchResult, timeoutMs = 5000): Promise<SearchResult> {
+  const page = await fetchHomepage(result.url, timeoutMs);
+  let verification: Verification;
+  if (page.error || !page.status || page.status >= 400) {
+    const why = page.error || `HTTP ${page.status}`;
+    verification = { score: 0, confidence: 'low', reasons: [`homepage could not be fetched: ${why}`] };
+  } else {
+    verification = scoreHomepage(customer, page.body, page.finalUrl);
+  }
+  log.info(`[Verify] ${result.url}: ${verification.score}/100 - ${verification.reasons.join(', ')}`, { event: 'verify', url: result.url, score: verification.score, confidence: verification.confidence, reasons: verification.reasons });
+  return { ...result, ...verification };
+}
+
+export function createVerifier(config: SearchConfig): Verifier | undefined {
+  if (!config.verifyHomepage) return undefined;
+  return (customer, result) => verifyCandidate(customer, result, config.httpTimeout);
+}
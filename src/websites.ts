@@ -1,244 +1,367 @@
-import * as https from 'https';
 import * as readline from 'readline';
 import * as fs from 'fs';
 import * as path from 'path';
-import { loadEnv } from "./config";
-import { googleSearch } from "./google-search";
-
-export interface WebsitesOptions {
+import { normalizeDomain } from "./domain-guess";
+import { configureRateLimits, mapPool, parseRateLimitSpec } from "./concurrency";
+import { appendChange, resolveChangeLogPath } from "./change-log";
+import { appendJournal, completedCodes, defaultJournalPath, JournalOutcome, readJournal, terminateJournal } from "./journal";
+import { Customer, getCustomer, PipConfig, saveCustomerWebsite } from "./pip-client";
+import { createReadline, question } from "./prompt";
+import { LookupFailedError, SearchProvider, SearchResult, Verifier, buildProviders, describeProviders, findWebsite } from "./search-providers";
+import { createVerifier } from "./verify";
+import { applyHints, ColumnMapping, CustomerInput, readCustomerInput } from "./customer-input";
+import { queueForReview, resolveReviewQueuePath } from "./review-queue";
+import { CacheOptions, LookupCache, openLookupCache } from "./lookup-cache";
+import { configureHttp, HttpOptions } from "./http";
+import { BudgetOptions, configureBudget, spendSummary, usageThisRun, usageToday } from "./budget";
+import { configureLogger, currentRunId, log, LogOptions, withCustomerContext } from "./logger";
+import { RunReason, RunResult, writeRunResults } from "./run-results";
+import { parseExportFormat } from "./csv";
+import { confirmProfileSaves, PipConnectionOptions, resolvePipConfig, resolveSearchConfig } from "./profiles";
+
+export interface WebsitesOptions extends PipConnectionOptions, CacheOptions, BudgetOptions, ColumnMapping, LogOptions, HttpOptions {
   file?: string;
-  username?: string;
-  password?: string;
-  companyID?: string;
-  endpoint?: string;
-  namespace?: string;
   force?: boolean;
   yes?: boolean;
   codes?: string;
+  enableOpenai?: boolean;
+  disableGoogle?: boolean;
+  disableDomainGuessing?: boolean;
+  openaiModel?: string;
+  journal?: string;
+  resume?: string;
+  concurrency?: number;
+  rateLimit?: string;
+  changeLog?: string;
+  // false skips homepage verification of found candidates
+  verify?: boolean;
+  reviewQueue?: string;
+  output?: string;
+  outputFormat?: string;
 }
 
-const env = loadEnv();
-const DEFAULT_CONFIG = {
-  endpoint: 'https://sfs.rpg.com/pip/PublicAPIService.asmx',
-  namespace: 'http://digitalgateway.com/WebServices/PublicAPIService',
-  username: env.EA_USERNAME || '',
-  password: env.EA_PASSWORD || '',
-  companyID: env.EA_COMPANYID || '',
-  version: '25.0'
-};
-
-function createReadline() {
-  return readline.createInterface({ input: process.stdin, output: process.stdout });
-}
-
-function question(rl: readline.Interface, q: string): Promise<string> {
-  return new Promise((res) => rl.question(q, answer => res(answer)));
-}
-
-async function soapRequest(method: string, body: string, config: typeof DEFAULT_CONFIG): Promise<string> {
-  const soapEnvelope = `<?xml version="1.0" encoding="utf-8"?>\n<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" \n               xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" \n               xmlns:xsd="http://www.w3.org/2001/XMLSchema">\n  <soap:Body>\n    <${method} xmlns="${config.namespace}">\n      <Auth>\n        <User>${config.username}</User>\n        <Password>${config.password}</Password>\n        <CompanyID>${config.companyID}</CompanyID>\n        <Version>${config.version}</Version>\n      </Auth>\n      ${body}\n    </${method}>\n  </soap:Body>\n</soap:Envelope>`;
-
-  return new Promise((resolve, reject) => {
-    const options: https.RequestOptions = {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'text/xml; charset=utf-8',
-        'Content-Length': Buffer.byteLength(soapEnvelope),
-        'SOAPAction': `${config.namespace}/${method}`
-      }
-    };
-
-    const req = https.request(config.endpoint, options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) resolve(data);
-        else reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-      });
-    });
-
-    req.on('error', reject);
-    req.write(soapEnvelope);
-    req.end();
-  });
-}
-
-function parseXmlValue(xml: string, tagName: string): string {
-  const regex = new RegExp(`<${tagName}>\\s*<Value>([\\s\\S]*?)</Value>`, 'i');
-  const match = xml.match(regex);
-  return match ? match[1].trim() : '';
-}
-
-function parseXmlCode(xml: string, tagName: string): string {
-  const regex = new RegExp(`<${tagName}>[\\s\\S]*?<Code>\\s*<Value>([\\s\\S]*?)</Value>\\s*</Code>[\\s\\S]*?</${tagName}>`, 'i');
-  const match = xml.match(regex);
-  return match ? match[1].trim() : '';
-}
-
-function parseXmlId(xml: string, tagName: string): string {
-  const regex = new RegExp(`<${tagName}>[\\s\\S]*?<ID>\\s*<Value>([\\s\\S]*?)</Value>\\s*</ID>[\\s\\S]*?</${tagName}>`, 'i');
-  const match = xml.match(regex);
-  return match ? match[1].trim() : '';
-}
-
-async function getCustomer(customerCode: string, config: typeof DEFAULT_CONFIG): Promise<any> {
-  const body = `\n    <CustomerNumber>\n      <ID><Value>0</Value><Valid>false</Valid></ID>\n      <Code><Value>${customerCode}</Value><Valid>true</Valid></Code>\n    </CustomerNumber>`;
-
-  const response = await soapRequest('getCustomer', body, config);
-
-  return {
-    id: parseXmlId(response, 'CustomerNumber'),
-    code: parseXmlCode(response, 'CustomerNumber'),
-    name: parseXmlValue(response, 'CustomerName'),
-    city: parseXmlValue(response, 'City'),
-    state: parseXmlValue(response, 'State'),
-    phone: parseXmlValue(response, 'Phone1'),
-    currentWebsite: parseXmlValue(response, 'WebSite')
-  };
-}
-
-async function saveCustomerWebsite(customerId: string, customerCode: string, websiteUrl: string, config: typeof DEFAULT_CONFIG): Promise<boolean> {
-  const body = `\n    <customer>\n      <CustomerNumber>\n        <ID><Value>${customerId}</Value><Valid>true</Valid></ID>\n        <Code><Value>${customerCode}</Value><Valid>true</Valid></Code>\n      </CustomerNumber>\n      <WebSite>\n        <Value>${websiteUrl}</Value>\n        <Valid>true</Valid>\n      </WebSite>\n    </customer>`;
-
-  const response = await soapRequest('saveCustomer', body, config);
-  if (response && response.toLowerCase().includes('savecustomerresult')) return true;
-  return false;
-}
-
-function normalizeDomain(url?: string): string {
-  if (!url) return '';
-  url = url.trim();
-  try {
-    const u = new URL(url.startsWith('http') ? url : `https://${url}`);
-    let host = u.hostname;
-    if (!host.startsWith('www.')) host = `www.${host}`;
-    return host;
-  } catch (e) {
-    url = url.replace(/^(https?:\/\/)?(www\.)?/i, '').split('/')[0];
-    if (!/^www\./i.test(url)) url = `www.${url}`;
-    return url;
-  }
+interface ProcessResult {
+  success: boolean;
+  skipped: boolean;
+  reason: RunReason;
+  url?: string;
+  source?: string;
+  error?: string;
+  queued?: boolean;
+  name?: string;
+  previous?: string;
+  found?: SearchResult;
 }
 
-function readCsvFile(filePath: string): Array<string | { code: string; website: string }> {
-  const text = fs.readFileSync(filePath, 'utf8');
-  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
-  const rows: Array<string | { code: string; website: string }> = [];
-  for (const line of lines) {
-    const parts = line.split(',').map(p => p.trim());
-    if (parts.length === 1) rows.push(parts[0]);
-    else rows.push({ code: parts[0], website: parts[1] || '' });
-  }
-  return rows;
+interface ListOptions {
+  nonInteractive?: boolean;
+  force?: boolean;
+  journalPath?: string;
+  completed?: Set<string>;
+  concurrency?: number;
+  changeLog?: string;
+  verify?: Verifier;
+  reviewQueue?: string;
+  cache?: LookupCache;
 }
 
-async function processCustomer(customerCode: string, opts: { nonInteractive?: boolean; website?: string; force?: boolean }, config: typeof DEFAULT_CONFIG, rl?: readline.Interface): Promise<any> {
+async function processCustomer(customerCode: string, opts: { nonInteractive?: boolean; website?: string; hints?: CustomerInput; force?: boolean; changeLog?: string; verify?: Verifier; reviewQueue?: string }, config: PipConfig, providers: SearchProvider[], rl?: readline.Interface): Promise<ProcessResult> {
+  let customer: Customer | undefined;
+  let found: SearchResult | undefined;
+  // Every outcome carries what was known about the customer and the search for --output
+  const done = (res: ProcessResult): ProcessResult => ({ name: customer?.name, previous: customer?.currentWebsite, found, ...res });
   try {
-    const customer = await getCustomer(customerCode, config);
+    customer = applyHints(await getCustomer(customerCode, config), opts.hints);
 
-    console.log('\n--- Customer Information ---');
-    console.log(`ID: ${customer.id}`);
-    console.log(`Code: ${customer.code}`);
-    console.log(`Name: ${customer.name}`);
-    console.log(`Location: ${customer.city}, ${customer.state}`);
-    console.log(`Phone: ${customer.phone}`);
-    console.log(`Current Website: ${customer.currentWebsite || '(empty)'}`);
-    console.log('---------------------------\n');
+    log.text('\n--- Customer Information ---');
+    log.info(`Code: ${customer.code} (ID ${customer.id}) - ${customer.name}`, {
+      event: 'customer.start', id: customer.id, name: customer.name, city: customer.city, state: customer.state, currentWebsite: customer.currentWebsite
+    });
+    log.text(`Location: ${customer.city}, ${customer.state}`);
+    log.text(`Phone: ${customer.phone}`);
+    log.text(`Current Website: ${customer.currentWebsite || '(empty)'}`);
+    log.text('---------------------------\n');
 
     if (customer.currentWebsite && customer.currentWebsite.trim() !== '' && !opts.force) {
-      if (opts.nonInteractive) return { success: true, skipped: true };
+      if (opts.nonInteractive) return done({ success: true, skipped: true, reason: 'has_website' });
       if (!rl) throw new Error('readline required for interactive prompts');
       const overwrite = await question(rl, `Website already exists. Overwrite? (y/n): `);
-      if (overwrite.toLowerCase() !== 'y') return { success: true, skipped: true };
+      if (overwrite.toLowerCase() !== 'y') return done({ success: true, skipped: true, reason: 'has_website' });
     }
 
     let websiteUrl = opts.website;
+    let source = websiteUrl ? 'input' : 'manual';
     if (!websiteUrl) {
-      if (opts.nonInteractive) return { success: true, skipped: true };
-      if (!rl) throw new Error('readline required for interactive prompts');
-      websiteUrl = await question(rl, 'Enter website URL (or press Enter to skip): ');
+      let result: SearchResult | null = null;
+      let lookupError: string | undefined;
+      try {
+        result = await findWebsite(customer, providers, opts.verify);
+      } catch (err: any) {
+        if (!(err instanceof LookupFailedError)) throw err;
+        lookupError = err.message;
+      }
+      if (result) {
+        found = result;
+        source = result.source;
+        log.info(`\n✓ Found: ${result.url}`, {
+          event: 'search.result', url: result.url, source: result.source, confidence: result.confidence, score: result.score, candidates: result.allResults
+        });
+        log.text(`  Source: ${result.source}`);
+        log.text(`  Confidence: ${result.confidence}${result.score !== undefined ? ` (${result.score}/100)` : ''}`);
+        if (result.reasons) log.text(`  Why: ${result.reasons.join(', ')}`);
+
+        if (opts.nonInteractive) {
+          if (result.confidence !== 'high' && !opts.force) {
+            if (opts.reviewQueue) {
+              queueForReview(opts.reviewQueue, customer, result);
+              log.info('Queued for review - confidence too low for non-interactive mode', { event: 'queued', url: result.url });
+              return done({ success: true, skipped: true, reason: 'low_confidence', url: result.url, source, queued: true });
+            }
+            log.info('Skipping - confidence too low for non-interactive mode', { event: 'skip', reason: 'low_confidence' });
+            return done({ success: true, skipped: true, reason: 'low_confidence' });
+          }
+          websiteUrl = result.url;
+        } else {
+          if (!rl) throw new Error('readline required for interactive prompts');
+          const choice = (await question(rl, `\nUse this website? (y/n/e for enter manually): `)).trim().toLowerCase();
+          if (choice === 'y') websiteUrl = result.url;
+          else if (choice === 'e') {
+            source = 'manual';
+            websiteUrl = await question(rl, 'Enter website URL (or press Enter to skip): ');
+          }
+          else return done({ success: true, skipped: true, reason: 'declined' });
+        }
+      } else {
+        const failed: ProcessResult = { success: false, skipped: false, reason: 'lookup_failed', error: lookupError };
+        if (opts.nonInteractive) return done(lookupError ? failed : { success: true, skipped: true, reason: 'not_found' });
+        if (!rl) throw new Error('readline required for interactive prompts');
+        websiteUrl = await question(rl, `\n${lookupError ? 'Lookup failed' : 'No website found'}. Enter URL manually (or press Enter to skip): `);
+        if (lookupError && !websiteUrl.trim()) return done(failed);
+      }
     }
 
-    if (!websiteUrl || websiteUrl.trim() === '') return { success: true, skipped: true };
+    if (!websiteUrl || websiteUrl.trim() === '') return done({ success: true, skipped: true, reason: found ? 'declined' : 'no_input' });
 
     const normalizedUrl = normalizeDomain(websiteUrl);
-    console.log(`Normalized URL: ${normalizedUrl}`);
+    log.text(`Normalized URL: ${normalizedUrl}`);
 
     if (!opts.nonInteractive) {
       if (!rl) throw new Error('readline required for interactive prompts');
       const confirm = await question(rl, `Save this website? (y/n): `);
-      if (confirm.toLowerCase() !== 'y') return { success: true, skipped: true };
+      if (confirm.toLowerCase() !== 'y') return done({ success: true, skipped: true, reason: 'declined' });
     }
 
-  // Avoid sending empty <Value> elements - use '0' for missing IDs and fallback to customerCode for missing Code
-  const outId = (customer.id && customer.id.trim() !== '') ? customer.id : '0';
-  const outCode = (customer.code && customer.code.trim() !== '') ? customer.code : customerCode;
-  const saved = await saveCustomerWebsite(outId, outCode, normalizedUrl, config);
-    if (saved) console.log('✓ Website updated successfully!');
-    else console.log('✗ Failed to update website');
-    return { success: saved, skipped: false };
+    // Avoid sending empty <Value> elements - use '0' for missing IDs and fallback to customerCode for missing Code
+    const outId = (customer.id && customer.id.trim() !== '') ? customer.id : '0';
+    const outCode = (customer.code && customer.code.trim() !== '') ? customer.code : customerCode;
+    const saved = await saveCustomerWebsite(outId, outCode, normalizedUrl, config);
+    if (saved.success) {
+      log.info('✓ Website updated successfully!', { event: 'save', url: normalizedUrl, previous: customer.currentWebsite, source });
+      if (opts.changeLog) {
+        appendChange(opts.changeLog, { customerId: outId, code: outCode, field: 'WebSite', previous: customer.currentWebsite, next: normalizedUrl, source });
+      }
+    }
+    else log.error(`✗ Failed to update website: ${saved.messages.join('; ')}`, { event: 'save.failed', url: normalizedUrl, messages: saved.messages });
+    return done({ success: saved.success, skipped: false, reason: saved.success ? 'saved' : 'save_failed', url: normalizedUrl, source, error: saved.messages.join('; ') || undefined });
   } catch (error: any) {
-    console.error(`Error processing customer ${customerCode}: ${error.message}`);
-    return { success: false, skipped: false, error: error.message };
+    log.error(`Error processing customer ${customerCode}: ${error.message}`, { event: 'error', code: customerCode, error: error.message });
+    return done({ success: false, skipped: false, reason: 'error', error: error.message });
   }
 }
 
-async function processCustomerList(customerCodes: Array<string | { code: string; website: string }>, opts: { nonInteractive?: boolean; force?: boolean }, config: typeof DEFAULT_CONFIG, rl?: readline.Interface) {
-  const results = { total: customerCodes.length, updated: 0, skipped: 0, failed: 0 };
-  for (let i = 0; i < customerCodes.length; i++) {
-    const item = customerCodes[i];
-    const code = typeof item === 'string' ? item : item.code;
-    const website = typeof item === 'object' ? item.website : undefined;
+function journalOutcome(res: ProcessResult): JournalOutcome {
+  if (res.skipped) return 'skipped';
+  return res.success ? 'updated' : 'failed';
+}
+
+function runResult(code: string, res: ProcessResult, startedAt: Date, durationMs: number): RunResult {
+  const found = res.found;
+  return {
+    code,
+    name: res.name,
+    status: res.queued ? 'queued' : journalOutcome(res),
+    reason: res.reason,
+    previousWebsite: res.previous,
+    newWebsite: res.skipped ? undefined : res.url,
+    source: res.source ?? found?.source,
+    confidence: found?.confidence,
+    score: found?.score,
+    candidates: found ? [found.url, ...(found.allResults || [])] : [],
+    startedAt: startedAt.toISOString(),
+    durationMs,
+    error: res.error
+  };
+}
 
-    console.log(`\n========================================`);
-    console.log(`Processing ${i+1} of ${results.total}`);
-    console.log(`========================================`);
+async function processCustomerList(customerCodes: Array<string | CustomerInput>, opts: ListOptions, config: PipConfig, providers: SearchProvider[], rl?: readline.Interface): Promise<RunResult[]> {
+  const rows: RunResult[] = [];
+  const results = { total: customerCodes.length, updated: 0, skipped: 0, failed: 0, lookupFailed: 0, resumed: 0, queued: 0 };
+
+  // First Ctrl-C lets the current customer finish and its journal line land;
+  // a second one exits immediately.
+  let interrupted = false;
+  const onSigint = () => {
+    if (interrupted) process.exit(130);
+    interrupted = true;
+    log.warn('\nInterrupt received - finishing current customer (Ctrl-C again to abort)...', { event: 'interrupt' });
+  };
+  process.on('SIGINT', onSigint);
+  rl?.on('SIGINT', onSigint);
 
-    const res = await processCustomer(code, { nonInteractive: opts.nonInteractive, website, force: opts.force }, config, rl);
-    if (res.skipped) results.skipped++; else if (res.success) results.updated++; else results.failed++;
+  // Interactive runs prompt between customers, so they always stay serial.
+  const concurrency = opts.nonInteractive ? Math.max(1, opts.concurrency || 1) : 1;
+  let stopped = false;
 
-    if (!opts.nonInteractive && i < customerCodes.length - 1) {
-      if (!rl) throw new Error('readline required for interactive prompts');
-      const cont = await question(rl, '\nContinue to next customer? (y/n): ');
-      if (cont.toLowerCase() !== 'y') break;
-    }
+  try {
+    const outcomes = await mapPool(customerCodes, concurrency, async (item, i) => {
+      const code = typeof item === 'string' ? item : item.code;
+      const website = typeof item === 'object' ? item.website : undefined;
+      const hints = typeof item === 'object' ? item : undefined;
+
+      if (opts.completed?.has(code)) return undefined;
+
+      log.text(`\n========================================`);
+      log.text(`Processing ${i+1} of ${results.total}${concurrency > 1 ? ` (${code})` : ''}`);
+      log.text(`========================================`);
+
+      const startedAt = new Date();
+      const res = await withCustomerContext(code, () =>
+        processCustomer(code, { nonInteractive: opts.nonInteractive, website, hints, force: opts.force, changeLog: opts.changeLog, verify: opts.verify, reviewQueue: opts.reviewQueue }, config, providers, rl));
+      const row = runResult(code, res, startedAt, Date.now() - startedAt.getTime());
+      log.progress(`[${i+1}/${results.total}] ${code}: ${row.status} (${row.reason})${row.newWebsite ? ` ${row.newWebsite}` : ''}`, {
+        event: 'customer.done', code, status: row.status, reason: row.reason, url: row.newWebsite, durationMs: row.durationMs
+      });
+      if (opts.journalPath) {
+        appendJournal(opts.journalPath, { code, outcome: journalOutcome(res), url: res.url, source: res.source, error: res.error });
+      }
+
+      if (!opts.nonInteractive && !interrupted && i < customerCodes.length - 1) {
+        if (!rl) throw new Error('readline required for interactive prompts');
+        const cont = await question(rl, '\nContinue to next customer? (y/n): ');
+        if (cont.toLowerCase() !== 'y') stopped = true;
+      }
+      return row;
+    }, () => interrupted || stopped);
+
+    // Tally in input order so the summary does not depend on completion order
+    customerCodes.forEach((item, i) => {
+      const res = outcomes[i];
+      const code = typeof item === 'string' ? item : item.code;
+      if (!res) {
+        const resumed = opts.completed?.has(code);
+        if (resumed) results.resumed++;
+        rows.push({ code, status: 'not_processed', reason: resumed ? 'resumed' : 'interrupted', candidates: [] });
+        return;
+      }
+      rows.push(res);
+      if (res.status === 'queued') results.queued++;
+      if (res.reason === 'lookup_failed') results.lookupFailed++;
+      if (res.status === 'updated') results.updated++;
+      else if (res.status === 'failed') results.failed++;
+      else results.skipped++;
+    });
+  } finally {
+    process.removeListener('SIGINT', onSigint);
+    rl?.removeListener('SIGINT', onSigint);
   }
 
-  console.log('\n========================================');
-  console.log('SUMMARY');
-  console.log('========================================');
-  console.log(`Total processed: ${results.updated + results.skipped + results.failed}`);
-  console.log(`Updated: ${results.updated}`);
-  console.log(`Skipped: ${results.skipped}`);
-  console.log(`Failed: ${results.failed}`);
-  console.log('========================================\n');
+  const lines = [
+    '\n========================================',
+    interrupted ? 'SUMMARY (interrupted - partial results)' : 'SUMMARY',
+    '========================================',
+    `Total processed: ${results.updated + results.skipped + results.failed}`,
+    `Updated: ${results.updated}`,
+    `Skipped: ${results.skipped}`,
+    `Failed: ${results.failed}`
+  ];
+  if (results.lookupFailed) lines.push(`Lookup failed (search errors, not "not found"): ${results.lookupFailed}${opts.journalPath ? ` - rerun with --resume ${opts.journalPath}` : ''}`);
+  if (results.resumed) lines.push(`Already done (resumed): ${results.resumed}`);
+  if (results.queued) lines.push(`Queued for review: ${results.queued} (review with: websites review ${opts.reviewQueue})`);
+  let cacheHits: number | undefined;
+  if (opts.cache) {
+    const lookups = Object.values(opts.cache.stats());
+    cacheHits = lookups.reduce((n, s) => n + s.hits, 0);
+    const misses = lookups.reduce((n, s) => n + s.misses, 0);
+    if (cacheHits + misses) lines.push(`Lookup cache hits: ${cacheHits} of ${cacheHits + misses}`);
+  }
+  lines.push(`Spend: ${spendSummary()}`);
+  lines.push(`Spend today: ${spendSummary(usageToday())}`);
+  if (opts.journalPath) lines.push(`Journal: ${opts.journalPath}`);
+  if (interrupted && opts.journalPath) lines.push(`Resume with: --resume ${opts.journalPath}`);
+  lines.push(`Run ID: ${currentRunId()}`);
+  lines.push('========================================\n');
+  log.summary(lines, { event: 'run.summary', interrupted, ...results, cacheHits, spend: usageThisRun(), journal: opts.journalPath });
+  return rows;
 }
 
 export async function runWebsites(opts: WebsitesOptions = {}) {
-  const config = { ...DEFAULT_CONFIG };
-  if (opts.endpoint) config.endpoint = opts.endpoint;
-  if (opts.namespace) config.namespace = opts.namespace;
-  if (opts.username) config.username = opts.username;
-  if (opts.password) config.password = opts.password;
-  if (opts.companyID) config.companyID = opts.companyID;
+  const runId = configureLogger(opts);
+  const config = resolvePipConfig(opts);
+
+  const searchConfig = resolveSearchConfig(opts);
+  if (opts.enableOpenai) searchConfig.enableOpenAI = true;
+  if (opts.disableGoogle) searchConfig.enableGoogleSearch = false;
+  if (opts.disableDomainGuessing) searchConfig.enableDomainGuessing = false;
+  if (opts.openaiModel) searchConfig.openaiModel = opts.openaiModel;
+  if (opts.verify === false) searchConfig.verifyHomepage = false;
+  const cache = openLookupCache(opts);
+  const providers = buildProviders(searchConfig, cache);
+  const verify = createVerifier(searchConfig);
+  if (opts.concurrency !== undefined && !(Number.isInteger(opts.concurrency) && opts.concurrency > 0)) {
+    throw new Error(`Invalid --concurrency value: ${opts.concurrency}`);
+  }
+  if (opts.rateLimit) configureRateLimits(parseRateLimitSpec(opts.rateLimit));
+  configureHttp(opts);
+  configureBudget(opts);
+
+  log.info(`Run ID: ${runId}`, {
+    event: 'run.start', providers: providers.filter(p => p.enabled()).map(p => p.name), verify: !!verify, cache: cache?.filePath
+  });
+  log.text('Active search methods:');
+  for (const line of describeProviders(providers)) log.text(line);
+  log.text(`  Homepage verification: ${verify ? '✓' : '✗'}`);
+  log.text(`  Lookup cache: ${cache ? cache.filePath : '✗'}`);
 
   const nonInteractive = !!(opts.file || opts.codes || opts.yes);
+
+  let completed: Set<string> | undefined;
+  if (opts.resume) {
+    const resumePath = path.resolve(process.cwd(), opts.resume);
+    completed = completedCodes(readJournal(resumePath));
+    log.info(`Resuming from ${resumePath}: ${completed.size} customers already completed`, { event: 'resume', journal: resumePath, completed: completed.size });
+  }
+  const journalPath = opts.journal ? path.resolve(process.cwd(), opts.journal)
+    : opts.resume ? path.resolve(process.cwd(), opts.resume)
+    : defaultJournalPath();
+  terminateJournal(journalPath);
+  const changeLog = resolveChangeLogPath(opts.changeLog);
+  const reviewQueue = resolveReviewQueuePath(opts.reviewQueue);
+  const listOpts = (interactive: boolean): ListOptions => ({ nonInteractive: !interactive, force: !!opts.force, journalPath, completed, concurrency: opts.concurrency, changeLog, verify, reviewQueue, cache });
+  const output = opts.output ? path.resolve(process.cwd(), opts.output) : undefined;
+  if (output) parseExportFormat(opts.outputFormat);
+  const writeResults = (rows: RunResult[]) => {
+    if (!output) return;
+    writeRunResults(output, rows, opts.outputFormat);
+    log.progress(`Results written to: ${output}`, { event: 'results', path: output });
+  };
   const rl = createReadline();
 
   try {
+    await confirmProfileSaves(opts, nonInteractive ? undefined : rl);
+
     if (opts.file) {
       const filePath = path.resolve(process.cwd(), opts.file);
       if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
-      const rows = readCsvFile(filePath);
-      console.log(`Loaded ${rows.length} rows from ${filePath}`);
-      await processCustomerList(rows, { nonInteractive: true, force: !!opts.force }, config, rl);
+      const rows = readCustomerInput(filePath, opts);
+      log.info(`Loaded ${rows.length} rows from ${filePath}`, { event: 'input', path: filePath, rows: rows.length });
+      writeResults(await processCustomerList(rows, listOpts(false), config, providers, rl));
       rl.close();
       return;
     }
 
     if (opts.codes) {
       const codes = opts.codes.split(',').map(s => s.trim()).filter(Boolean);
-      await processCustomerList(codes, { nonInteractive: true, force: !!opts.force }, config, rl);
+      writeResults(await processCustomerList(codes, listOpts(false), config, providers, rl));
       rl.close();
       return;
     }
@@ -254,18 +377,18 @@ export async function runWebsites(opts: WebsitesOptions = {}) {
     const mode = await question(rl, '\nProcess (1) single customer or (2) multiple customers? Enter 1 or 2: ');
     if (mode === '1') {
       const customerCode = await question(rl, 'Enter customer code: ');
-      await processCustomer(customerCode, { nonInteractive: false }, config, rl);
+      await processCustomer(customerCode, { nonInteractive: false, changeLog, verify }, config, providers, rl);
     } else if (mode === '2') {
       const codesInput = await question(rl, 'Enter customer codes (comma-separated): ');
       const customerCodes = codesInput.split(',').map(c => c.trim()).filter(c => c);
-      await processCustomerList(customerCodes, { nonInteractive: false }, config, rl);
+      writeResults(await processCustomerList(customerCodes, listOpts(true), config, providers, rl));
     } else {
-      console.log('Invalid option.');
+      log.error('Invalid option.');
     }
 
     rl.close();
   } catch (err: any) {
-    console.error('Fatal error:', err.message || err);
+    log.error(`Fatal error: ${err.message || err}`, { event: 'fatal', error: err.message || String(err) });
     rl.close();
     process.exit(1);
   }
@@ -279,7 +402,7 @@ if (require.main === module) {
   for (let i = 0; i < argv.length; i++) {
     const a = argv[i];
     if (a.startsWith('--')) {
-      const key = a.slice(2) as keyof WebsitesOptions;
+      const key = a.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase()) as keyof WebsitesOptions;
       const next = argv[i+1];
       if (!next || next.startsWith('--')) { simpleArgs[key] = true as any; }
       else { simpleArgs[key] = next as any; i++; }
@@ -0,0 +1,111 @@
+import dns from "dns";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { AddressInfo } from "net";
+import { auditWebsite, classifyProbe, runAudit } from "../../src/audit";
+import { checkHostResolves } from "../../src/domain-guess";
+import { PipMockServer, startPipMock } from "../../src/pip-mock";
+
+describe("classifyProbe", () => {
+  const probe = (finalUrl: string, status?: number, body = "", error?: string) => ({ finalUrl, status, body, error, redirects: [] });
+
+  it("treats same-site redirects as healthy and cross-domain ones as moves", () => {
+    expect(classifyProbe("acme.com", probe("https://www.acme.com/home", 200)).status).toBe("healthy");
+    expect(classifyProbe("acme.com", probe("https://acme-group.com/", 200))).toEqual({ status: "redirected", detail: "moved to acme-group.com" });
+  });
+
+  it("recognises errors and parking pages", () => {
+    expect(classifyProbe("acme.com", probe("https://acme.com/", 503)).status).toBe("http_error");
+    expect(classifyProbe("acme.com", probe("https://acme.com/", undefined, "", "socket hang up")).status).toBe("http_error");
+    expect(classifyProbe("acme.com", probe("https://acme.com/", 200, "<h1>This domain is for sale!</h1>")).status).toBe("parked");
+    expect(classifyProbe("acme.com", probe("https://www.hugedomains.com/domain_profile.cfm?d=acme.com", 200)).status).toBe("parked");
+  });
+});
+
+describe("stored host lookup", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("resolves the stored www. host as is and falls back to the apex", async () => {
+    const records: Record<string, boolean> = { "www.acme.com": true, "globex.com": true };
+    const resolve = jest.spyOn(dns.promises, "resolve").mockImplementation((async (host: string) => {
+      if (!records[host]) throw Object.assign(new Error(`queryA ENOTFOUND ${host}`), { code: "ENOTFOUND" });
+      return ["192.0.2.1"];
+    }) as any);
+
+    expect(await checkHostResolves("www.acme.com")).toBe(true);
+    expect(resolve.mock.calls.map(c => c[0])).toEqual(["www.acme.com"]);
+    expect(await checkHostResolves("www.globex.com")).toBe(true);
+    expect(await checkHostResolves("www.initech.com")).toBe(false);
+    expect(await auditWebsite("www.initech.com", { dnsTimeout: 100, httpTimeout: 100 })).toEqual({ status: "dead_dns", detail: "DNS lookup failed" });
+  });
+});
+
+describe("runAudit", () => {
+  let dir: string;
+  let site: http.Server;
+  let server: PipMockServer;
+
+  beforeEach(async () => {
+    site = http.createServer((req, res) => {
+      const port = (site.address() as AddressInfo).port;
+      if (req.url === "/ok") res.writeHead(200).end("<h1>Acme</h1>");
+      else if (req.url === "/moved") res.writeHead(301, { Location: `http://localhost:${port}/ok` }).end();
+      else if (req.url === "/parked") res.writeHead(200).end("Buy this domain today");
+      else res.writeHead(404).end();
+    });
+    await new Promise<void>(resolve => site.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${(site.address() as AddressInfo).port}`;
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+    const fixture = path.join(dir, "customers.json");
+    fs.writeFileSync(fixture, JSON.stringify([
+      { id: "1", code: "OK1", name: "Acme", website: `${base}/ok` },
+      { id: "2", code: "MOV2", name: "Moved Co", website: `${base}/moved` },
+      { id: "3", code: "PRK3", name: "Parked Co", website: `${base}/parked` },
+      { id: "4", code: "ERR4", name: "Broken Co", website: `${base}/gone` },
+      { id: "5", code: "NEW5", name: "New Co", website: "" },
+      { id: "6", code: "BAD6", name: "Acme Printing", website: "acme printing.com" }
+    ]));
+    server = await startPipMock({ fixture });
+    jest.spyOn(console, "log").mockImplementation(() => undefined);
+  });
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+    await new Promise(resolve => site.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("classifies stored websites and writes a report", async () => {
+    const output = path.join(dir, "audit.csv");
+    const report = await runAudit({
+      endpoint: server.url, username: "u", password: "p", companyID: "c",
+      codes: "OK1,MOV2,PRK3,ERR4,NEW5", output
+    });
+
+    expect(report.map(e => [e.code, e.status])).toEqual([
+      ["OK1", "healthy"],
+      ["MOV2", "redirected"],
+      ["PRK3", "parked"],
+      ["ERR4", "http_error"]
+    ]);
+    expect(report[1].finalUrl).toMatch(/^http:\/\/localhost:\d+\/ok$/);
+    const lines = fs.readFileSync(output, "utf8").trim().split("\n");
+    expect(lines[0]).toBe("code,name,website,status,detail,finalUrl,httpStatus,candidate,candidateSource,candidateConfidence");
+    expect(lines).toHaveLength(5);
+  });
+
+  it("reports a malformed stored website as an error and audits the rest", async () => {
+    const output = path.join(dir, "audit.csv");
+    const report = await runAudit({
+      endpoint: server.url, username: "u", password: "p", companyID: "c",
+      codes: "BAD6,OK1", output, concurrency: 1
+    });
+
+    expect(report.map(e => [e.code, e.status])).toEqual([["BAD6", "error"], ["OK1", "healthy"]]);
+    expect(report[0].detail).toMatch(/Invalid URL/);
+    expect(fs.readFileSync(output, "utf8").trim().split("\n")).toHaveLength(3);
+  });
+});
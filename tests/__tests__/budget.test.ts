@@ -0,0 +1,116 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  budgetAllows, configureBudget, parseOpenAIPrices, recordGoogleQuery, recordOpenAIUsage, releaseBudget, reserveBudget, resetBudget, spendSummary,
+  usageThisRun, usageToday
+} from "../../src/budget";
+import { createGoogleProvider } from "../../src/google-search";
+import { defaultSearchConfig } from "../../src/search-providers";
+
+describe("budget", () => {
+  let dir: string;
+  let usageFile: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "budget-"));
+    usageFile = path.join(dir, "usage.json");
+    jest.spyOn(console, "log").mockImplementation(() => undefined);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetBudget();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("parses per-model prices", () => {
+    expect(parseOpenAIPrices("gpt-4o-mini=0.15/0.6, my-model=1/2")).toEqual({
+      "gpt-4o-mini": { input: 0.15, output: 0.6 },
+      "my-model": { input: 1, output: 2 }
+    });
+    expect(() => parseOpenAIPrices("gpt-4o=cheap")).toThrow(/Invalid OpenAI price/);
+  });
+
+  it("prices token usage by model, including dated snapshots", () => {
+    configureBudget({ usageFile, openaiPrices: "custom=1/3" });
+    expect(recordOpenAIUsage("gpt-4o-mini-2024-07-18", { prompt_tokens: 1_000_000, completion_tokens: 0 })).toBeCloseTo(0.15);
+    expect(recordOpenAIUsage("custom", { prompt_tokens: 500_000, completion_tokens: 500_000 })).toBeCloseTo(2);
+    expect(usageThisRun()).toMatchObject({ openaiCalls: 2, openaiInputTokens: 1_500_000, openaiOutputTokens: 500_000 });
+    expect(spendSummary()).toBe("Google 0 queries ($0.00), OpenAI 2 calls, 2,000,000 tokens ($2.1500) - total $2.15");
+  });
+
+  it("disables Google once the per-run query budget is used", () => {
+    configureBudget({ usageFile, maxGoogleQueries: 2 });
+    const google = createGoogleProvider({ ...defaultSearchConfig({}), googleCseKey: "k", googleCx: "cx" });
+    expect(google.enabled()).toBe(true);
+    recordGoogleQuery();
+    recordGoogleQuery();
+    expect(google.enabled()).toBe(false);
+  });
+
+  it("keeps per-day totals across runs", () => {
+    configureBudget({ usageFile, maxGoogleQueriesPerDay: 3 });
+    recordGoogleQuery();
+    recordGoogleQuery();
+    configureBudget({ usageFile, maxGoogleQueriesPerDay: 3 });
+    expect(usageThisRun().googleQueries).toBe(0);
+    expect(usageToday().googleQueries).toBe(2);
+    expect(budgetAllows("google")).toBe(true);
+    recordGoogleQuery();
+    expect(budgetAllows("google")).toBe(false);
+  });
+
+  it("adds up with another run writing the usage file at the same time", () => {
+    configureBudget({ usageFile, maxGoogleQueriesPerDay: 5 });
+    recordGoogleQuery();
+    // Another run records two queries of its own
+    const days = JSON.parse(fs.readFileSync(usageFile, "utf8"));
+    for (const day of Object.values<any>(days)) day.googleQueries += 2;
+    fs.writeFileSync(usageFile, JSON.stringify(days, null, 2) + "\n");
+
+    expect(usageToday().googleQueries).toBe(3);
+    recordGoogleQuery();
+    expect(Object.values<any>(JSON.parse(fs.readFileSync(usageFile, "utf8")))[0].googleQueries).toBe(4);
+    expect(budgetAllows("google")).toBe(true);
+    recordGoogleQuery();
+    expect(budgetAllows("google")).toBe(false);
+  });
+
+  it("stops OpenAI before the next average call would overrun the budget", () => {
+    configureBudget({ usageFile, maxOpenaiCost: 0.25, openaiPrices: "m=100000/0" });
+    recordOpenAIUsage("m", { prompt_tokens: 1 }); // $0.10
+    expect(budgetAllows("openai")).toBe(true);
+    recordOpenAIUsage("m", { prompt_tokens: 1 }); // $0.20, next would reach $0.30
+    expect(budgetAllows("openai")).toBe(false);
+  });
+
+  it("reserves budget for calls in flight without re-reading the usage file", () => {
+    configureBudget({ usageFile, maxGoogleQueries: 2 });
+    const read = jest.spyOn(fs, "readFileSync");
+    const first = reserveBudget("google");
+    const second = reserveBudget("google");
+    expect(budgetAllows("google")).toBe(false);
+    expect(() => reserveBudget("google")).toThrow(/in flight/);
+
+    // A failed call gives its share back; a recorded one spends it
+    releaseBudget(first);
+    expect(budgetAllows("google")).toBe(true);
+    recordGoogleQuery(second);
+    expect(usageThisRun().googleQueries).toBe(1);
+    expect(budgetAllows("google")).toBe(true);
+    expect(read).not.toHaveBeenCalled();
+    expect(Object.values(JSON.parse(fs.readFileSync(usageFile, "utf8")))).toEqual([expect.objectContaining({ googleQueries: 1 })]);
+  });
+
+  it("reserves an estimated cost for OpenAI calls before any has been priced, and allows none at a budget of 0", () => {
+    // 500 input + 100 output tokens at $100/$100 per 1M: $0.06 per call
+    configureBudget({ usageFile, maxOpenaiCost: 0.15, openaiPrices: "m=100/100" });
+    reserveBudget("openai", "m");
+    reserveBudget("openai", "m");
+    expect(budgetAllows("openai", "m")).toBe(false);
+
+    configureBudget({ usageFile, maxOpenaiCost: 0 });
+    expect(budgetAllows("openai", "gpt-4o-mini")).toBe(false);
+    expect(budgetAllows("openai")).toBe(false);
+  });
+});
@@ -0,0 +1,30 @@
+import { runAudit } from "../../src/audit";
+import { createProgram } from "../../src/cli";
+import { runReview } from "../../src/review";
+import { runRollback } from "../../src/rollback";
+
+jest.mock("../../src/rollback", () => ({ ...jest.requireActual("../../src/rollback"), runRollback: jest.fn() }));
+jest.mock("../../src/audit", () => ({ ...jest.requireActual("../../src/audit"), runAudit: jest.fn() }));
+jest.mock("../../src/review", () => ({ ...jest.requireActual("../../src/review"), runReview: jest.fn() }));
+
+const run = (...args: string[]) => createProgram().exitOverride().parseAsync(["node", "cli", ...args]);
+
+describe("websites subcommands", () => {
+  const endpoint = "http://127.0.0.1:18089/pip/PublicAPIService.asmx";
+  beforeEach(() => jest.clearAllMocks());
+
+  it("passes rollback its own --codes, --dry-run and PIP options instead of the parent's", async () => {
+    await run("websites", "rollback", "/tmp/cl.ndjson", "--codes", "SJ02", "--dry-run", "--endpoint", endpoint);
+    expect(runRollback).toHaveBeenCalledWith("/tmp/cl.ndjson", expect.objectContaining({ codes: "SJ02", dryRun: true, endpoint }));
+  });
+
+  it("passes audit its own --codes and --endpoint", async () => {
+    await run("websites", "audit", "--codes", "ACME01", "--endpoint", endpoint);
+    expect(runAudit).toHaveBeenCalledWith(expect.objectContaining({ codes: "ACME01", endpoint }));
+  });
+
+  it("passes review its own --force, --change-log and --endpoint", async () => {
+    await run("websites", "review", "queue.ndjson", "--force", "--change-log", "reviewed.ndjson", "--endpoint", endpoint);
+    expect(runReview).toHaveBeenCalledWith("queue.ndjson", expect.objectContaining({ force: true, changeLog: "reviewed.ndjson", endpoint }));
+  });
+});
@@ -0,0 +1,61 @@
+import { createRateLimiter, mapPool, parseRateLimitSpec } from "../../src/concurrency";
+
+const tick = (ms: number) => new Promise(res => setTimeout(res, ms));
+
+describe("mapPool", () => {
+  it("keeps results in input order and respects the concurrency bound", async () => {
+    let active = 0;
+    let peak = 0;
+    const res = await mapPool([30, 5, 20, 1], 2, async (ms, i) => {
+      active++;
+      peak = Math.max(peak, active);
+      await tick(ms);
+      active--;
+      return i;
+    });
+    expect(res).toEqual([0, 1, 2, 3]);
+    expect(peak).toBe(2);
+  });
+
+  it("stops scheduling new items once shouldStop is true", async () => {
+    let stop = false;
+    const res = await mapPool([1, 2, 3], 1, async (n) => { stop = n === 2; return n; }, () => stop);
+    expect(res).toEqual([1, 2, undefined]);
+  });
+});
+
+describe("createRateLimiter", () => {
+  it("limits calls in flight", async () => {
+    const limiter = createRateLimiter({ maxInFlight: 1 });
+    let active = 0;
+    let peak = 0;
+    await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await tick(5);
+      active--;
+    })));
+    expect(peak).toBe(1);
+  });
+
+  it("spaces call starts by the requests-per-second rate", async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 20 });
+    const starts: number[] = [];
+    await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => { starts.push(Date.now()); })));
+    expect(starts[2] - starts[0]).toBeGreaterThanOrEqual(90);
+  });
+});
+
+describe("parseRateLimitSpec", () => {
+  it("parses per-service limits", () => {
+    expect(parseRateLimitSpec("pip=10/4,google=0.5,openai=/1")).toEqual({
+      pip: { requestsPerSecond: 10, maxInFlight: 4 },
+      google: { requestsPerSecond: 0.5 },
+      openai: { maxInFlight: 1 }
+    });
+  });
+
+  it("rejects unknown services", () => {
+    expect(() => parseRateLimitSpec("bing=1")).toThrow(/Invalid rate limit/);
+  });
+});
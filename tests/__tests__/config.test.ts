@@ -0,0 +1,62 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configEntries, setEnvKey, showCommandConfig, showConfigMasked, unsetEnvKey, validateConfig } from "../../src/config";
+
+describe("config", () => {
+  let dir: string;
+  let envPath: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+    envPath = path.join(dir, ".env");
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("masks secrets and says where each value comes from", () => {
+    fs.writeFileSync(envPath, "EA_USERNAME=api\nEA_PASSWORD=hunter22secret\n");
+    const environment = { EA_USERNAME: "shadowed", OPENAI_API_KEY: "sk-abcdefgh1234" };
+
+    const entries = configEntries(envPath, environment);
+    expect(entries.find(e => e.key === "EA_USERNAME")).toMatchObject({ value: "api", source: ".env" });
+    expect(entries.find(e => e.key === "OPENAI_API_KEY")).toMatchObject({ source: "environment" });
+    expect(showConfigMasked(envPath, environment)).toMatchObject({
+      EA_USERNAME: "api", EA_PASSWORD: "***cret", OPENAI_API_KEY: "***1234", EA_COMPANYID: "(not set)"
+    });
+  });
+
+  it("shows a command only the settings it uses", () => {
+    fs.writeFileSync(envPath, "EA_USERNAME=api\nAPI_KEY=abcdefgh1234\n");
+    const shown = showCommandConfig("sync", envPath, { PYPI_INDEX_URL: "https://pkgs.example/simple/" });
+    expect(shown).toMatchObject({ API_KEY: "***1234", PYPI_INDEX_URL: "https://pkgs.example/simple/", API_BASE_URL: "(not set)" });
+    expect(Object.keys(shown)).not.toContain("EA_USERNAME");
+    expect(Object.keys(shown)).not.toContain("PIP_ENDPOINT");
+  });
+
+  it("sets and unsets keys, quoting values dotenv would cut short", () => {
+    fs.writeFileSync(envPath, "# credentials\nEA_USERNAME=old\n\n");
+    setEnvKey("EA_USERNAME", "api", envPath);
+    setEnvKey("EA_COMPANYID", "My Co #1", envPath);
+    expect(fs.readFileSync(envPath, "utf8")).toBe("# credentials\nEA_USERNAME=api\nEA_COMPANYID='My Co #1'\n");
+    expect(configEntries(envPath, {}).find(e => e.key === "EA_COMPANYID")!.value).toBe("My Co #1");
+
+    expect(unsetEnvKey("EA_USERNAME", envPath)).toBe(true);
+    expect(unsetEnvKey("EA_USERNAME", envPath)).toBe(false);
+    expect(fs.readFileSync(envPath, "utf8")).toBe("# credentials\nEA_COMPANYID='My Co #1'\n");
+  });
+
+  it("reports missing and malformed values per command", () => {
+    const report = validateConfig({
+      EA_USERNAME: "your_username", EA_PASSWORD: "p", PIP_ENDPOINT: "as06/pip", GOOGLE_CX: "cx", ENABLE_OPENAI: "true", API_KEY: "k"
+    });
+    expect(report.websites).toEqual([
+      { key: "EA_USERNAME", level: "error", message: "still the placeholder from .env.example" },
+      { key: "EA_COMPANYID", level: "error", message: "not set" },
+      { key: "PIP_ENDPOINT", level: "error", message: "expected an http(s) URL" },
+      { key: "GOOGLE_CSE_KEY", level: "warning", message: expect.stringContaining("needs both") },
+      { key: "OPENAI_API_KEY", level: "error", message: "not set but ENABLE_OPENAI=true" }
+    ]);
+    expect(report["websites review"].map(p => p.key)).toEqual(["EA_USERNAME", "EA_COMPANYID", "PIP_ENDPOINT"]);
+    expect(report.sync).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { applyHints, readCustomerInput } from "../../src/customer-input";
+import { Customer } from "../../src/pip-client";
+
+describe("customer input", () => {
+  let dir: string;
+  const write = (text: string) => {
+    const file = path.join(dir, "customers.csv");
+    fs.writeFileSync(file, text, "utf8");
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "input-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reads headerless code and code,website rows", () => {
+    const file = write("# comment\nWE01\n\n4W00, www.fourwinds.com \n");
+    expect(readCustomerInput(file)).toEqual([
+      { line: 2, code: "WE01" },
+      { line: 4, code: "4W00", website: "www.fourwinds.com" }
+    ]);
+  });
+
+  it("maps header columns and keeps hints", () => {
+    const file = write('Company Name,Customer Code,City,State,Website\r\n"Widgets, Inc.",WE01,Baltimore,MD,\r\nFour Winds,4W00,,,www.fourwinds.com\r\n');
+    expect(readCustomerInput(file)).toEqual([
+      { line: 2, code: "WE01", name: "Widgets, Inc.", city: "Baltimore", state: "MD" },
+      { line: 3, code: "4W00", name: "Four Winds", website: "www.fourwinds.com" }
+    ]);
+  });
+
+  it("uses the configured column names", () => {
+    const file = write("acct,site\nWE01,www.widgets.com\n");
+    expect(readCustomerInput(file, { codeColumn: "Acct", websiteColumn: "site" })).toEqual([
+      { line: 2, code: "WE01", website: "www.widgets.com" }
+    ]);
+    expect(() => readCustomerInput(write("WE01\n"), { codeColumn: "acct" })).toThrow(/no header row/);
+  });
+
+  it("reports every invalid row with its line number", () => {
+    const file = write("code,website\nWE01,\n,www.x.com\nwe01,\n4W00,not a website\n");
+    expect(() => readCustomerInput(file)).toThrow(
+      /line 3: missing customer code\n {2}line 4: duplicate customer code we01 \(first on line 2\)\n {2}line 5: website/
+    );
+  });
+
+  it("only fills fields PIP left empty", () => {
+    const customer: Customer = { id: "1", code: "WE01", name: "Widgets", city: " ", state: "", phone: "", currentWebsite: "" };
+    expect(applyHints(customer, { name: "Other", city: "Baltimore", state: "MD" })).toMatchObject({
+      name: "Widgets", city: "Baltimore", state: "MD"
+    });
+  });
+});
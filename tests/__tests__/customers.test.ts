@@ -0,0 +1,96 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readChangeLog } from "../../src/change-log";
+import { readFieldUpdates, runCustomersExport, runCustomersSet } from "../../src/customers";
+import { loadFixture, PipMockServer, startPipMock } from "../../src/pip-mock";
+
+const FIXTURE = path.join(__dirname, "..", "fixtures", "pip-customers.json");
+
+describe("customers export", () => {
+  let dir: string;
+  let server: PipMockServer;
+  let conn: { endpoint: string; username: string; password: string; companyID: string };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "customers-"));
+    server = await startPipMock({ fixture: FIXTURE, persist: false });
+    conn = { endpoint: server.url, username: "u", password: "p", companyID: "c" };
+    jest.spyOn(console, "log").mockImplementation(() => undefined);
+  });
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("writes active customers to CSV with quoted cells", async () => {
+    const output = path.join(dir, "customers.csv");
+    await runCustomersExport({ ...conn, output });
+    expect(fs.readFileSync(output, "utf8").split("\n")).toEqual([
+      "code,id,name,address,city,state,zip,phone,website,active",
+      "AC01,101,\"Acme Printing, Inc.\",,Glen Burnie,MD,,410-555-0101,,true",
+      "SJ02,102,Smith & Jones Co,\"1 Main St, Suite 2\",Towson,MD,21204,410-555-0102,www.smithjones.com,true",
+      ""
+    ]);
+  });
+
+  it("includes inactive customers on request as NDJSON", async () => {
+    const output = path.join(dir, "customers.ndjson");
+    await runCustomersExport({ ...conn, output, format: "ndjson", includeInactive: true });
+    const rows = fs.readFileSync(output, "utf8").trim().split("\n").map(l => JSON.parse(l));
+    expect(rows.map(r => [r.code, r.active])).toEqual([["AC01", true], ["SJ02", true], ["OLD3", false]]);
+  });
+});
+
+describe("customers set", () => {
+  let dir: string;
+  let fixture: string;
+  let server: PipMockServer;
+  let conn: { endpoint: string; username: string; password: string; companyID: string };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "customers-set-"));
+    fixture = path.join(dir, "customers.json");
+    fs.copyFileSync(FIXTURE, fixture);
+    server = await startPipMock({ fixture });
+    conn = { endpoint: server.url, username: "u", password: "p", companyID: "c" };
+    jest.spyOn(console, "log").mockImplementation(() => undefined);
+  });
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reports every invalid row with its line number", () => {
+    const csv = path.join(dir, "bad.csv");
+    fs.writeFileSync(csv, "code,phone,email\nAC01,555-01,ok@example.com\n,410-555-0000,\nSJ02,,not-an-email\n");
+    expect(() => readFieldUpdates(csv)).toThrow(/line 2: phone .*\n.*line 3: missing customer code\n.*line 4: email/);
+  });
+
+  it("rejects unknown field columns", () => {
+    const csv = path.join(dir, "bad.csv");
+    fs.writeFileSync(csv, "code,shoe_size\nAC01,9\n");
+    expect(() => readFieldUpdates(csv)).toThrow(/Unknown field column\(s\): shoe_size/);
+  });
+
+  it("fills empty fields, keeps existing ones unless forced, and logs changes", async () => {
+    const csv = path.join(dir, "updates.csv");
+    const changeLog = path.join(dir, "changes.ndjson");
+    fs.writeFileSync(csv, 'code,email,phone\nAC01,Sales@Acme.com,"(410) 555 0199"\n');
+
+    await runCustomersSet(csv, { ...conn, yes: true, changeLog });
+    let acme = loadFixture(fixture).find(c => c.code === "AC01")!;
+    expect(acme.email).toBe("sales@acme.com");
+    expect(acme.phone).toBe("410-555-0101");
+
+    await runCustomersSet(csv, { ...conn, yes: true, force: true, changeLog });
+    acme = loadFixture(fixture).find(c => c.code === "AC01")!;
+    expect(acme.phone).toBe("410-555-0199");
+    expect(readChangeLog(changeLog).map(e => [e.field, e.previous, e.next])).toEqual([
+      ["EMail", "", "sales@acme.com"],
+      ["Phone1", "410-555-0101", "410-555-0199"]
+    ]);
+  });
+});
@@ -0,0 +1,50 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { formatCheckTable, parseCheckNames, runChecks } from "../../src/doctor";
+import { PipMockServer, startPipMock } from "../../src/pip-mock";
+
+describe("doctor", () => {
+  let dir: string;
+  let server: PipMockServer;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "doctor-"));
+    const fixture = path.join(dir, "customers.json");
+    fs.writeFileSync(fixture, JSON.stringify([{ id: "1", code: "AC01", name: "Acme", website: "" }]));
+    server = await startPipMock({ fixture, username: "u", password: "p", companyID: "c" });
+  });
+  afterEach(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const pip = (opts: Record<string, string>) => runChecks({ only: "pip", endpoint: server.url, username: "u", password: "p", companyID: "c", ...opts });
+
+  it("passes PIP auth whether or not the customer exists", async () => {
+    expect((await pip({ customer: "AC01" }))[0]).toMatchObject({ check: "pip", status: "pass", message: expect.stringContaining("AC01: Acme") });
+    expect((await pip({}))[0]).toMatchObject({ status: "pass", message: expect.stringContaining("Customer DOCTOR not found") });
+  });
+
+  it("fails with an actionable message for bad credentials or endpoint", async () => {
+    expect((await pip({ password: "wrong" }))[0]).toMatchObject({
+      status: "fail", message: "Invalid user name, password or company ID - check EA_USERNAME, EA_PASSWORD and EA_COMPANYID (config show)"
+    });
+    expect((await pip({ endpoint: "http://127.0.0.1:1/pip" }))[0]).toMatchObject({ status: "fail", message: expect.stringMatching(/^Cannot reach .*ECONNREFUSED/) });
+  });
+
+  it("prints a pass/fail table and rejects unknown checks", () => {
+    expect(formatCheckTable([
+      { check: "pip", status: "pass", message: "Authenticated", durationMs: 5 },
+      { check: "google", status: "skip", message: "GOOGLE_CX not set", durationMs: 0 },
+      { check: "openai", status: "fail", message: "HTTP 401 - check OPENAI_API_KEY", durationMs: 80 }
+    ]).split("\n")).toEqual([
+      "  PIP         ✓ pass  Authenticated",
+      "  Google CSE  - skip  GOOGLE_CX not set",
+      "  OpenAI      ✗ fail  HTTP 401 - check OPENAI_API_KEY",
+      "",
+      "1 check(s) failed"
+    ]);
+    expect(() => parseCheckNames("pip,smtp")).toThrow("Unknown check(s): smtp");
+  });
+});
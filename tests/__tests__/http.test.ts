@@ -0,0 +1,40 @@
+import { backoffDelay, isTransient, retryAfterMs, withRetry } from "../../src/http";
+
+const httpError = (status: number, headers: Record<string, string> = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+describe("http", () => {
+  beforeEach(() => jest.spyOn(console, "warn").mockImplementation(() => undefined));
+  afterEach(() => jest.restoreAllMocks());
+
+  it("retries only timeouts, network errors, 429 and 5xx", () => {
+    expect(isTransient(httpError(503))).toBe(true);
+    expect(isTransient(httpError(429))).toBe(true);
+    expect(isTransient(Object.assign(new Error("timeout"), { code: "ECONNABORTED" }))).toBe(true);
+    expect(isTransient(httpError(401))).toBe(false);
+    expect(isTransient(Object.assign(new Error("getaddrinfo"), { code: "ENOTFOUND" }))).toBe(false);
+  });
+
+  it("honours Retry-After and otherwise backs off exponentially with jitter", () => {
+    const now = Date.parse("2026-01-01T00:00:00Z");
+    expect(retryAfterMs(httpError(429, { "retry-after": "2" }))).toBe(2000);
+    expect(retryAfterMs(httpError(503, { "retry-after": "Thu, 01 Jan 2026 00:00:05 GMT" }), now)).toBe(5000);
+    expect(backoffDelay(0, httpError(429, { "retry-after": "120" }), { retryMaxMs: 30000 })).toBe(30000);
+    expect(backoffDelay(2, undefined, { retryBaseMs: 100 }, () => 0)).toBe(200);
+    expect(backoffDelay(2, undefined, { retryBaseMs: 100 }, () => 1)).toBe(400);
+  });
+
+  it("retries transient failures and gives up at once on others", async () => {
+    const flaky = jest.fn().mockRejectedValueOnce(httpError(503)).mockResolvedValue("ok");
+    await expect(withRetry("test", flaky, { retries: 2, retryBaseMs: 1 })).resolves.toBe("ok");
+    expect(flaky).toHaveBeenCalledTimes(2);
+
+    const denied = jest.fn().mockRejectedValue(httpError(401));
+    await expect(withRetry("test", denied, { retries: 2, retryBaseMs: 1 })).rejects.toThrow("status code 401");
+    expect(denied).toHaveBeenCalledTimes(1);
+
+    const down = jest.fn().mockRejectedValue(httpError(502));
+    await expect(withRetry("test", down, { retries: 2, retryBaseMs: 1 })).rejects.toThrow("status code 502 (after 3 attempts)");
+    expect(down).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,43 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { appendJournal, completedCodes, readJournal, terminateJournal } from "../../src/journal";
+
+describe("journal", () => {
+  let dir: string;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-")); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("round-trips entries and ignores a truncated last line", () => {
+    const file = path.join(dir, "run.ndjson");
+    appendJournal(file, { code: "A01", outcome: "updated", url: "www.a.com", source: "domain_guess" });
+    appendJournal(file, { code: "A02", outcome: "failed", error: "HTTP 500" });
+    fs.appendFileSync(file, '{"code":"A03","outc');
+
+    const entries = readJournal(file);
+    expect(entries.map(e => e.code)).toEqual(["A01", "A02"]);
+    expect(entries[0].timestamp).toBeTruthy();
+  });
+
+  it("starts appends after a truncated last line on a new line", () => {
+    const file = path.join(dir, "run.ndjson");
+    appendJournal(file, { code: "A01", outcome: "updated" });
+    fs.appendFileSync(file, '{"code":"A02","outc');
+
+    terminateJournal(file);
+    terminateJournal(file);
+    appendJournal(file, { code: "A03", outcome: "skipped" });
+    expect(readJournal(file).map(e => e.code)).toEqual(["A01", "A03"]);
+    expect(fs.readFileSync(file, "utf8").split("\n")).toHaveLength(4);
+  });
+
+  it("treats failed customers as not completed", () => {
+    const done = completedCodes([
+      { code: "A01", outcome: "skipped", timestamp: "" },
+      { code: "A02", outcome: "updated", timestamp: "" },
+      { code: "A02", outcome: "failed", timestamp: "" },
+      { code: "A03", outcome: "failed", timestamp: "" }
+    ]);
+    expect([...done]).toEqual(["A01"]);
+  });
+});
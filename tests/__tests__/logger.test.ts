@@ -0,0 +1,75 @@
+import { configureLogger, log, redactSoap, resetLogger, withCustomerContext } from "../../src/logger";
+import { buildEnvelope } from "../../src/pip-client";
+
+describe("logger", () => {
+  let lines: string[];
+
+  beforeEach(() => {
+    lines = [];
+    jest.spyOn(console, "log").mockImplementation((line: string) => { lines.push(line); });
+    jest.spyOn(console, "error").mockImplementation((line: string) => { lines.push(line); });
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetLogger();
+  });
+
+  it("emits one JSON event per line with run ID and the current customer", async () => {
+    configureLogger({ logFormat: "json", runId: "run-1" });
+    const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+    await Promise.all([
+      withCustomerContext("A1", async () => { await sleep(10); log.info("[Google CSE] Searching", { event: "tier.attempt", tier: "Google CSE" }); }),
+      withCustomerContext("B2", async () => { log.error("boom"); })
+    ]);
+    log.text("========");
+
+    expect(lines.map(l => JSON.parse(l))).toEqual([
+      { time: expect.any(String), level: "error", runId: "run-1", event: "error", code: "B2", msg: "boom" },
+      { time: expect.any(String), level: "info", runId: "run-1", event: "tier.attempt", code: "A1", msg: "[Google CSE] Searching", tier: "Google CSE" }
+    ]);
+  });
+
+  it("writes warnings and errors to stderr in text mode, keeping stdout for output", () => {
+    const stdout = jest.spyOn(console, "log").mockImplementation(() => undefined);
+    const stderr = jest.spyOn(console, "error").mockImplementation(() => undefined);
+    log.info("Fetching example");
+    log.warn("  Package index example failed (HTTP 503); retry 1/3 in 0.5s");
+    log.error("boom");
+    expect(stdout.mock.calls).toEqual([["Fetching example"]]);
+    expect(stderr.mock.calls).toEqual([["  Package index example failed (HTTP 503); retry 1/3 in 0.5s"], ["boom"]]);
+  });
+
+  it("keeps only progress, warnings, errors and the summary when quiet", () => {
+    configureLogger({ quiet: true });
+    log.text("banner");
+    log.info("detail");
+    log.debug("soap");
+    log.progress("[1/2] A1: updated (saved)");
+    log.warn("budget used");
+    log.summary(["SUMMARY", "Updated: 1"], { event: "run.summary", updated: 1 });
+    expect(lines).toEqual(["[1/2] A1: updated (saved)", "budget used", "SUMMARY", "Updated: 1"]);
+  });
+
+  it("prints debug detail under the message only with --debug", () => {
+    configureLogger();
+    log.debug("SOAP request getCustomer", { detail: "<xml/>" });
+    configureLogger({ debug: true });
+    log.debug("SOAP request getCustomer", { detail: "<xml/>" });
+    expect(lines).toEqual(["SOAP request getCustomer\n<xml/>"]);
+  });
+
+  it("rejects unknown formats", () => {
+    expect(() => configureLogger({ logFormat: "xml" })).toThrow(/Unknown log format "xml"/);
+  });
+
+  it("redacts passwords from SOAP envelopes", () => {
+    const envelope = buildEnvelope("getCustomer", "<Note>s3cret!</Note>", {
+      endpoint: "", namespace: "urn:x", username: "api", password: "s3cret!", companyID: "c", version: "25.0"
+    });
+    const redacted = redactSoap(envelope, ["s3cret!"]);
+    expect(redacted).toContain("<Password>***</Password>");
+    expect(redacted).toContain("<User>api</User>");
+    expect(redacted).not.toContain("s3cret!");
+    expect(redactSoap("<a:Password xsi:type=\"string\">x</a:Password>")).toBe("<a:Password xsi:type=\"string\">***</a:Password>");
+  });
+});
@@ -0,0 +1,93 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { clearLookupCache, createLookupCache, normalizeQuery, withCache } from "../../src/lookup-cache";
+import { Customer } from "../../src/pip-client";
+import { SearchProvider, SearchResult } from "../../src/search-providers";
+
+const customer: Customer = { id: "1", code: "AC01", name: "Acme Printing, Inc.", city: "Glen Burnie", state: "MD", phone: "", currentWebsite: "" };
+
+function counting(name: string, answer: () => Promise<SearchResult | null>) {
+  const provider: SearchProvider & { calls: number } = {
+    name,
+    calls: 0,
+    enabled: () => true,
+    find: async () => {
+      provider.calls++;
+      return answer();
+    }
+  };
+  return provider;
+}
+
+describe("lookup cache", () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cache-"));
+    file = path.join(dir, "cache.ndjson");
+    jest.spyOn(console, "log").mockImplementation(() => undefined);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("normalizes the query", () => {
+    expect(normalizeQuery(customer)).toBe("acme printing inc|glen burnie|md");
+    expect(normalizeQuery({ ...customer, name: "  ACME  Printing Inc " })).toBe(normalizeQuery(customer));
+  });
+
+  it("serves hits and cached negatives across instances", async () => {
+    const google = counting("Google CSE", async () => ({ url: "www.acme.com", confidence: "medium", source: "google_cse" }));
+    const openai = counting("OpenAI", async () => null);
+
+    for (let i = 0; i < 2; i++) {
+      const cache = createLookupCache(file);
+      expect(await withCache(google, cache).find(customer)).toMatchObject({ url: "www.acme.com" });
+      expect(await withCache(openai, cache).find(customer)).toBeNull();
+    }
+    expect(google.calls).toBe(1);
+    expect(openai.calls).toBe(1);
+    expect(createLookupCache(file).stats()).toEqual({
+      "Google CSE": { hits: 0, misses: 0, found: 1, notFound: 0, expired: 0 },
+      "OpenAI": { hits: 0, misses: 0, found: 0, notFound: 1, expired: 0 }
+    });
+  });
+
+  it("expires negatives on their own TTL and never caches failures", async () => {
+    const google = counting("Google CSE", async () => null);
+    await withCache(google, createLookupCache(file, { ttlDays: 30, negativeTtlDays: 0 })).find(customer);
+    await withCache(google, createLookupCache(file, { ttlDays: 30, negativeTtlDays: 0 })).find(customer);
+    expect(google.calls).toBe(2);
+
+    const failing = counting("OpenAI", () => Promise.reject(new Error("quota exceeded")));
+    const cache = createLookupCache(file);
+    await expect(withCache(failing, cache).find(customer)).rejects.toThrow("quota exceeded");
+    expect(cache.get("OpenAI", customer)).toBeUndefined();
+  });
+
+  it("keeps answers apart per provider variant such as the OpenAI model", async () => {
+    const answers: Record<string, string> = { "gpt-4o-mini": "www.acme.com", "gpt-4o": "www.acmeprinting.com" };
+    const openai = (model: string) => Object.assign(counting("OpenAI", async () => ({ url: answers[model], confidence: "medium", source: "openai" })), { cacheVariant: model });
+
+    const mini = openai("gpt-4o-mini");
+    await withCache(mini, createLookupCache(file)).find(customer);
+    const full = openai("gpt-4o");
+    expect(await withCache(full, createLookupCache(file)).find(customer)).toMatchObject({ url: "www.acmeprinting.com" });
+    expect(full.calls).toBe(1);
+    expect(await withCache(openai("gpt-4o-mini"), createLookupCache(file)).find(customer)).toMatchObject({ url: "www.acme.com" });
+    expect(createLookupCache(file).entries().map(e => e.variant)).toEqual(["gpt-4o-mini", "gpt-4o"]);
+  });
+
+  it("clears by provider", async () => {
+    const cache = createLookupCache(file);
+    cache.set("Google CSE", customer, null);
+    cache.set("OpenAI", customer, null);
+    expect(clearLookupCache(file, { provider: "google cse" })).toBe(1);
+    expect(createLookupCache(file).entries().map(e => e.provider)).toEqual(["OpenAI"]);
+    expect(clearLookupCache(file)).toBe(1);
+    expect(fs.existsSync(file)).toBe(false);
+  });
+});
@@ -0,0 +1,73 @@
+import http from "http";
+import { AddressInfo } from "net";
+import {
+  escapeXml, getCustomer, PipConfig, PipResponseError, saveCustomerWebsite, SoapFaultError
+} from "../../src/pip-client";
+
+const envelope = (body: string) =>
+  `<?xml version="1.0"?><soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>${body}</soap:Body></soap:Envelope>`;
+
+describe("pip-client", () => {
+  let server: http.Server;
+  let reply: { status: number; body: string };
+  let lastRequest = "";
+  let config: PipConfig;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let data = "";
+      req.on("data", c => data += c);
+      req.on("end", () => {
+        lastRequest = data;
+        res.writeHead(reply.status, { "Content-Type": "text/xml" });
+        res.end(reply.body);
+      });
+    });
+    await new Promise<void>(res => server.listen(0, "127.0.0.1", res));
+    const { port } = server.address() as AddressInfo;
+    config = {
+      endpoint: `http://127.0.0.1:${port}/pip`, namespace: "urn:test",
+      username: "u&1", password: "p<w>", companyID: "C1", version: "25.0"
+    };
+  });
+  afterAll(() => new Promise(res => server.close(res)));
+
+  it("escapes interpolated values", () => {
+    expect(escapeXml(`a&b<"c">'`)).toBe("a&amp;b&lt;&quot;c&quot;&gt;&apos;");
+  });
+
+  it("parses a customer and ignores nested Value elements", async () => {
+    reply = { status: 200, body: envelope(`<getCustomerResponse><getCustomerResult><Customer>
+      <CustomerNumber><ID><Value>42</Value></ID><Code><Value>A&amp;B</Value></Code></CustomerNumber>
+      <CustomerName><Value>Smith &amp; Co</Value></CustomerName>
+      <WebSite><Meta><Value>wrong</Value></Meta><Value>www.smith.com</Value></WebSite>
+      <Address><City><Value>Towson</Value></City><State><Value>MD</Value></State></Address>
+    </Customer></getCustomerResult></getCustomerResponse>`) };
+
+    const customer = await getCustomer("A&B", config);
+    expect(customer).toMatchObject({ id: "42", code: "A&B", name: "Smith & Co", city: "Towson", state: "MD", currentWebsite: "www.smith.com" });
+    expect(lastRequest).toContain("<Value>A&amp;B</Value>");
+    expect(lastRequest).toContain("<User>u&amp;1</User>");
+    expect(lastRequest).toContain("<Password>p&lt;w&gt;</Password>");
+  });
+
+  it("raises SOAP faults as typed errors even on HTTP 500", async () => {
+    reply = { status: 500, body: envelope(`<soap:Fault><faultcode>soap:Server</faultcode><faultstring>Invalid login</faultstring></soap:Fault>`) };
+    await expect(getCustomer("A1", config)).rejects.toBeInstanceOf(SoapFaultError);
+    await expect(getCustomer("A1", config)).rejects.toThrow(/Invalid login/);
+  });
+
+  it("raises PIP error messages from a save", async () => {
+    reply = { status: 200, body: envelope(`<saveCustomerResponse><saveCustomerResult><Errors><Error><Message>Customer is locked</Message></Error></Errors></saveCustomerResult></saveCustomerResponse>`) };
+    const err = await saveCustomerWebsite("1", "A1", "www.a.com", config).catch(e => e);
+    expect(err).toBeInstanceOf(PipResponseError);
+    expect(err.messages).toEqual(["Customer is locked"]);
+  });
+
+  it("reports a save as failed when no result comes back", async () => {
+    reply = { status: 200, body: envelope(`<somethingElse/>`) };
+    expect((await saveCustomerWebsite("1", "A1", "www.a.com", config)).success).toBe(false);
+    reply = { status: 200, body: envelope(`<saveCustomerResponse><saveCustomerResult/></saveCustomerResponse>`) };
+    expect((await saveCustomerWebsite("1", "A1", "www.a.com", config)).success).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getCustomer, getCustomerList, PipConfig, PipResponseError, saveCustomerWebsite, SoapFaultError } from "../../src/pip-client";
+import { readChangeLog } from "../../src/change-log";
+import { loadFixture, PipMockServer, saveFixture, startPipMock } from "../../src/pip-mock";
+import { runWebsites } from "../../src/websites";
+
+const FIXTURE = path.join(__dirname, "..", "fixtures", "pip-customers.json");
+
+describe("pip-mock", () => {
+  let dir: string;
+  let fixture: string;
+  let server: PipMockServer;
+  let config: PipConfig;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "pip-mock-"));
+    fixture = path.join(dir, "customers.json");
+    fs.copyFileSync(FIXTURE, fixture);
+    server = await startPipMock({ fixture, username: "user", password: "pw", companyID: "C1", faultCodes: ["BOOM"] });
+    config = { endpoint: server.url, namespace: "urn:test", username: "user", password: "pw", companyID: "C1", version: "25.0" };
+  });
+  afterEach(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("serves getCustomer and getCustomerList from the fixture", async () => {
+    const customer = await getCustomer("SJ02", config);
+    expect(customer).toMatchObject({ id: "102", name: "Smith & Jones Co", city: "Towson", currentWebsite: "www.smithjones.com" });
+
+    const list = await getCustomerList(new Date("2024-01-03T00:00:00.000Z"), config);
+    expect(list).toEqual([
+      { id: "102", code: "SJ02", name: "Smith & Jones Co", active: true },
+      { id: "103", code: "OLD3", name: "Closed Copiers LLC", active: false }
+    ]);
+  });
+
+  it("persists saves back to the fixture", async () => {
+    const res = await saveCustomerWebsite("101", "AC01", "www.acmeprinting.com", config);
+    expect(res.success).toBe(true);
+    expect(loadFixture(fixture).find(c => c.code === "AC01")?.website).toBe("www.acmeprinting.com");
+  });
+
+  it("keeps a CSV fixture's own columns when saving it back", () => {
+    const csv = path.join(dir, "customers.csv");
+    fs.writeFileSync(csv, "code,name,email,website,phone2\nAC01,Acme,info@acme.com,,410-555-0100\n");
+    const customers = loadFixture(csv);
+    customers[0].website = "www.acme.com";
+    customers[0].fax = "410-555-0199";
+    saveFixture(csv, customers);
+
+    const [header, row] = fs.readFileSync(csv, "utf8").split("\n");
+    expect(header).toBe("code,name,email,website,phone2,id,active,fax");
+    expect(row).toBe("AC01,Acme,info@acme.com,www.acme.com,410-555-0100,,true,410-555-0199");
+  });
+
+  it("simulates auth errors, faults and unknown customers", async () => {
+    await expect(getCustomer("AC01", { ...config, password: "wrong" })).rejects.toBeInstanceOf(SoapFaultError);
+    await expect(getCustomer("BOOM", config)).rejects.toThrow(/Simulated fault/);
+    await expect(getCustomer("NOPE", config)).rejects.toBeInstanceOf(PipResponseError);
+  });
+
+  it("lets the websites command run end-to-end", async () => {
+    const input = path.join(dir, "input.csv");
+    fs.writeFileSync(input, "AC01,acmeprinting.com\nSJ02,other.com\n");
+    jest.spyOn(console, "log").mockImplementation(() => undefined);
+
+    await runWebsites({
+      file: input, endpoint: server.url, username: "user", password: "pw", companyID: "C1",
+      journal: path.join(dir, "journal.ndjson"), changeLog: path.join(dir, "changes.ndjson"),
+      disableGoogle: true, disableDomainGuessing: true
+    });
+    jest.restoreAllMocks();
+
+    const saved = loadFixture(fixture);
+    expect(saved.find(c => c.code === "AC01")?.website).toBe("www.acmeprinting.com");
+    expect(saved.find(c => c.code === "SJ02")?.website).toBe("www.smithjones.com");
+    expect(readChangeLog(path.join(dir, "changes.ndjson"))).toMatchObject([
+      { customerId: "101", code: "AC01", field: "WebSite", previous: "", next: "www.acmeprinting.com", source: "input" }
+    ]);
+  });
+});
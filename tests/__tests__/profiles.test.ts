@@ -0,0 +1,67 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { question } from "../../src/prompt";
+import { confirmProfileSaves, loadConfigFile, resolvePipConfig, resolveSearchConfig } from "../../src/profiles";
+
+jest.mock("../../src/prompt", () => ({ question: jest.fn() }));
+
+describe("profiles", () => {
+  let dir: string;
+  let configFile: string;
+  const env = { EA_USERNAME: "env-user", EA_PASSWORD: "env-pass", EA_PROD_PASSWORD: "prod-pass", EA_COMPANYID: "ENV", PIP_ENDPOINT: "https://env/pip", GOOGLE_CX: "cx" };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-"));
+    configFile = path.join(dir, "ea-pip.config.json");
+    fs.writeFileSync(configFile, JSON.stringify({
+      defaultProfile: "test",
+      profiles: {
+        test: { endpoint: "https://test/pip", companyID: "TEST", search: { enableGoogleSearch: false } },
+        prod: { endpoint: "https://prod/pip", companyID: "RPG", passwordEnv: "EA_PROD_PASSWORD", confirmSaves: true }
+      }
+    }));
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("layers flags over the profile over the environment", () => {
+    expect(resolvePipConfig({ configFile }, env)).toMatchObject({
+      endpoint: "https://test/pip", companyID: "TEST", username: "env-user", password: "env-pass", version: "25.0"
+    });
+    expect(resolvePipConfig({ configFile, profile: "prod", companyID: "FLAG" }, env)).toMatchObject({
+      endpoint: "https://prod/pip", companyID: "FLAG", password: "prod-pass"
+    });
+    expect(resolvePipConfig({ configFile: undefined }, env).endpoint).toBe("https://env/pip");
+    expect(resolveSearchConfig({ configFile }, env)).toMatchObject({ enableGoogleSearch: false, enableDomainGuessing: true, googleCx: "cx" });
+  });
+
+  it("reports every invalid key at once", () => {
+    fs.writeFileSync(configFile, JSON.stringify({
+      profiles: { prod: { endpont: "x", password: "secret", confirmSaves: "yes", search: { dnstimeout: 10 } } }
+    }));
+    expect(() => loadConfigFile(configFile)).toThrow([
+      `Invalid config file ${configFile}:`,
+      "  profiles.prod.endpont: unknown key",
+      "  profiles.prod.password: secrets do not belong in the config file; name the environment variable with passwordEnv",
+      "  profiles.prod.confirmSaves: expected a boolean",
+      "  profiles.prod.search.dnstimeout: unknown key (did you mean dnsTimeout?)"
+    ].join("\n"));
+  });
+
+  it("rejects unknown profiles and a missing --config file", () => {
+    expect(() => resolvePipConfig({ configFile, profile: "staging" }, env)).toThrow(/Unknown profile "staging" .*\(available: test, prod\)/);
+    expect(() => resolvePipConfig({ configFile: path.join(dir, "nope.json") }, env)).toThrow(/Config file not found/);
+  });
+
+  it("requires confirmation before saving with a confirmSaves profile", async () => {
+    await expect(confirmProfileSaves({ configFile })).resolves.toBeUndefined();
+    await expect(confirmProfileSaves({ configFile, profile: "prod" })).rejects.toThrow("pass --confirm-profile prod");
+    await expect(confirmProfileSaves({ configFile, profile: "prod", confirmProfile: "test" })).rejects.toThrow(/does not match/);
+    await expect(confirmProfileSaves({ configFile, profile: "prod", confirmProfile: "prod" })).resolves.toBeUndefined();
+
+    const rl = {} as any;
+    (question as jest.Mock).mockResolvedValueOnce("y").mockResolvedValueOnce("prod");
+    await expect(confirmProfileSaves({ configFile, profile: "prod" }, rl)).rejects.toThrow(/not confirmed/);
+    await expect(confirmProfileSaves({ configFile, profile: "prod" }, rl)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,105 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parsePoetryLock, parsePyproject, parseRequirementsTxt, readRequirements } from "../../src/requirements";
+
+describe("requirements", () => {
+  it("parses requirements.txt pins, extras, markers, comments and continuations", () => {
+    const parsed = parseRequirementsTxt([
+      "# runtime",
+      "--index-url https://pypi.org/simple",
+      "requests[socks, security]==2.31.0  # pinned",
+      "Django>=4.2,<5 ; python_version >= \"3.10\"",
+      "urllib3 \\",
+      "    ==2.0.7 --hash=sha256:abc",
+      "-e ./local-pkg",
+      "git+https://github.com/org/tool.git#egg=tool",
+      "foo @ https://files.example.com/foo-1.0.tar.gz",
+      "six"
+    ].join("\n"));
+    expect(parsed.requirements).toEqual([
+      { name: "requests", extras: ["socks", "security"], specifier: "==2.31.0", version: "2.31.0" },
+      { name: "Django", extras: [], specifier: ">=4.2,<5", version: undefined },
+      { name: "urllib3", extras: [], specifier: "==2.0.7", version: "2.0.7" },
+      { name: "six", extras: [], specifier: "", version: undefined }
+    ]);
+    expect(parsed.skipped).toEqual([
+      "line 7: -e ./local-pkg", "line 8: git+https://github.com/org/tool.git#egg=tool", "line 9: foo @ https://files.example.com/foo-1.0.tar.gz"
+    ]);
+  });
+
+  it("reads PEP 621 and Poetry dependency tables from pyproject.toml", () => {
+    const parsed = parsePyproject(`
+[project]
+name = "demo"
+dependencies = [
+  "httpx[http2]>=0.27",  # client
+  'attrs==23.2.0',
+  "b @ file:///tmp/b",
+]
+
+[project.optional-dependencies]
+docs = ["sphinx"]
+
+[tool.poetry.dependencies]
+python = "^3.10"
+rich = "13.7.1"
+pydantic = { version = "^2.5", extras = ["email"] }
+mylib = { path = "../mylib" }
+
+[tool.poetry.group.dev.dependencies]
+pytest = "*"
+`);
+    expect(parsed.requirements.map(r => [r.name, r.specifier, r.version, r.extras])).toEqual([
+      ["httpx", ">=0.27", undefined, ["http2"]],
+      ["attrs", "==23.2.0", "23.2.0", []],
+      ["sphinx", "", undefined, []],
+      ["rich", "13.7.1", "13.7.1", []],
+      ["pydantic", "^2.5", undefined, ["email"]],
+      ["pytest", "", undefined, []]
+    ]);
+    expect(parsed.skipped).toEqual(["project.dependencies: b @ file:///tmp/b", "mylib (path = ../mylib)"]);
+  });
+
+  it("pins every package in poetry.lock", () => {
+    const parsed = parsePoetryLock(`
+[[package]]
+name = "certifi"
+version = "2024.2.2"
+description = "Python package for providing Mozilla's CA Bundle."
+optional = false
+files = [
+    {file = "certifi-2024.2.2-py3-none-any.whl", hash = "sha256:dc38"},
+]
+
+[[package]]
+name = "idna"
+version = "3.6"
+
+[package.extras]
+all = ["pytest (>=7)"]
+
+[metadata]
+lock-version = "2.0"
+`);
+    expect(parsed.requirements).toEqual([
+      { name: "certifi", extras: [], specifier: "==2024.2.2", version: "2024.2.2" },
+      { name: "idna", extras: [], specifier: "==3.6", version: "3.6" }
+    ]);
+  });
+
+  it("follows -r includes and merges duplicate packages", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "requirements-"));
+    try {
+      fs.writeFileSync(path.join(dir, "base.txt"), "requests[socks]==2.31.0\n");
+      fs.writeFileSync(path.join(dir, "requirements.txt"), "-r base.txt\nRequests[security]\n");
+      expect(readRequirements(path.join(dir, "requirements.txt")).requirements).toEqual([
+        { name: "requests", extras: ["socks", "security"], specifier: "==2.31.0", version: "2.31.0" }
+      ]);
+      fs.writeFileSync(path.join(dir, "pyproject.toml"), "[project\n");
+      expect(() => readRequirements(path.join(dir, "pyproject.toml"))).toThrow(/pyproject\.toml: line 1/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
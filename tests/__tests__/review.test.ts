@@ -0,0 +1,75 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readChangeLog } from "../../src/change-log";
+import { Customer } from "../../src/pip-client";
+import { loadFixture, PipMockServer, startPipMock } from "../../src/pip-mock";
+import { question } from "../../src/prompt";
+import { runReview } from "../../src/review";
+import { pendingReviews, queueForReview, readReviewQueue, recordDecision } from "../../src/review-queue";
+
+jest.mock("../../src/prompt", () => ({
+  createReadline: () => ({ close: () => undefined }),
+  question: jest.fn()
+}));
+
+const FIXTURE = path.join(__dirname, "..", "fixtures", "pip-customers.json");
+
+const customer = (code: string, currentWebsite = ""): Customer =>
+  ({ id: "1", code, name: `${code} Inc`, city: "Towson", state: "MD", phone: "", currentWebsite });
+
+describe("review queue", () => {
+  let dir: string;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "review-")); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("keeps the latest undecided candidate per customer", () => {
+    const queue = path.join(dir, "queue.ndjson");
+    queueForReview(queue, customer("A1"), { url: "www.a-old.com", confidence: "medium", source: "google" });
+    queueForReview(queue, customer("A1"), { url: "www.a.com", confidence: "medium", source: "google", allResults: ["www.a.com", "www.a2.com"] });
+    queueForReview(queue, customer("B2"), { url: "www.b.com", confidence: "low", source: "openai" });
+    recordDecision(queue, "B2", "rejected");
+    fs.appendFileSync(queue, '{"kind":"candid');
+
+    const pending = pendingReviews(readReviewQueue(queue));
+    expect(pending).toHaveLength(1);
+    expect(pending[0]).toMatchObject({ code: "A1", url: "www.a.com", alternates: ["www.a2.com"] });
+  });
+});
+
+describe("runReview", () => {
+  let dir: string;
+  let fixture: string;
+  let server: PipMockServer;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "review-"));
+    fixture = path.join(dir, "customers.json");
+    fs.copyFileSync(FIXTURE, fixture);
+    server = await startPipMock({ fixture });
+    jest.spyOn(console, "log").mockImplementation(() => undefined);
+  });
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("saves approved candidates and records every decision", async () => {
+    const queue = path.join(dir, "queue.ndjson");
+    const changes = path.join(dir, "changes.ndjson");
+    queueForReview(queue, { ...customer("AC01"), id: "101" }, { url: "www.acme.com", confidence: "medium", source: "google", allResults: ["www.acmeprinting.com"] });
+    queueForReview(queue, customer("SJ02", "www.smithjones.com"), { url: "www.sj.com", confidence: "low", source: "openai" });
+    queueForReview(queue, customer("OLD3"), { url: "www.old.com", confidence: "medium", source: "google" });
+
+    // AC01: pick alternate 1, SJ02: reject, OLD3: skip, then confirm the save
+    (question as jest.Mock).mockReset()
+      .mockResolvedValueOnce("1").mockResolvedValueOnce("r").mockResolvedValueOnce("s").mockResolvedValueOnce("y");
+
+    await runReview(queue, { endpoint: server.url, username: "u", password: "p", companyID: "c", changeLog: changes });
+
+    expect(loadFixture(fixture).find(c => c.code === "AC01")?.website).toBe("www.acmeprinting.com");
+    expect(readChangeLog(changes)).toMatchObject([{ code: "AC01", previous: "", next: "www.acmeprinting.com", source: "review:google" }]);
+    expect(pendingReviews(readReviewQueue(queue)).map(e => e.code)).toEqual(["OLD3"]);
+  });
+});
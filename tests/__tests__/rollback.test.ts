@@ -0,0 +1,62 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { appendChange, ChangeEntry, planRevert, readChangeLog } from "../../src/change-log";
+import { loadFixture, PipMockServer, startPipMock } from "../../src/pip-mock";
+import { runRollback } from "../../src/rollback";
+
+const FIXTURE = path.join(__dirname, "..", "fixtures", "pip-customers.json");
+
+const change = (code: string, previous: string, next: string, timestamp: string): ChangeEntry =>
+  ({ timestamp, customerId: "1", code, field: "WebSite", previous, next });
+
+describe("planRevert", () => {
+  it("restores the value from before the first change in range", () => {
+    const plans = planRevert([
+      change("A1", "www.b.com", "www.c.com", "2024-01-02T00:00:00Z"),
+      change("A1", "", "www.b.com", "2024-01-01T00:00:00Z"),
+      change("B2", "www.x.com", "www.y.com", "2024-01-01T00:00:00Z")
+    ]);
+    expect(plans).toEqual([
+      { customerId: "1", code: "A1", field: "WebSite", restore: "", expected: "www.c.com", changes: 2 },
+      { customerId: "1", code: "B2", field: "WebSite", restore: "www.x.com", expected: "www.y.com", changes: 1 }
+    ]);
+  });
+});
+
+describe("runRollback", () => {
+  let dir: string;
+  let fixture: string;
+  let server: PipMockServer;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "rollback-"));
+    fixture = path.join(dir, "customers.json");
+    fs.copyFileSync(FIXTURE, fixture);
+    server = await startPipMock({ fixture });
+    jest.spyOn(console, "log").mockImplementation(() => undefined);
+  });
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reverts matching changes and skips ones changed since", async () => {
+    const log = path.join(dir, "changes.ndjson");
+    const reverts = path.join(dir, "reverts.ndjson");
+    appendChange(log, { customerId: "102", code: "SJ02", field: "WebSite", previous: "www.old-sj.com", next: "www.smithjones.com" });
+    appendChange(log, { customerId: "101", code: "AC01", field: "WebSite", previous: "", next: "www.acme-wrong.com" });
+    const conn = { endpoint: server.url, username: "u", password: "p", companyID: "c" };
+
+    await runRollback(log, { ...conn, yes: true, dryRun: true, changeLog: reverts });
+    expect(loadFixture(fixture).find(c => c.code === "SJ02")?.website).toBe("www.smithjones.com");
+
+    await runRollback(log, { ...conn, yes: true, changeLog: reverts });
+    const customers = loadFixture(fixture);
+    expect(customers.find(c => c.code === "SJ02")?.website).toBe("www.old-sj.com");
+    // AC01 never held www.acme-wrong.com in the fixture, so it is left alone
+    expect(customers.find(c => c.code === "AC01")?.website).toBe("");
+    expect(readChangeLog(reverts)).toMatchObject([{ code: "SJ02", previous: "www.smithjones.com", next: "www.old-sj.com", source: "rollback" }]);
+  });
+});
@@ -0,0 +1,86 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { appendJournal } from "../../src/journal";
+import { PipMockServer, startPipMock } from "../../src/pip-mock";
+import { formatRunResults, RunResult } from "../../src/run-results";
+import { runWebsites } from "../../src/websites";
+
+jest.mock("../../src/prompt", () => ({
+  createReadline: () => ({ close: () => undefined, on: () => undefined, removeListener: () => undefined }),
+  question: jest.fn()
+}));
+
+const row: RunResult = {
+  code: "AC01", name: "Acme, Inc.", status: "queued", reason: "low_confidence", previousWebsite: "",
+  source: "google_cse", confidence: "medium", score: 45, candidates: ["www.acme.com", "www.acme-inc.com"],
+  startedAt: "2024-01-01T00:00:00.000Z", durationMs: 1200
+};
+
+describe("formatRunResults", () => {
+  it("writes one CSV row per customer with candidates in one cell", () => {
+    expect(formatRunResults([row], "csv").split("\n")).toEqual([
+      "code,name,status,reason,previousWebsite,newWebsite,source,confidence,score,candidates,startedAt,durationMs,error",
+      "AC01,\"Acme, Inc.\",queued,low_confidence,,,google_cse,medium,45,www.acme.com www.acme-inc.com,2024-01-01T00:00:00.000Z,1200,",
+      ""
+    ]);
+  });
+
+  it("keeps candidates as an array in JSON", () => {
+    expect(JSON.parse(formatRunResults([row], "ndjson")).candidates).toEqual(["www.acme.com", "www.acme-inc.com"]);
+    expect(JSON.parse(formatRunResults([row], "json"))).toEqual([row]);
+  });
+});
+
+describe("runWebsites --output", () => {
+  let dir: string;
+  let server: PipMockServer;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "results-"));
+    const fixture = path.join(dir, "customers.json");
+    fs.writeFileSync(fixture, JSON.stringify([
+      { id: "1", code: "HAS1", name: "Has Site", website: "www.has-site.com" },
+      { id: "2", code: "NEW2", name: "New Co", website: "" },
+      { id: "3", code: "NONE3", name: "Unknown Co", website: "" }
+    ]));
+    server = await startPipMock({ fixture });
+    jest.spyOn(console, "log").mockImplementation(() => undefined);
+  });
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reports every customer, including skipped and resumed ones", async () => {
+    const file = path.join(dir, "input.csv");
+    fs.writeFileSync(file, "code,website\nHAS1,\nNEW2,www.new-co.com\nNONE3,\nDONE4,\n");
+    const journal = path.join(dir, "journal.ndjson");
+    appendJournal(journal, { code: "DONE4", outcome: "updated" });
+    const output = path.join(dir, "results.ndjson");
+
+    await runWebsites({
+      endpoint: server.url, username: "u", password: "p", companyID: "c",
+      file, resume: journal, disableGoogle: true, disableDomainGuessing: true, cache: false,
+      changeLog: path.join(dir, "changes.ndjson"), usageFile: path.join(dir, "usage.json"),
+      output, outputFormat: "ndjson"
+    });
+
+    const rows = fs.readFileSync(output, "utf8").trim().split("\n").map(l => JSON.parse(l));
+    expect(rows.map(r => [r.code, r.status, r.reason])).toEqual([
+      ["HAS1", "skipped", "has_website"],
+      ["NEW2", "updated", "saved"],
+      ["NONE3", "skipped", "not_found"],
+      ["DONE4", "not_processed", "resumed"]
+    ]);
+    expect(rows[0]).toMatchObject({ name: "Has Site", previousWebsite: "www.has-site.com" });
+    expect(rows[1]).toMatchObject({ previousWebsite: "", newWebsite: "www.new-co.com", source: "input" });
+    expect(rows[1].durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it("rejects an unknown format before processing anything", async () => {
+    await expect(runWebsites({ codes: "NEW2", output: path.join(dir, "out.xml"), outputFormat: "xml", cache: false }))
+      .rejects.toThrow(/Unknown format "xml"/);
+  });
+});
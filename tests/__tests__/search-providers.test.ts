@@ -0,0 +1,84 @@
+import { Customer } from "../../src/pip-client";
+import { LookupFailedError, SearchProvider, findWebsite } from "../../src/search-providers";
+import { generateDomainPatterns, normalizeDomain } from "../../src/domain-guess";
+import { scoreGoogleResults } from "../../src/google-search";
+
+const customer: Customer = {
+  id: "1", code: "AC01", name: "Acme Printing, Inc.", city: "Glen Burnie", state: "MD", phone: "", currentWebsite: ""
+};
+
+function provider(name: string, enabled: boolean, url: string | null, calls: string[]): SearchProvider {
+  return {
+    name,
+    enabled: () => enabled,
+    find: async () => {
+      calls.push(name);
+      return url ? { url, confidence: "medium", source: name } : null;
+    }
+  };
+}
+
+describe("findWebsite", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => undefined));
+  afterEach(() => jest.restoreAllMocks());
+
+  it("runs enabled providers in order and stops at the first hit", async () => {
+    const calls: string[] = [];
+    const res = await findWebsite(customer, [
+      provider("guess", true, null, calls),
+      provider("google", false, "www.skipped.com", calls),
+      provider("openai", true, "www.acme.com", calls),
+      provider("never", true, "www.never.com", calls)
+    ]);
+    expect(res?.url).toBe("www.acme.com");
+    expect(calls).toEqual(["guess", "openai"]);
+  });
+
+  it("treats a failing provider as a miss and moves on", async () => {
+    const failing: SearchProvider = { name: "google", enabled: () => true, find: () => Promise.reject(new Error("HTTP 429")) };
+    const res = await findWebsite(customer, [failing, provider("openai", true, "www.acme.com", [])]);
+    expect(res?.url).toBe("www.acme.com");
+  });
+
+  it("returns null when no provider finds anything", async () => {
+    const res = await findWebsite(customer, [provider("guess", true, null, [])]);
+    expect(res).toBeNull();
+  });
+
+  it("reports a failed lookup, not a miss, when nothing was found and a tier errored", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => undefined);
+    const failing: SearchProvider = { name: "google", enabled: () => true, find: () => Promise.reject(new Error("HTTP 503 (after 4 attempts)")) };
+    const err = await findWebsite(customer, [provider("guess", true, null, []), failing]).catch(e => e);
+    expect(err).toBeInstanceOf(LookupFailedError);
+    expect(err.failures).toEqual([{ tier: "google", error: "HTTP 503 (after 4 attempts)" }]);
+  });
+});
+
+describe("generateDomainPatterns", () => {
+  it("strips suffixes and adds city variants", () => {
+    expect(generateDomainPatterns(customer.name, customer.city)).toEqual([
+      "www.acmeprinting.com",
+      "www.acme-printing.com",
+      "www.glenburnieacmeprinting.com",
+      "www.acmeprintingglenburnie.com"
+    ]);
+  });
+});
+
+describe("normalizeDomain", () => {
+  it("reduces URLs to a www host", () => {
+    expect(normalizeDomain("https://acme.com/about")).toBe("www.acme.com");
+    expect(normalizeDomain("acme.com", false)).toBe("acme.com");
+  });
+});
+
+describe("scoreGoogleResults", () => {
+  it("ranks directories below official sites", () => {
+    const scored = scoreGoogleResults([
+      { title: "Acme on Yelp", link: "https://www.yelp.com/biz/acme" },
+      { title: "Acme Printing - Home", link: "https://acmeprinting.com/" }
+    ]);
+    expect(scored[0].url).toBe("https://acmeprinting.com/");
+    expect(scored[1].score).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,75 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configurePackageIndex, fetchPyPiPackage, PackageNotFoundError, resetPackageIndex } from "../../src/pypi";
+import { compareVersions, normalizePackageName, parseDistributionFilename, parseSimpleHtml, parseSimpleJson, satisfiesSpecifier } from "../../src/simple-index";
+
+describe("simple-index", () => {
+  it("normalizes names and parses distribution filenames", () => {
+    expect(normalizePackageName("Foo_Bar")).toBe(normalizePackageName("foo-bar"));
+    expect(normalizePackageName("zope.interface")).toBe("zope-interface");
+    expect(parseDistributionFilename("foo_bar-1.2.0-py3-none-any.whl")).toEqual({ name: "foo_bar", version: "1.2.0", packagetype: "bdist_wheel", python_version: "py3" });
+    expect(parseDistributionFilename("foo-bar-2.0rc1.tar.gz")).toEqual({ name: "foo-bar", version: "2.0rc1", packagetype: "sdist", python_version: "source" });
+    expect(parseDistributionFilename("README.md")).toBeUndefined();
+  });
+
+  it("orders versions per PEP 440", () => {
+    const sorted = ["1.0", "1.0.post1", "1.0rc1", "1.0.dev0", "0.9", "1.0a2", "1.10", "1.2"].sort(compareVersions);
+    expect(sorted).toEqual(["0.9", "1.0.dev0", "1.0a2", "1.0rc1", "1.0", "1.0.post1", "1.2", "1.10"]);
+  });
+
+  it("matches PEP 440 and Poetry version specifiers", () => {
+    const allowed = (spec: string) => ["1.3", "1.4", "1.4.2", "1.9", "2.0", "2.1", "3.0"].filter(v => satisfiesSpecifier(v, spec));
+    expect(allowed(">=1.4,<2")).toEqual(["1.4", "1.4.2", "1.9"]);
+    expect(allowed("~=1.4")).toEqual(["1.4", "1.4.2", "1.9"]);
+    expect(allowed("~=1.4.0")).toEqual(["1.4", "1.4.2"]);
+    expect(allowed("==1.4.*")).toEqual(["1.4", "1.4.2"]);
+    expect(allowed("!=2.0")).toHaveLength(6);
+    expect(allowed("^1.4")).toEqual(["1.4", "1.4.2", "1.9"]);
+    expect(allowed("~1.4")).toEqual(["1.4", "1.4.2"]);
+    expect(allowed("2.0")).toEqual(["2.0"]);
+    expect(allowed("^1.4 || >=3")).toEqual(["1.4", "1.4.2", "1.9", "3.0"]);
+    expect(allowed("*")).toHaveLength(7);
+    expect(satisfiesSpecifier("0.3.5", "^0.3")).toBe(true);
+    expect(satisfiesSpecifier("0.4.0", "^0.3")).toBe(false);
+  });
+
+  it("reads PEP 503 pages and PEP 691 JSON", () => {
+    const html = `<html><body>
+      <a href="../../files/foo-1.0.tar.gz#sha256=abc123" data-requires-python="&gt;=3.8">foo-1.0.tar.gz</a>
+      <a href="https://cdn.example/foo-1.1-py3-none-any.whl" data-yanked="">foo-1.1-py3-none-any.whl</a>
+    </body></html>`;
+    expect(parseSimpleHtml(html, "https://index.example/simple/foo/")).toEqual([
+      { filename: "foo-1.0.tar.gz", url: "https://index.example/files/foo-1.0.tar.gz", sha256: "abc123", requiresPython: ">=3.8", yanked: undefined },
+      { filename: "foo-1.1-py3-none-any.whl", url: "https://cdn.example/foo-1.1-py3-none-any.whl", sha256: undefined, requiresPython: undefined, yanked: true }
+    ]);
+    const doc = { meta: { "api-version": "1.1" }, name: "foo", files: [{ filename: "foo-1.0.tar.gz", url: "foo-1.0.tar.gz", hashes: { sha256: "abc" }, yanked: "bad", size: 10 }] };
+    expect(parseSimpleJson(doc, "https://index.example/simple/foo/")[0]).toMatchObject({ url: "https://index.example/simple/foo/foo-1.0.tar.gz", yanked: "bad", size: 10 });
+  });
+
+  describe("local directory index", () => {
+    let dir: string;
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "index-"));
+      for (const file of ["Foo_Bar-1.0.tar.gz", "foo_bar-1.1-py3-none-any.whl", "foo_bar-2.0b1.tar.gz", "other-3.0.tar.gz"]) {
+        fs.writeFileSync(path.join(dir, file), file);
+      }
+      configurePackageIndex({ indexUrl: dir });
+    });
+    afterEach(() => {
+      resetPackageIndex();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("serves the newest final release and pinned versions under any spelling of the name", async () => {
+      const latest = await fetchPyPiPackage("foo-bar");
+      expect(latest.info.version).toBe("1.1");
+      expect(Object.keys(latest.releases!)).toEqual(["1.0", "1.1", "2.0b1"]);
+      expect(latest.urls![0]).toMatchObject({ packagetype: "bdist_wheel", size: "foo_bar-1.1-py3-none-any.whl".length, digests: { sha256: expect.stringMatching(/^[0-9a-f]{64}$/) } });
+
+      expect((await fetchPyPiPackage("FOO.bar", "1.0")).urls![0].filename).toBe("Foo_Bar-1.0.tar.gz");
+      await expect(fetchPyPiPackage("foo-bar", "9.9")).rejects.toBeInstanceOf(PackageNotFoundError);
+      await expect(fetchPyPiPackage("missing")).rejects.toThrow("missing not found on the package index");
+    });
+  });
+});
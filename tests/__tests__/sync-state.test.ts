@@ -0,0 +1,57 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { diffPayload, formatDiff, isUnchanged, loadSyncState, previousPush, recordPush } from "../../src/sync-state";
+import { PackagePayload, PAYLOAD_SCHEMA_VERSION } from "../../src/updater";
+
+const release = (version: string, yanked = false) => ({ version, upload_time: "", yanked, yanked_reason: "", file_types: ["sdist"], files: [] });
+
+const payload = (overrides: Partial<PackagePayload> = {}): PackagePayload => ({
+  schema_version: PAYLOAD_SCHEMA_VERSION, name: "Example_Pkg", version: "1.0", summary: "An example", home_page: "", license: "MIT",
+  author: "", author_email: "", project_urls: { Source: "https://example.com" }, requires_python: ">=3.8",
+  requires_dist: ["requests>=2"], classifiers: [], releases: [release("0.9"), release("1.0")], ...overrides
+});
+
+describe("sync-state", () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sync-state-"));
+    file = path.join(dir, "state.json");
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("records pushes and spots unchanged payloads regardless of raw and key order", () => {
+    const state = loadSyncState(file);
+    expect(previousPush(state, "example-pkg")).toBeUndefined();
+    recordPush(state, payload(), new Date("2026-01-01T00:00:00Z"));
+
+    const reloaded = loadSyncState(file);
+    const previous = previousPush(reloaded, "example.pkg");
+    expect(previous).toMatchObject({ name: "Example_Pkg", version: "1.0", pushedAt: "2026-01-01T00:00:00.000Z" });
+    const { summary, ...rest } = payload({ raw: { info: {} } as any });
+    expect(isUnchanged(previous, { summary, ...rest })).toBe(true);
+    expect(isUnchanged(previous, payload({ summary: "Changed" }))).toBe(false);
+  });
+
+  it("describes new and yanked releases and metadata changes", () => {
+    const state = loadSyncState(file);
+    expect(formatDiff(diffPayload(undefined, payload()))).toEqual(["    first push (no previous state)"]);
+    recordPush(state, payload());
+
+    const next = payload({
+      version: "1.1", requires_python: ">=3.9", requires_dist: ["requests>=2", "idna"], project_urls: { Docs: "https://docs.example.com" },
+      releases: [release("0.9", true), release("1.0"), release("1.1")]
+    });
+    expect(formatDiff(diffPayload(previousPush(state, "Example_Pkg"), next))).toEqual([
+      "    version: 1.0 -> 1.1",
+      "    new releases: 1.1",
+      "    yanked: 0.9",
+      "    project_urls: -Source, +Docs",
+      "    requires_python: \">=3.8\" -> \">=3.9\"",
+      "    requires_dist: +idna"
+    ]);
+    expect(formatDiff(diffPayload(previousPush(state, "Example_Pkg"), payload()))).toEqual([]);
+  });
+});
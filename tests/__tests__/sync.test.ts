@@ -0,0 +1,122 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fetchPyPiPackage, PackageNotFoundError, PyPiPackage } from "../../src/pypi";
+import { pushUpdate } from "../../src/updater";
+import { runSyncFlush, runSyncFrom } from "../../src/sync";
+import { pendingUpdates } from "../../src/outbox";
+
+jest.mock("../../src/pypi", () => ({ ...jest.requireActual("../../src/pypi"), fetchPyPiPackage: jest.fn() }));
+jest.mock("../../src/updater", () => ({ ...jest.requireActual("../../src/updater"), pushUpdate: jest.fn() }));
+const fetchMock = fetchPyPiPackage as jest.MockedFunction<typeof fetchPyPiPackage>;
+const pushMock = pushUpdate as jest.MockedFunction<typeof pushUpdate>;
+
+describe("runSyncFrom", () => {
+  let dir: string;
+  let output: string[];
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sync-"));
+    output = [];
+    fetchMock.mockReset();
+    pushMock.mockReset();
+    jest.spyOn(console, "log").mockImplementation((...args) => { output.push(args.join(" ")); });
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("fetches pinned versions, pushes each package and reports failures", async () => {
+    const file = path.join(dir, "requirements.txt");
+    fs.writeFileSync(file, "requests==2.31.0\nnosuchpkg\nflask\n");
+    fetchMock.mockImplementation(async (name, version) => {
+      if (name === "nosuchpkg") throw new PackageNotFoundError(name);
+      return { info: { name, version: version || "3.0.0" }, releases: {} } as PyPiPackage;
+    });
+    pushMock.mockImplementation(async payload => payload.name === "flask" ? { ok: false, status: 422, data: {} } : { ok: true, status: 200, data: {} });
+
+    expect(await runSyncFrom({ from: file, stateFile: path.join(dir, "state.json") })).toBe(false);
+    expect(fetchMock).toHaveBeenCalledWith("requests", "2.31.0");
+    expect(pushMock).toHaveBeenCalledTimes(2);
+    expect(output).toEqual(expect.arrayContaining([
+      "[1/3] requests==2.31.0: ✓ 2.31.0",
+      "[2/3] nosuchpkg: ✗ nosuchpkg not found on the package index",
+      "[3/3] flask: ✗ Package API answered HTTP 422",
+      "Synced: 1",
+      "Failed: 2 (nosuchpkg, flask)"
+    ]));
+  });
+
+  it("syncs the newest release a range allows instead of the latest", async () => {
+    const file = path.join(dir, "requirements.txt");
+    fs.writeFileSync(file, "Django>=4.2,<5\nattrs~=23.1\n");
+    const files = (yanked = false) => [{ filename: "x.tar.gz", yanked }];
+    const releases: Record<string, Record<string, unknown>> = {
+      django: { "4.1": files(), "4.2": files(), "4.2.9": files(), "4.2.10": files(true), "5.0": files(), "5.1a1": files() },
+      attrs: { "22.2": files(), "24.1": files() }
+    };
+    fetchMock.mockImplementation(async (name, version) => ({ info: { name, version: version || "5.0" }, releases: releases[name.toLowerCase()] }) as unknown as PyPiPackage);
+    pushMock.mockResolvedValue({ ok: true, status: 200, data: {} });
+
+    expect(await runSyncFrom({ from: file, stateFile: path.join(dir, "state.json") })).toBe(false);
+    expect(fetchMock).toHaveBeenCalledWith("Django", "4.2.9");
+    expect(output).toEqual(expect.arrayContaining([
+      "[1/2] Django>=4.2,<5: ✓ 4.2.9",
+      "[2/2] attrs~=23.1: ✗ No release of attrs matches ~=23.1"
+    ]));
+  });
+
+  it("skips packages unchanged since the last push unless --always", async () => {
+    const file = path.join(dir, "requirements.txt");
+    const stateFile = path.join(dir, "state.json");
+    fs.writeFileSync(file, "requests\n");
+    let version = "2.31.0";
+    fetchMock.mockImplementation(async name => ({ info: { name, version }, releases: { [version]: [] } }) as unknown as PyPiPackage);
+    pushMock.mockResolvedValue({ ok: true, status: 200, data: {} });
+
+    await runSyncFrom({ from: file, stateFile });
+    expect(await runSyncFrom({ from: file, stateFile })).toBe(true);
+    expect(pushMock).toHaveBeenCalledTimes(1);
+    expect(output).toContain("[1/1] requests: = 2.31.0 unchanged");
+
+    await runSyncFrom({ from: file, stateFile, always: true });
+    expect(pushMock).toHaveBeenCalledTimes(2);
+
+    version = "2.32.0";
+    await runSyncFrom({ from: file, stateFile, diff: true });
+    expect(pushMock).toHaveBeenCalledTimes(3);
+    expect(output).toEqual(expect.arrayContaining(["    version: 2.31.0 -> 2.32.0", "    new releases: 2.32.0"]));
+  });
+
+  it("queues updates that still fail transiently and redelivers them with --flush", async () => {
+    const file = path.join(dir, "requirements.txt");
+    const opts = { stateFile: path.join(dir, "state.json"), outbox: path.join(dir, "outbox.ndjson") };
+    fs.writeFileSync(file, "requests\nflask\n");
+    fetchMock.mockImplementation(async name => ({ info: { name, version: "1.0" }, releases: {} }) as PyPiPackage);
+    const badGateway = Object.assign(new Error("Request failed with status code 502"), { response: { status: 502 } });
+    pushMock.mockImplementation(async payload => {
+      if (payload.name === "flask") throw badGateway;
+      return { ok: true, status: 200, data: {} };
+    });
+
+    expect(await runSyncFrom({ from: file, ...opts })).toBe(false);
+    expect(output).toContain("[2/2] flask: ✗ Package API: HTTP 502 - queued for sync --flush");
+    expect(pendingUpdates(opts.outbox).map(p => [p.package, p.lastError])).toEqual([["flask", "HTTP 502"]]);
+
+    expect(await runSyncFlush(opts)).toBe(false);
+    expect(pendingUpdates(opts.outbox)[0].attempts).toBe(2);
+    // Queueing the package again keeps its attempt history
+    await runSyncFrom({ from: file, ...opts });
+    const [queued] = pendingUpdates(opts.outbox);
+    expect(queued.attempts).toBe(3);
+
+    pushMock.mockResolvedValue({ ok: true, status: 200, data: {} });
+    expect(await runSyncFlush(opts)).toBe(true);
+    // Redelivered as the queued push, under its idempotency key
+    expect(pushMock).toHaveBeenLastCalledWith(queued.payload, false, queued.key);
+    expect(fs.existsSync(opts.outbox)).toBe(false);
+    expect(await runSyncFrom({ from: file, ...opts })).toBe(true);
+    expect(output).toContain("[2/2] flask: = 1.0 unchanged");
+  });
+});
@@ -0,0 +1,68 @@
+import crypto from "crypto";
+import { httpRequest } from "../../src/http";
+import { PackagePayload, PAYLOAD_SCHEMA_VERSION, payloadHash, pushUpdate } from "../../src/updater";
+
+jest.mock("../../src/http", () => ({ ...jest.requireActual("../../src/http"), httpRequest: jest.fn() }));
+const requestMock = httpRequest as jest.MockedFunction<typeof httpRequest>;
+
+const payload: PackagePayload = {
+  schema_version: PAYLOAD_SCHEMA_VERSION, name: "example", version: "1.0", summary: "", home_page: "", license: "", author: "",
+  author_email: "", project_urls: {}, requires_python: "", requires_dist: [], classifiers: [], releases: []
+};
+
+describe("pushUpdate", () => {
+  const saved = { ...process.env };
+  beforeEach(() => {
+    requestMock.mockReset().mockResolvedValue({ status: 200, data: { ok: true } } as any);
+    process.env.API_KEY = "key";
+    process.env.API_BASE_URL = "https://packages.example";
+    delete process.env.API_SIGNING_SECRET;
+  });
+  afterEach(() => {
+    process.env = { ...saved };
+    jest.restoreAllMocks();
+  });
+  // httpRequest is given a function so every attempt gets fresh headers
+  const attempt = (call = 0) => {
+    const config = requestMock.mock.calls[call][2];
+    return typeof config === "function" ? config() : config;
+  };
+
+  it("sends one idempotency key per push, built from the payload hash and kept across retries", async () => {
+    await pushUpdate(payload, false);
+    await pushUpdate(payload, false);
+    const first = attempt(0).headers as Record<string, string>;
+    const second = attempt(1).headers as Record<string, string>;
+    expect(first["Idempotency-Key"]).toMatch(new RegExp(`^${payloadHash(payload)}\\.[0-9a-f]{16}$`));
+    expect(second["Idempotency-Key"]).not.toBe(first["Idempotency-Key"]);
+    expect((attempt(0).headers as Record<string, string>)["Idempotency-Key"]).toBe(first["Idempotency-Key"]);
+    expect(first).not.toHaveProperty("X-Signature");
+
+    await pushUpdate(payload, false, "stored-key");
+    expect((attempt(2).headers as Record<string, string>)["Idempotency-Key"]).toBe("stored-key");
+  });
+
+  it("signs the exact body with HMAC-SHA256 when API_SIGNING_SECRET is set", async () => {
+    process.env.API_SIGNING_SECRET = "s3cret";
+    await pushUpdate(payload, false);
+    const config = attempt();
+    const headers = config.headers as Record<string, string>;
+    const expected = crypto.createHmac("sha256", "s3cret").update(`${headers["X-Signature-Timestamp"]}.${config.data}`).digest("hex");
+    expect(config.url).toBe("https://packages.example/packages/update");
+    expect(JSON.parse(config.data)).toEqual(payload);
+    expect(headers["X-Signature"]).toBe(`sha256=${expected}`);
+  });
+
+  it("signs each attempt with its own timestamp", async () => {
+    process.env.API_SIGNING_SECRET = "s3cret";
+    const now = jest.spyOn(Date, "now").mockReturnValue(1_700_000_000_000);
+    await pushUpdate(payload, false);
+    const first = attempt().headers as Record<string, string>;
+    now.mockReturnValue(1_700_000_030_000);
+    const retry = attempt().headers as Record<string, string>;
+    expect(first["X-Signature-Timestamp"]).toBe("1700000000");
+    expect(retry["X-Signature-Timestamp"]).toBe("1700000030");
+    expect(retry["X-Signature"]).not.toBe(first["X-Signature"]);
+    expect(retry["Idempotency-Key"]).toBe(first["Idempotency-Key"]);
+  });
+});
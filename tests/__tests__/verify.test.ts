@@ -0,0 +1,59 @@
+import { Customer } from "../../src/pip-client";
+import { findWebsite, SearchProvider } from "../../src/search-providers";
+import { schemaOrganizations, scoreHomepage } from "../../src/verify";
+
+const customer: Customer = {
+  id: "1", code: "AC01", name: "Acme Printing, Inc.", city: "Glen Burnie", state: "MD", phone: "(410) 555-0100", currentWebsite: ""
+};
+
+describe("scoreHomepage", () => {
+  it("scores a matching homepage high with reasons", () => {
+    const html = `<html><head><title>Acme Printing &amp; Copy</title></head>
+      <body><p>Serving Glen Burnie, MD since 1987. Call 410.555.0100</p></body></html>`;
+    const res = scoreHomepage(customer, html, "https://www.acmeprinting.com/");
+    expect(res.score).toBe(80);
+    expect(res.confidence).toBe("high");
+    expect(res.reasons).toEqual(["name in title (+30)", "phone number matches (+35)", "mentions Glen Burnie (+10)", "mentions MD (+5)"]);
+  });
+
+  it("keeps a same-name business elsewhere below high", () => {
+    const html = `<title>Acme Printing | Portland, OR</title><body>Call 503-555-0199</body>`;
+    const res = scoreHomepage(customer, html);
+    expect(res.confidence).toBe("medium");
+    expect(res.score).toBe(30);
+  });
+
+  it("uses schema.org organization data", () => {
+    const html = `<title>Home</title><script type="application/ld+json">
+      {"@context":"https://schema.org","@graph":[{"@type":"LocalBusiness","name":"Acme Printing","telephone":"+1-410-555-0100",
+      "address":{"@type":"PostalAddress","addressLocality":"Glen Burnie","addressRegion":"MD"}}]}</script>`;
+    expect(schemaOrganizations(html)).toEqual([{ name: "Acme Printing", telephone: "+1-410-555-0100", locality: "Glen Burnie", region: "MD" }]);
+    const res = scoreHomepage(customer, html);
+    expect(res.reasons).toEqual(["phone number matches (+35)", "schema.org organization name matches (+20)", "schema.org address matches city (+10)"]);
+    expect(res.confidence).toBe("high");
+  });
+
+  it("scores parked pages zero", () => {
+    expect(scoreHomepage(customer, "<title>Acme Printing</title>This domain is for sale").score).toBe(0);
+  });
+});
+
+describe("findWebsite with a verifier", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => undefined));
+  afterEach(() => jest.restoreAllMocks());
+
+  const provider = (name: string, url: string): SearchProvider =>
+    ({ name, enabled: () => true, find: async () => ({ url, confidence: "high", source: name }) });
+  const scores: Record<string, number> = { "www.guess.com": 40, "www.google.com": 20, "www.openai.com": 70 };
+  const verify = async (_: Customer, r: any) => ({ ...r, score: scores[r.url], confidence: scores[r.url] >= 60 ? "high" : "medium" });
+
+  it("falls through tiers until a candidate verifies high", async () => {
+    const res = await findWebsite(customer, [provider("guess", "www.guess.com"), provider("google", "www.google.com"), provider("openai", "www.openai.com")], verify);
+    expect(res).toMatchObject({ url: "www.openai.com", score: 70, confidence: "high" });
+  });
+
+  it("returns the best candidate when none verifies high", async () => {
+    const res = await findWebsite(customer, [provider("guess", "www.guess.com"), provider("google", "www.google.com")], verify);
+    expect(res).toMatchObject({ url: "www.guess.com", score: 40, confidence: "medium" });
+  });
+});